@@ -0,0 +1,191 @@
+/*
+ * TechOps Address Book
+ * =====================================================
+ *
+ * Addresses saved in this browser (localStorage `addressBook`) so returning
+ * shoppers can pick a previous shipping or billing address at checkout:
+ *
+ * - add() / update() / remove(): manage saved addresses
+ * - setDefault() / getDefault(): the default address prefills the shipping
+ *   address when the checkout opens
+ *
+ * Each entry holds the address fields used by the checkout (canonical names,
+ * see checkout-core.js) plus an optional label, oldest first:
+ *   { id: 'addr-lx2k9f-4821', label: 'Office', name: 'Jane Citizen', address: '1 Collins Street',
+ *     country: 'AU', city: 'Melbourne', state: 'VIC', postcode: '3000', isDefault: true, savedAt: '2026-10-18T09:30:00.000Z' }
+ *
+ * Exactly one entry is the default while the book is not empty: the first
+ * address saved becomes it, and removing the default passes the flag to the
+ * oldest remaining entry. Entries are checked with the shared checkout rules
+ * (checkout-core.js) by the UI before they are saved.
+ *
+ * Usage:
+ *   AddressBook.add({ label: 'Office', name: 'Jane Citizen', address: '1 Collins Street', country: 'AU', city: 'Melbourne', state: 'VIC', postcode: '3000' })
+ *   AddressBook.getDefault()  // -> { id: 'addr-...', label: 'Office', ..., isDefault: true }
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const AddressBook = (() => {
+  const settings = {
+    storageKey: 'addressBook'
+  };
+
+  /** Address fields kept for each entry, by canonical checkout field name */
+  const FIELDS = ['name', 'address', 'country', 'city', 'state', 'postcode'];
+
+  /**
+   * Copies the address fields (and label) from a form or entry, as trimmed strings
+   * @param {Object} source - Address values keyed by field name
+   * @returns {Object} { label, name, address, country, city, state, postcode }
+   */
+  function pickFields(source = {}) {
+    const fields = { label: String(source.label || '').trim() };
+    FIELDS.forEach(field => {
+      fields[field] = String(source[field] || '').trim();
+    });
+    return fields;
+  }
+
+  /** Unique enough ID for entries in one browser */
+  const createId = () => `addr-${Date.now().toString(36)}-${Math.floor(Math.random() * 10000)}`;
+
+  /**
+   * Reads the saved entries
+   * Missing, corrupted or malformed data reads as an empty address book
+   *
+   * @returns {Array<Object>} Entries, oldest first
+   */
+  function load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(settings.storageKey) || '[]');
+      return Array.isArray(stored)
+        ? stored.filter(entry => entry && typeof entry.id === 'string' && typeof entry.address === 'string')
+        : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Stores the entries, making sure exactly one of them is the default
+   * @param {Array<Object>} entries - Entries to store
+   * @returns {Array<Object>} Stored entries
+   */
+  function save(entries) {
+    const defaultId = (entries.find(entry => entry.isDefault) || entries[0] || {}).id;
+    const stored = entries.map(entry => ({ ...entry, isDefault: entry.id === defaultId }));
+    try {
+      localStorage.setItem(settings.storageKey, JSON.stringify(stored));
+    } catch (error) {
+      console.error('Failed to save address book to storage:', error);
+    }
+    return stored;
+  }
+
+  /**
+   * @param {string} id - Entry ID
+   * @returns {Object|null} The entry, or null when there is none with this ID
+   */
+  function get(id) {
+    return load().find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * @returns {Object|null} The default entry, or null when the address book is empty
+   */
+  function getDefault() {
+    return load().find(entry => entry.isDefault) || null;
+  }
+
+  /**
+   * Saves a new address
+   *
+   * @param {Object} address - Address fields (see FIELDS) and an optional label
+   * @param {Object} [options]
+   * @param {boolean} [options.makeDefault] - Make it the default address (the first address always is)
+   * @param {Date} [options.now] - Save date (defaults to now)
+   * @returns {Object} The saved entry
+   */
+  function add(address, { makeDefault = false, now = new Date() } = {}) {
+    const entries = load().map(entry => (makeDefault ? { ...entry, isDefault: false } : entry));
+    const entry = { id: createId(), ...pickFields(address), isDefault: makeDefault, savedAt: now.toISOString() };
+    entries.push(entry);
+    return save(entries).find(saved => saved.id === entry.id);
+  }
+
+  /**
+   * Replaces the fields of a saved address; its ID, default flag and save date are kept
+   *
+   * @param {string} id - Entry ID
+   * @param {Object} address - New address fields and label
+   * @returns {Object|null} The updated entry, or null when there is none with this ID
+   */
+  function update(id, address) {
+    const entries = load();
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+    entries[index] = { ...entries[index], ...pickFields(address) };
+    return save(entries)[index];
+  }
+
+  /**
+   * @param {string} id - Entry ID
+   * @returns {Array<Object>} Remaining entries
+   */
+  function remove(id) {
+    return save(load().filter(entry => entry.id !== id));
+  }
+
+  /**
+   * @param {string} id - Entry ID
+   * @returns {Array<Object>} Updated entries (unchanged when there is none with this ID)
+   */
+  function setDefault(id) {
+    const entries = load();
+    if (!entries.some(entry => entry.id === id)) return entries;
+    return save(entries.map(entry => ({ ...entry, isDefault: entry.id === id })));
+  }
+
+  /**
+   * Finds a saved entry with the same address, so the same address isn't saved twice
+   * Names, labels and letter case are ignored
+   *
+   * @param {Object} address - Address fields
+   * @returns {Object|null} Matching entry, or null
+   */
+  function findMatch(address) {
+    const key = source => FIELDS.filter(field => field !== 'name')
+      .map(field => String(source[field] || '').trim().toLowerCase())
+      .join('|');
+    const wanted = key(address);
+    return load().find(entry => key(entry) === wanted) || null;
+  }
+
+  /**
+   * @param {Object} entry - Address book entry
+   * @returns {string} One-line address, e.g. "1 Collins Street, Melbourne VIC 3000, Australia"
+   */
+  function describe(entry) {
+    return [
+      entry.address,
+      [entry.city, entry.state, entry.postcode].filter(Boolean).join(' '),
+      entry.country && typeof Address !== 'undefined' ? Address.countryName(entry.country) : entry.country
+    ].filter(Boolean).join(', ');
+  }
+
+  return {
+    settings,
+    FIELDS,
+    pickFields,
+    load,
+    get,
+    getDefault,
+    add,
+    update,
+    remove,
+    setDefault,
+    findMatch,
+    describe
+  };
+})();
@@ -0,0 +1,289 @@
+/*
+ * TechOps Addresses
+ * =====================================================
+ *
+ * Per-country address rules shared by the checkout form and CheckoutCore's
+ * validators, plus offline postcode autocomplete:
+ *
+ * - COUNTRIES: the countries we ship to, each with its address fields
+ *   (labels, whether they are required, state/province lists, postcode format)
+ * - validateField(): the city, state and postcode rules for a country
+ * - lookup() / suggest(): localities from the bundled postcodes-data.json,
+ *   so typing a postcode can fill the city and state
+ *
+ * State codes match the region codes used by tax.js (e.g. 'CA' for California,
+ * 'QC' for Quebec). Countries without a `state` field have no state or
+ * province line.
+ *
+ * Usage:
+ *   Address.validateField('postcode', 'K1A 0B1', 'CA')   // -> ''
+ *   Address.load().then(() => Address.lookup('3053', 'AU'))
+ *   // -> [{ country: 'AU', postcode: '3053', city: 'Carlton', state: 'VIC' }]
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const Address = (() => {
+  const settings = {
+    url: 'postcodes-data.json',
+    defaultCountry: 'AU'
+  };
+
+  /** Builds state options from [code, name] pairs */
+  const options = pairs => pairs.map(([code, name]) => ({ code, name }));
+
+  /** Countries we ship to, in display order; the first is the default */
+  const COUNTRIES = [
+    {
+      code: 'AU',
+      name: 'Australia',
+      city: { label: 'Suburb', required: true, example: 'Melbourne' },
+      state: {
+        label: 'State',
+        required: true,
+        options: options([
+          ['ACT', 'Australian Capital Territory'], ['NSW', 'New South Wales'], ['NT', 'Northern Territory'],
+          ['QLD', 'Queensland'], ['SA', 'South Australia'], ['TAS', 'Tasmania'], ['VIC', 'Victoria'],
+          ['WA', 'Western Australia']
+        ])
+      },
+      postcode: { label: 'Postcode', required: true, pattern: /^\d{4}$/, example: '3000', maxLength: 4 }
+    },
+    {
+      code: 'NZ',
+      name: 'New Zealand',
+      city: { label: 'Town or city', required: true, example: 'Auckland' },
+      postcode: { label: 'Postcode', required: true, pattern: /^\d{4}$/, example: '1010', maxLength: 4 }
+    },
+    {
+      code: 'US',
+      name: 'United States',
+      city: { label: 'City', required: true, example: 'San Francisco' },
+      state: {
+        label: 'State',
+        required: true,
+        options: options([
+          ['AL', 'Alabama'], ['AK', 'Alaska'], ['AZ', 'Arizona'], ['AR', 'Arkansas'], ['CA', 'California'],
+          ['CO', 'Colorado'], ['CT', 'Connecticut'], ['DE', 'Delaware'], ['DC', 'District of Columbia'],
+          ['FL', 'Florida'], ['GA', 'Georgia'], ['HI', 'Hawaii'], ['ID', 'Idaho'], ['IL', 'Illinois'],
+          ['IN', 'Indiana'], ['IA', 'Iowa'], ['KS', 'Kansas'], ['KY', 'Kentucky'], ['LA', 'Louisiana'],
+          ['ME', 'Maine'], ['MD', 'Maryland'], ['MA', 'Massachusetts'], ['MI', 'Michigan'], ['MN', 'Minnesota'],
+          ['MS', 'Mississippi'], ['MO', 'Missouri'], ['MT', 'Montana'], ['NE', 'Nebraska'], ['NV', 'Nevada'],
+          ['NH', 'New Hampshire'], ['NJ', 'New Jersey'], ['NM', 'New Mexico'], ['NY', 'New York'],
+          ['NC', 'North Carolina'], ['ND', 'North Dakota'], ['OH', 'Ohio'], ['OK', 'Oklahoma'], ['OR', 'Oregon'],
+          ['PA', 'Pennsylvania'], ['RI', 'Rhode Island'], ['SC', 'South Carolina'], ['SD', 'South Dakota'],
+          ['TN', 'Tennessee'], ['TX', 'Texas'], ['UT', 'Utah'], ['VT', 'Vermont'], ['VA', 'Virginia'],
+          ['WA', 'Washington'], ['WV', 'West Virginia'], ['WI', 'Wisconsin'], ['WY', 'Wyoming']
+        ])
+      },
+      postcode: { label: 'ZIP code', required: true, pattern: /^\d{5}(-\d{4})?$/, example: '94103', maxLength: 10 }
+    },
+    {
+      code: 'CA',
+      name: 'Canada',
+      city: { label: 'City', required: true, example: 'Toronto' },
+      state: {
+        label: 'Province',
+        required: true,
+        options: options([
+          ['AB', 'Alberta'], ['BC', 'British Columbia'], ['MB', 'Manitoba'], ['NB', 'New Brunswick'],
+          ['NL', 'Newfoundland and Labrador'], ['NS', 'Nova Scotia'], ['NT', 'Northwest Territories'],
+          ['NU', 'Nunavut'], ['ON', 'Ontario'], ['PE', 'Prince Edward Island'], ['QC', 'Quebec'],
+          ['SK', 'Saskatchewan'], ['YT', 'Yukon']
+        ])
+      },
+      postcode: { label: 'Postal code', required: true, pattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/, example: 'M5V 2T6', maxLength: 7 }
+    },
+    {
+      code: 'GB',
+      name: 'United Kingdom',
+      city: { label: 'Town or city', required: true, example: 'London' },
+      postcode: { label: 'Postcode', required: true, pattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, example: 'SW1A 1AA', maxLength: 8 }
+    },
+    {
+      code: 'DE',
+      name: 'Germany',
+      city: { label: 'City', required: true, example: 'Berlin' },
+      postcode: { label: 'Postcode', required: true, pattern: /^\d{5}$/, example: '10115', maxLength: 5 }
+    },
+    {
+      code: 'FR',
+      name: 'France',
+      city: { label: 'City', required: true, example: 'Paris' },
+      postcode: { label: 'Postcode', required: true, pattern: /^\d{5}$/, example: '75001', maxLength: 5 }
+    },
+    {
+      code: 'JP',
+      name: 'Japan',
+      city: { label: 'City', required: true, example: 'Chiyoda' },
+      state: {
+        label: 'Prefecture',
+        required: true,
+        options: options([
+          'Hokkaido', 'Aomori', 'Iwate', 'Miyagi', 'Akita', 'Yamagata', 'Fukushima', 'Ibaraki', 'Tochigi', 'Gunma',
+          'Saitama', 'Chiba', 'Tokyo', 'Kanagawa', 'Niigata', 'Toyama', 'Ishikawa', 'Fukui', 'Yamanashi', 'Nagano',
+          'Gifu', 'Shizuoka', 'Aichi', 'Mie', 'Shiga', 'Kyoto', 'Osaka', 'Hyogo', 'Nara', 'Wakayama', 'Tottori',
+          'Shimane', 'Okayama', 'Hiroshima', 'Yamaguchi', 'Tokushima', 'Kagawa', 'Ehime', 'Kochi', 'Fukuoka',
+          'Saga', 'Nagasaki', 'Kumamoto', 'Oita', 'Miyazaki', 'Kagoshima', 'Okinawa'
+        ].map(name => [name, name]))
+      },
+      postcode: { label: 'Postal code', required: true, pattern: /^\d{3}-?\d{4}$/, example: '100-0001', maxLength: 8 }
+    },
+    {
+      code: 'SG',
+      name: 'Singapore',
+      city: { label: 'City', required: false, example: 'Singapore' },
+      postcode: { label: 'Postal code', required: true, pattern: /^\d{6}$/, example: '018956', maxLength: 6 }
+    }
+  ];
+
+  /** Localities from the last successful load */
+  let loadedLocalities = [];
+
+  /** Pending load shared by concurrent callers */
+  let loading = null;
+
+  /**
+   * @param {string} [code] - ISO country code (defaults to settings.defaultCountry)
+   * @returns {Object|null} Country from COUNTRIES, or null when we don't ship there
+   */
+  function getCountry(code) {
+    const normalized = String(code || settings.defaultCountry).trim().toUpperCase();
+    return COUNTRIES.find(country => country.code === normalized) || null;
+  }
+
+  /**
+   * @param {string} code - ISO country code
+   * @returns {string} Country name, or the code itself for countries not in COUNTRIES
+   */
+  function countryName(code) {
+    const country = getCountry(code);
+    return country ? country.name : String(code || '');
+  }
+
+  /**
+   * @param {*} postcode - Postcode as typed
+   * @returns {string} Postcode in upper case with single spaces and no surrounding spaces
+   */
+  function normalizePostcode(postcode) {
+    return String(postcode == null ? '' : postcode).trim().toUpperCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * @param {string} label - Field label, e.g. "Postcode" or "ZIP code"
+   * @returns {string} The label for use mid-sentence, e.g. "postcode" ("ZIP code" keeps its capitals)
+   */
+  function labelInSentence(label) {
+    return /^[A-Z]{2}/.test(label) ? label : label.charAt(0).toLowerCase() + label.slice(1);
+  }
+
+  /**
+   * Validates the city, state or postcode of an address
+   *
+   * @param {string} field - 'city', 'state' or 'postcode'
+   * @param {*} value - Field value
+   * @param {string} [countryCode] - ISO country code (defaults to settings.defaultCountry)
+   * @returns {string} Error message, or '' when valid (other fields and unknown countries are always valid here)
+   */
+  function validateField(field, value, countryCode) {
+    const country = getCountry(countryCode);
+    const rules = country && country[field];
+    if (!rules) return '';
+
+    const text = String(value == null ? '' : value).trim();
+    if (!text) return rules.required ? `${rules.label} is required` : '';
+
+    if (field === 'state' && !rules.options.some(option => option.code === text)) {
+      return `Please select a ${labelInSentence(rules.label)}`;
+    }
+    if (field === 'postcode' && !rules.pattern.test(normalizePostcode(text))) {
+      return `Please enter a valid ${labelInSentence(rules.label)} (e.g. ${rules.example})`;
+    }
+    return '';
+  }
+
+  /**
+   * Localities with a postcode
+   *
+   * @param {string} postcode - Postcode as typed
+   * @param {string} [countryCode] - ISO country code (defaults to settings.defaultCountry)
+   * @param {Array<Object>} [localities] - Localities to search (defaults to the loaded dataset)
+   * @returns {Array<{country: string, postcode: string, city: string, state: string}>}
+   */
+  function lookup(postcode, countryCode, localities = loadedLocalities) {
+    const country = getCountry(countryCode);
+    const normalized = normalizePostcode(postcode);
+    if (!country || !normalized) return [];
+    return localities.filter(locality => locality.country === country.code && locality.postcode === normalized);
+  }
+
+  /**
+   * Localities whose name or postcode starts with what was typed, names first
+   *
+   * @param {string} query - Partial locality name or postcode
+   * @param {string} [countryCode] - ISO country code (defaults to settings.defaultCountry)
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most suggestions returned
+   * @param {Array<Object>} [options.localities] - Localities to search (defaults to the loaded dataset)
+   * @returns {Array<Object>} Matching localities
+   */
+  function suggest(query, countryCode, { limit = 8, localities = loadedLocalities } = {}) {
+    const country = getCountry(countryCode);
+    const text = String(query || '').trim().toLowerCase();
+    if (!country || text.length < 2) return [];
+
+    const inCountry = localities.filter(locality => locality.country === country.code);
+    const byName = inCountry.filter(locality => locality.city.toLowerCase().startsWith(text));
+    const byPostcode = inCountry.filter(locality => locality.postcode.toLowerCase().startsWith(text) && !byName.includes(locality));
+    return byName.concat(byPostcode).slice(0, limit);
+  }
+
+  /**
+   * Loads the postcode dataset once; later calls resolve from memory
+   * A missing or broken file only turns autocomplete off
+   * @returns {Promise<Array>} Loaded localities
+   */
+  function load() {
+    if (loading) return loading;
+
+    loading = fetch(settings.url)
+      .then(res => {
+        if (!res.ok) throw new Error('Failed to load postcodes');
+        return res.json();
+      })
+      .then(data => {
+        loadedLocalities = (Array.isArray(data) ? data : []).filter(locality => locality
+          && typeof locality.country === 'string' && typeof locality.postcode === 'string' && typeof locality.city === 'string');
+        return loadedLocalities;
+      })
+      .catch(error => {
+        console.warn('Postcode autocomplete unavailable:', error);
+        loadedLocalities = [];
+        return loadedLocalities;
+      });
+
+    return loading;
+  }
+
+  return {
+    settings,
+    COUNTRIES,
+    /**
+     * Overrides default settings (url, defaultCountry) and forgets loaded localities
+     * @param {Object} options - Settings to override
+     */
+    configure(options = {}) {
+      Object.assign(settings, options);
+      loadedLocalities = [];
+      loading = null;
+    },
+    getCountry,
+    countryName,
+    normalizePostcode,
+    labelInSentence,
+    validateField,
+    lookup,
+    suggest,
+    load
+  };
+})();
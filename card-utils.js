@@ -0,0 +1,177 @@
+/*
+ * TechOps Card Utilities
+ * =====================================================
+ *
+ * Payment card rules shared by both checkouts (through checkout-core.js):
+ * brand detection, Luhn checksum, brand-specific lengths, digit grouping
+ * and CVV length.
+ *
+ * Supported brands: Visa, Mastercard, American Express, Discover, JCB,
+ * Diners Club and UnionPay. Numbers that match no brand are still accepted
+ * when they have 12-19 digits and pass the Luhn check.
+ *
+ * Usage:
+ *   CardUtils.detectBrand('4111 1111 1111 1111')  // -> { id: 'visa', ... }
+ *   CardUtils.format('378282246310005')           // -> '3782 822463 10005'
+ *   CardUtils.validateNumber('4111 1111 1111 1112') // -> 'Card number is not valid - please check it'
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const CardUtils = (() => {
+  /**
+   * Card brands, checked in order (more specific prefixes first)
+   * - pattern: matches the leading digits
+   * - lengths: allowed numbers of digits
+   * - groups: digit grouping used for display
+   * - cvvLength: digits in the security code
+   * - luhn: whether numbers carry a Luhn check digit
+   */
+  const BRANDS = [
+    { id: 'amex', name: 'American Express', short: 'AMEX', pattern: /^3[47]/, lengths: [15], groups: [4, 6, 5], cvvLength: 4, luhn: true },
+    { id: 'diners', name: 'Diners Club', short: 'DINERS', pattern: /^3(0[0-5]|[689])/, lengths: [14, 16, 19], groups: [4, 6, 4], cvvLength: 3, luhn: true },
+    { id: 'jcb', name: 'JCB', short: 'JCB', pattern: /^35(2[89]|[3-8])/, lengths: [16, 17, 18, 19], groups: [4, 4, 4, 4, 3], cvvLength: 3, luhn: true },
+    { id: 'visa', name: 'Visa', short: 'VISA', pattern: /^4/, lengths: [13, 16, 19], groups: [4, 4, 4, 4, 3], cvvLength: 3, luhn: true },
+    { id: 'mastercard', name: 'Mastercard', short: 'MC', pattern: /^(5[1-5]|222[1-9]|22[3-9]|2[3-6]|27[01]|2720)/, lengths: [16], groups: [4, 4, 4, 4], cvvLength: 3, luhn: true },
+    { id: 'discover', name: 'Discover', short: 'DISC', pattern: /^(6011|64[4-9]|65|622)/, lengths: [16, 19], groups: [4, 4, 4, 4, 3], cvvLength: 3, luhn: true },
+    { id: 'unionpay', name: 'UnionPay', short: 'UPI', pattern: /^62/, lengths: [16, 17, 18, 19], groups: [4, 4, 4, 4, 3], cvvLength: 3, luhn: false }
+  ];
+
+  /** Rules for numbers that match no known brand */
+  const UNKNOWN_BRAND = { id: 'unknown', name: 'Card', short: '', lengths: [12, 13, 14, 15, 16, 17, 18, 19], groups: [4, 4, 4, 4, 3], cvvLength: 3, luhn: true };
+
+  /** Strips everything but digits */
+  const digitsOf = value => String(value == null ? '' : value).replace(/\D/g, '');
+
+  /**
+   * @param {string} number - Card number (spaces allowed); a partial number is fine
+   * @returns {Object|null} Matching brand, or null if none matches yet
+   */
+  function detectBrand(number) {
+    const digits = digitsOf(number);
+    if (!digits) return null;
+    return BRANDS.find(brand => brand.pattern.test(digits)) || null;
+  }
+
+  /**
+   * @param {string} number - Card number (spaces allowed)
+   * @returns {Object} Brand rules for the number (UNKNOWN_BRAND when no brand matches)
+   */
+  function rulesFor(number) {
+    return detectBrand(number) || UNKNOWN_BRAND;
+  }
+
+  /**
+   * Luhn (mod 10) checksum
+   * @param {string} number - Card number (spaces allowed)
+   * @returns {boolean} Whether the check digit is correct
+   */
+  function luhnCheck(number) {
+    const digits = digitsOf(number);
+    if (!digits) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Splits digits into the brand's display groups
+   * @param {string} digits - Digits only
+   * @param {Object} rules - Brand rules
+   * @returns {string} Digits joined by spaces
+   */
+  function groupDigits(digits, rules) {
+    const parts = [];
+    let position = 0;
+    rules.groups.forEach(size => {
+      if (position < digits.length) parts.push(digits.slice(position, position + size));
+      position += size;
+    });
+    if (position < digits.length) parts.push(digits.slice(position));
+    return parts.join(' ');
+  }
+
+  /**
+   * Groups digits for display using the brand's pattern, e.g. Amex "3782 822463 10005"
+   * Extra digits beyond the brand's longest length are dropped
+   * @param {string} number - Raw input
+   * @returns {string} Formatted number
+   */
+  function format(number) {
+    const rules = rulesFor(number);
+    return groupDigits(digitsOf(number).slice(0, Math.max(...rules.lengths)), rules);
+  }
+
+  /**
+   * @param {string} number - Card number (spaces allowed); a partial number is fine
+   * @returns {number} Maximum length of the formatted number, including spaces
+   */
+  function maxFormattedLength(number) {
+    const rules = rulesFor(number);
+    return groupDigits('0'.repeat(Math.max(...rules.lengths)), rules).length;
+  }
+
+  /**
+   * @param {string} number - Card number; decides the expected CVV length
+   * @returns {number} Digits in the brand's security code
+   */
+  function cvvLength(number) {
+    return rulesFor(number).cvvLength;
+  }
+
+  /**
+   * Validates a card number
+   * @param {string} number - Card number (spaces allowed)
+   * @returns {string} Error message, or '' when valid
+   */
+  function validateNumber(number) {
+    const value = String(number == null ? '' : number);
+    if (!value.trim()) return 'Card number is required';
+    if (/[^\d\s-]/.test(value)) return 'Card number can only contain digits';
+
+    const digits = digitsOf(value);
+    const rules = rulesFor(digits);
+    if (!rules.lengths.includes(digits.length)) {
+      const lengths = rules.lengths.length > 3
+        ? `${rules.lengths[0]}-${rules.lengths[rules.lengths.length - 1]}`
+        : rules.lengths.join(' or ');
+      return `${rules.name} numbers must be ${lengths} digits`;
+    }
+    if (rules.luhn && !luhnCheck(digits)) return 'Card number is not valid - please check it';
+    return '';
+  }
+
+  /**
+   * Validates a security code against the card's brand
+   * @param {string} cvv - Security code
+   * @param {string} number - Card number (decides the expected length)
+   * @returns {string} Error message, or '' when valid
+   */
+  function validateCvv(cvv, number) {
+    const value = String(cvv == null ? '' : cvv).trim();
+    if (!value) return 'CVV is required';
+    const length = cvvLength(number);
+    if (!new RegExp(`^\\d{${length}}$`).test(value)) {
+      return `CVV must be ${length} digits${detectBrand(number) ? ` for ${rulesFor(number).name}` : ''}`;
+    }
+    return '';
+  }
+
+  return {
+    BRANDS,
+    detectBrand,
+    luhnCheck,
+    format,
+    maxFormattedLength,
+    cvvLength,
+    validateNumber,
+    validateCvv
+  };
+})();
@@ -0,0 +1,169 @@
+/*
+ * TechOps Cart Sync
+ * =====================================================
+ *
+ * Keeps the cart (localStorage `cart`) in step across open tabs and across
+ * the scripts of one page. Every page writes the cart through save() /
+ * clear(), which tell the other tabs about the change; subscribe() hands the
+ * new cart lines to listeners in every tab, including the one that wrote it,
+ * so the navbar count, the cart modal, the vanilla checkout and the Vue
+ * checkout refresh (on checkout.html the cart modal and the Vue checkout
+ * both change the cart). Listeners should ignore a cart they already hold.
+ *
+ * Other tabs hear about a change from two sources:
+ * - BroadcastChannel (`techops-cart`), where the browser supports it
+ * - the `storage` event, which the browser fires in other tabs whenever
+ *   localStorage changes (also covers pages without BroadcastChannel)
+ * A change reported by both is only passed on once: listeners only run when
+ * the stored cart differs from the last one seen. Writing an unchanged cart
+ * does nothing, so tabs that reprice a cart they just received don't echo it
+ * back and forth.
+ *
+ * Usage:
+ *   CartSync.save(cart)                                      // instead of localStorage.setItem('cart', ...)
+ *   CartSync.subscribe(lines => { cart = lines; updateCartCount(); })
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const CartSync = (() => {
+  const settings = {
+    storageKey: 'cart',
+    channelName: 'techops-cart'
+  };
+
+  const listeners = [];
+  let channel = null;
+  let listening = false;
+
+  // Stored cart as last written or received by this tab, to skip repeated notifications
+  let lastValue = null;
+
+  /** @returns {string|null} The stored cart as JSON, or null when there is none */
+  const readRaw = () => {
+    try {
+      return localStorage.getItem(settings.storageKey);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  /**
+   * Reads the stored cart
+   * Missing or corrupted data reads as an empty cart
+   *
+   * @returns {Array<Object>} Cart lines
+   */
+  function read() {
+    try {
+      const stored = JSON.parse(readRaw() || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /** Passes the stored cart to the listeners (each gets its own copy of the lines) */
+  function notify() {
+    listeners.forEach(listener => {
+      const lines = read();
+      try {
+        listener(lines);
+      } catch (error) {
+        console.error('Cart sync listener failed:', error);
+      }
+    });
+  }
+
+  /** Notifies the listeners if another tab changed the cart since this tab last saw it */
+  function handleChange() {
+    const value = readRaw();
+    if (value === lastValue) return;
+    lastValue = value;
+    notify();
+  }
+
+  /** Starts listening to other tabs (browser only, once) */
+  function listen() {
+    if (listening || typeof window === 'undefined') return;
+    listening = true;
+    lastValue = readRaw();
+
+    // `key` is null when the whole of localStorage was cleared
+    window.addEventListener('storage', event => {
+      if (event.key === settings.storageKey || event.key === null) handleChange();
+    });
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(settings.channelName);
+      channel.onmessage = event => {
+        if (event.data && event.data.type === 'cart-changed') handleChange();
+      };
+    }
+  }
+
+  /** Tells the other tabs the cart changed */
+  function broadcast() {
+    if (channel) channel.postMessage({ type: 'cart-changed' });
+  }
+
+  /**
+   * Stores the cart and notifies this tab's listeners and the other tabs, unless it is unchanged
+   *
+   * @param {Array<Object>} lines - Cart lines
+   * @returns {boolean} Whether the stored cart changed
+   */
+  function save(lines) {
+    const value = JSON.stringify(lines);
+    if (value === readRaw()) return false;
+    try {
+      localStorage.setItem(settings.storageKey, value);
+    } catch (error) {
+      console.error('Failed to save cart to storage:', error);
+      return false;
+    }
+    lastValue = value;
+    broadcast();
+    notify();
+    return true;
+  }
+
+  /**
+   * Removes the stored cart (e.g. once an order is placed) and notifies this tab's listeners and the other tabs
+   */
+  function clear() {
+    if (readRaw() === null) return;
+    try {
+      localStorage.removeItem(settings.storageKey);
+    } catch (error) {
+      console.error('Failed to clear cart storage:', error);
+      return;
+    }
+    lastValue = null;
+    broadcast();
+    notify();
+  }
+
+  /**
+   * Calls a listener with the new cart lines whenever the cart changes, in this tab or another
+   *
+   * @param {Function} listener - Called with the cart lines
+   * @returns {Function} Stops calling the listener
+   */
+  function subscribe(listener) {
+    listen();
+    listeners.push(listener);
+    return () => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    };
+  }
+
+  return {
+    settings,
+    read,
+    save,
+    clear,
+    subscribe
+  };
+})();
@@ -0,0 +1,222 @@
+/*
+ * TechOps Catalog Schema
+ * =====================================================
+ *
+ * Validates products-data.json against the schema documented in
+ * DATA-STRUCTURE.md. Works in two places:
+ *
+ * - Browser: catalog.js runs every loaded catalog through validateCatalog(),
+ *   skips invalid entries and prints the report to the console.
+ * - Node: scripts/validate-catalog.js runs the same rules (plus a check that
+ *   image files exist) before catalog changes are committed.
+ *
+ * Errors make a product invalid (it is skipped). Warnings are reported only.
+ * `specs` are checked against the category templates in product-specs.js,
+ * which must be loaded first.
+ *
+ * Browser Support: Modern browsers (ES6+), Node.js 14+
+ */
+
+const CatalogSchema = (() => {
+  // In Node the spec templates are required; in the browser they are a global
+  const specTemplates = typeof ProductSpecs !== 'undefined' ? ProductSpecs : require('./product-specs.js');
+
+  /** Categories the site knows how to filter and display */
+  const CATEGORIES = ['Laptops', 'Components', 'Peripherals', 'Accessories'];
+
+  /** Product IDs: lowercase letters and digits separated by single hyphens */
+  const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+  /** Image paths must be site-relative under images/ or absolute http(s) URLs */
+  const IMAGE_PATTERN = /^(images\/[\w.\-\/]+\.(jpe?g|png|gif|webp|svg)|https?:\/\/\S+)$/i;
+
+  /**
+   * Field rules: `check` returns an error message or null for a present value
+   * Required fields are reported as missing before `check` runs
+   */
+  const FIELDS = {
+    id: {
+      required: true,
+      check: v => typeof v !== 'string' ? 'must be a string'
+        : (!ID_PATTERN.test(v) ? 'must contain only lowercase letters, digits and single hyphens' : null)
+    },
+    name: {
+      required: true,
+      check: v => typeof v !== 'string' || !v.trim() ? 'must be a non-empty string' : null
+    },
+    price: {
+      required: true,
+      check: v => typeof v !== 'number' || !Number.isFinite(v) ? 'must be a number'
+        : (v < 0 ? 'must be 0 or more' : null)
+    },
+    description: {
+      check: v => typeof v !== 'string' ? 'must be a string' : null
+    },
+    image: {
+      check: v => typeof v !== 'string' ? 'must be a string'
+        : (!IMAGE_PATTERN.test(v) ? 'must be an images/ path or an http(s) URL' : null)
+    },
+    brand: {
+      check: v => typeof v !== 'string' || !v.trim() ? 'must be a non-empty string' : null
+    },
+    category: {
+      required: true,
+      check: v => !CATEGORIES.includes(v) ? `must be one of: ${CATEGORIES.join(', ')}` : null
+    },
+    // Date the product joined the catalog (YYYY-MM-DD), used for "Newest" sorting
+    addedAt: {
+      check: v => typeof v !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(v) || Number.isNaN(Date.parse(v))
+        ? 'must be a date in YYYY-MM-DD format' : null
+    },
+    // Units on hand (inventory.js); products without it are not stock-tracked
+    stock: {
+      check: v => !Number.isInteger(v) || v < 0 ? 'must be a whole number, 0 or more' : null
+    },
+    backorder: {
+      check: v => typeof v !== 'boolean' ? 'must be true or false' : null
+    },
+    // Packed shipping weight in kg (shipping.js); products without it ship at the default weight
+    weight: {
+      check: v => typeof v !== 'number' || !Number.isFinite(v) || v <= 0 ? 'must be a number greater than 0' : null
+    },
+    // Packed box size in cm, for volumetric weight (shipping.js)
+    dimensions: {
+      check: v => typeof v !== 'object' || v === null || Array.isArray(v)
+        || ['length', 'width', 'height'].some(side => typeof v[side] !== 'number' || !(v[side] > 0))
+        ? 'must be an object with length, width and height in cm, each greater than 0' : null
+    },
+    discountPercent: {
+      check: v => typeof v !== 'number' || v < 0 || v > 100 ? 'must be a number between 0 and 100' : null
+    },
+    images: {
+      check: v => !Array.isArray(v) ? 'must be an array of image paths'
+        : (v.some(image => typeof image !== 'string' || !IMAGE_PATTERN.test(image)) ? 'must contain only images/ paths or http(s) URLs' : null)
+    },
+    // Keys and value types are checked against the category template in validateProduct()
+    specs: {
+      check: v => typeof v !== 'object' || Array.isArray(v) ? 'must be an object keyed by spec name' : null
+    }
+  };
+
+  /**
+   * Validates a single product object
+   *
+   * @param {*} product - Entry from the catalog array
+   * @param {number} index - Position in the array (used in the report)
+   * @param {Object} [options]
+   * @param {function(string): boolean} [options.imageExists] - Returns whether an image path exists
+   * @returns {{errors: Array<Object>, warnings: Array<Object>}} Issues found for this entry
+   */
+  function validateProduct(product, index, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const id = product && typeof product.id === 'string' ? product.id : null;
+    const issue = (field, message) => ({ index, id, field, message });
+
+    if (!product || typeof product !== 'object' || Array.isArray(product)) {
+      errors.push(issue(null, 'must be an object'));
+      return { errors, warnings };
+    }
+
+    Object.entries(FIELDS).forEach(([field, rule]) => {
+      const value = product[field];
+      if (value === undefined || value === null) {
+        if (rule.required) errors.push(issue(field, 'is required'));
+        return;
+      }
+      const message = rule.check(value);
+      if (message) errors.push(issue(field, message));
+    });
+
+    if (product.specs && typeof product.specs === 'object' && !Array.isArray(product.specs)) {
+      const specIssues = specTemplates.check(product.specs, product.category);
+      specIssues.errors.forEach(message => errors.push(issue('specs', message)));
+      specIssues.warnings.forEach(message => warnings.push(issue('specs', message)));
+    }
+
+    Object.keys(product)
+      .filter(field => !FIELDS[field])
+      .forEach(field => warnings.push(issue(field, 'is not a known field')));
+
+    if (options.imageExists) {
+      if (typeof product.image === 'string' && !options.imageExists(product.image)) {
+        errors.push(issue('image', `file not found: ${product.image}`));
+      }
+      if (Array.isArray(product.images)) {
+        product.images
+          .filter(image => typeof image === 'string' && !options.imageExists(image))
+          .forEach(image => errors.push(issue('images', `file not found: ${image}`)));
+      }
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Validates a whole catalog, including duplicate ID detection
+   * The first product with a given ID wins; later duplicates are invalid
+   *
+   * @param {*} data - Parsed products-data.json
+   * @param {Object} [options] - Passed to validateProduct
+   * @returns {{valid: Array<Object>, errors: Array<Object>, warnings: Array<Object>}}
+   */
+  function validateCatalog(data, options = {}) {
+    const result = { valid: [], errors: [], warnings: [] };
+
+    if (!Array.isArray(data)) {
+      result.errors.push({ index: null, id: null, field: null, message: 'Catalog must be a JSON array of products' });
+      return result;
+    }
+
+    const seenIds = new Set();
+    data.forEach((product, index) => {
+      const { errors, warnings } = validateProduct(product, index, options);
+
+      if (product && typeof product.id === 'string') {
+        if (seenIds.has(product.id)) {
+          errors.push({ index, id: product.id, field: 'id', message: 'is a duplicate of an earlier product' });
+        }
+        seenIds.add(product.id);
+      }
+
+      result.errors.push(...errors);
+      result.warnings.push(...warnings);
+      if (errors.length === 0) result.valid.push(product);
+    });
+
+    return result;
+  }
+
+  /**
+   * Formats a validation result as human-readable text
+   *
+   * @param {{valid: Array, errors: Array, warnings: Array}} result - Output of validateCatalog
+   * @returns {string} Multi-line report
+   */
+  function formatReport(result) {
+    const describe = entry => {
+      const where = entry.index === null ? 'Catalog' : `Product #${entry.index}${entry.id ? ` (${entry.id})` : ''}`;
+      return `  ${where}: ${entry.field ? `"${entry.field}" ` : ''}${entry.message}`;
+    };
+
+    const lines = [
+      `Catalog check: ${result.valid.length} valid product(s), ${result.errors.length} error(s), ${result.warnings.length} warning(s)`
+    ];
+    if (result.errors.length) lines.push('Errors:', ...result.errors.map(describe));
+    if (result.warnings.length) lines.push('Warnings:', ...result.warnings.map(describe));
+    return lines.join('\n');
+  }
+
+  return {
+    CATEGORIES,
+    FIELDS,
+    validateProduct,
+    validateCatalog,
+    formatReport
+  };
+})();
+
+// Allow the same rules to be required from Node (scripts/validate-catalog.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CatalogSchema;
+}
@@ -0,0 +1,186 @@
+/*
+ * TechOps Catalog Service
+ * =====================================================
+ *
+ * Single shared source of product data for every page. The catalog is fetched
+ * from products-data.json at most once per page load and kept in memory, so
+ * rendering, search, filtering and Add to Cart never trigger extra requests.
+ *
+ * Optionally the catalog is also persisted to sessionStorage together with the
+ * response's ETag (or Last-Modified) header. On the next page load the cached
+ * copy is revalidated with a conditional request and reused on 304 Not Modified.
+ *
+ * Usage:
+ *   Catalog.getAll().then(products => ...)
+ *   Catalog.getById('alienware-m16').then(product => ...)
+ *   Catalog.getByCategory('Laptops').then(products => ...)
+ *
+ * Every loaded catalog is checked with CatalogSchema (catalog-schema.js);
+ * invalid products are skipped and reported in the console.
+ *
+ * Must be loaded after catalog-schema.js and before script.js,
+ * checkout-app.js and contact-app.js.
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const Catalog = (() => {
+  /** Default settings; override with Catalog.configure() before the first load */
+  const settings = {
+    url: 'products-data.json',
+    persist: true,          // Keep a copy in sessionStorage between page loads
+    storageKey: 'catalogCache'
+  };
+
+  /** In-memory product list once loaded */
+  let products = null;
+
+  /** Pending load shared by concurrent callers */
+  let loading = null;
+
+  /**
+   * Reads the persisted catalog from sessionStorage
+   * @returns {{version: string|null, products: Array}|null} Cached entry or null
+   */
+  function readCache() {
+    if (!settings.persist) return null;
+    try {
+      const cached = JSON.parse(sessionStorage.getItem(settings.storageKey) || 'null');
+      return cached && Array.isArray(cached.products) ? cached : null;
+    } catch (error) {
+      console.warn('Ignoring corrupted catalog cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Persists the catalog and its version to sessionStorage
+   * @param {string|null} version - ETag or Last-Modified value of the response
+   * @param {Array} data - Raw product array
+   */
+  function writeCache(version, data) {
+    if (!settings.persist) return;
+    try {
+      sessionStorage.setItem(settings.storageKey, JSON.stringify({ version, products: data }));
+    } catch (error) {
+      console.warn('Failed to cache catalog:', error);
+    }
+  }
+
+  /**
+   * Fetches products-data.json, revalidating any cached copy
+   * Falls back to the cached copy if the network request fails
+   * @returns {Promise<Array>} Raw product array
+   */
+  function fetchCatalog() {
+    const cached = readCache();
+    const headers = {};
+    if (cached && cached.version) headers['If-None-Match'] = cached.version;
+
+    return fetch(settings.url, { headers, cache: 'no-store' })
+      .then(res => {
+        if (res.status === 304 && cached) return cached.products;
+        if (!res.ok) throw new Error('Failed to load product data');
+        const version = res.headers.get('ETag') || res.headers.get('Last-Modified');
+        return res.json().then(data => {
+          writeCache(version, data);
+          return data;
+        });
+      })
+      .catch(error => {
+        if (cached) {
+          console.warn('Using cached catalog, network request failed:', error);
+          return cached.products;
+        }
+        throw error;
+      });
+  }
+
+  /**
+   * Validates raw catalog data, logging a report when anything is wrong
+   * @param {*} data - Parsed products-data.json
+   * @returns {Array} Products that passed validation
+   */
+  function validate(data) {
+    const result = CatalogSchema.validateCatalog(data);
+    if (result.errors.length || result.warnings.length) {
+      const skipped = Array.isArray(data) ? data.length - result.valid.length : 0;
+      console.groupCollapsed(`Catalog: skipped ${skipped} invalid product(s)`);
+      console.warn(CatalogSchema.formatReport(result));
+      console.groupEnd();
+    }
+    return result.valid;
+  }
+
+  /**
+   * Loads the catalog once; later calls resolve from memory
+   * @returns {Promise<Array>} Products that passed schema validation
+   */
+  function load() {
+    if (products) return Promise.resolve(products);
+    if (loading) return loading;
+
+    loading = fetchCatalog()
+      .then(data => {
+        products = validate(data);
+        return products;
+      })
+      .catch(error => {
+        loading = null; // Allow a later call to retry
+        throw error;
+      });
+
+    return loading;
+  }
+
+  return {
+    /**
+     * Overrides default settings (url, persist, storageKey)
+     * Call before the first load; clears anything already loaded
+     * @param {Object} options - Settings to override
+     */
+    configure(options = {}) {
+      Object.assign(settings, options);
+      products = null;
+      loading = null;
+    },
+
+    load,
+
+    /**
+     * @returns {Promise<Array>} All valid products in file order
+     */
+    getAll() {
+      return load().then(list => list.slice());
+    },
+
+    /**
+     * @param {string} id - Product ID (SKU)
+     * @returns {Promise<Object|undefined>} Matching product, if any
+     */
+    getById(id) {
+      return load().then(list => list.find(p => p.id === id));
+    },
+
+    /**
+     * @param {string} category - Category name ('All' returns every product)
+     * @returns {Promise<Array>} Products in the category
+     */
+    getByCategory(category) {
+      return load().then(list => category === 'All' ? list.slice() : list.filter(p => p.category === category));
+    },
+
+    /**
+     * Drops the in-memory and persisted copies so the next call refetches
+     */
+    clear() {
+      products = null;
+      loading = null;
+      try {
+        sessionStorage.removeItem(settings.storageKey);
+      } catch (error) {
+        // sessionStorage unavailable - nothing to clear
+      }
+    }
+  };
+})();
@@ -5,25 +5,349 @@
  * Uses template literals instead of .vue files for educational simplicity
  * 
  * Components:
+ * - AddressFields: Country-driven address fields, used for the shipping and billing addresses
+ * - SavedAddresses: Address book picker with add/edit/delete and a default address (address-book.js)
  * - CheckoutForm: Complete checkout form with validation
  * - Main App: Shopping cart management and order processing
  * 
  * Features:
- * - Shopping cart display with quantity management
- * - Real-time form validation for shipping and payment details
+ * - Shopping cart display with quantity management, capped at the available stock
+ * - "Save for later" and "Move to cart" between the cart and the wishlist (wishlist.js)
+ * - Step-by-step checkout (cart review, shipping, delivery method, payment, review & confirm) with a
+ *   progress bar, per-step validation and browser back/forward between steps
+ * - Real-time form validation for shipping, billing and payment details
+ * - Separate billing address ("Billing address same as shipping" toggle) and a saved address book
  * - Dynamic shipping cost calculation
+ * - Promo codes (coupons.js) with the discount shown in the order summary
  * - Credit card input formatting and validation
- * - Order processing simulation with success feedback
- * - localStorage integration for cart persistence
+ * - Order submission through OrderApi with decline, timeout and retry handling
+ * - localStorage integration for cart persistence; the cart follows changes made in other tabs (cart-sync.js)
+ * - Checkout details autosaved as a draft and restored after a reload, never card details (checkout-draft.js)
  * 
- * Dependencies: Vue 3 (loaded via CDN)
+ * Dependencies: Vue 3 (loaded via CDN), catalog.js, promotions.js, inventory.js, wishlist.js, cart-sync.js, coupons.js, shipping.js, tax.js, address.js, address-book.js, card-utils.js, checkout-core.js, checkout-draft.js, order-api.js
  * Target Element: #app (checkout.html)
  * 
  * @version 1.0
  * @author IT Hardware Sale Website Project
  */
 
-const { createApp, ref, reactive, computed, onMounted } = Vue;
+const { createApp, ref, reactive, computed, watch, onMounted, onUnmounted } = Vue;
+
+/**
+ * AddressFields Component
+ *
+ * Country, street address, city, state and postcode of one checkout address, following the
+ * selected country's rules (address.js). The shipping address uses the canonical fields; with
+ * `billing` set, the fields are billingCountry, billingAddress, billingCity and so on
+ *
+ * Props:
+ * - form: The checkout form's reactive data; the address fields are edited in place
+ * - errors: The checkout form's reactive errors, updated as the fields are validated
+ * - billing: Whether this is the billing address
+ *
+ * Emits:
+ * - address-changed: Triggered when the country, state or postcode changes
+ *
+ * Features:
+ * - City, state and postcode labels, state lists and postcode formats follow the country
+ * - Postcode autocomplete from the bundled dataset: a postcode fills the city and state
+ */
+const AddressFields = {
+  props: {
+    form: Object,
+    errors: Object,
+    billing: Boolean
+  },
+  emits: ['address-changed'],
+  setup(props, { emit }) {
+    // Form field for an address field, e.g. 'city' or 'billingCity'
+    const key = field => (props.billing ? CheckoutCore.billingField(field) : field);
+
+    const validate = (field) => {
+      props.errors[key(field)] = CheckoutCore.validateField(key(field), props.form[key(field)], { data: props.form });
+    };
+
+    // Labels, state list and postcode format for the selected country
+    const countries = Address.COUNTRIES;
+    const countryRules = computed(() => Address.getCountry(props.form[key('country')]) || Address.COUNTRIES[0]);
+
+    // Localities offered for the typed postcode or city (address.js dataset)
+    const suggestions = ref([]);
+
+    // State or postcode change: validate it and report the new address
+    const changeField = (field) => {
+      if (field === 'postcode') props.form[key('postcode')] = Address.normalizePostcode(props.form[key('postcode')]);
+      validate(field);
+      emit('address-changed');
+    };
+
+    // Country change: keep the state only if the new country has it, and recheck what was already entered
+    const changeCountry = () => {
+      const stateRules = countryRules.value.state;
+      if (!stateRules || !stateRules.options.some(option => option.code === props.form[key('state')])) props.form[key('state')] = '';
+      suggestions.value = [];
+      validate('country');
+      ['city', 'state', 'postcode'].forEach(field => {
+        if (props.form[key(field)]) validate(field);
+        else props.errors[key(field)] = '';
+      });
+      emit('address-changed');
+    };
+
+    // Fills city, state and postcode from a locality
+    const applyLocality = (locality) => {
+      props.form[key('city')] = locality.city;
+      props.form[key('postcode')] = locality.postcode;
+      if (locality.state) props.form[key('state')] = locality.state;
+      suggestions.value = [];
+      ['city', 'state', 'postcode'].forEach(validate);
+      emit('address-changed');
+    };
+
+    // Postcode typed: a postcode with one locality fills the city and state; several are offered to pick from
+    const lookupPostcode = () => {
+      const matches = Address.lookup(props.form[key('postcode')], props.form[key('country')]);
+      suggestions.value = matches.length > 1 ? matches : [];
+      if (matches.length === 1) applyLocality(matches[0]);
+    };
+
+    // City typed: offer localities whose name (or postcode) starts with it
+    const suggestCity = () => {
+      suggestions.value = Address.suggest(props.form[key('city')], props.form[key('country')]);
+    };
+
+    return {
+      key,
+      validate,
+      countries,
+      countryRules,
+      labelInSentence: Address.labelInSentence,
+      suggestions,
+      changeField,
+      changeCountry,
+      applyLocality,
+      lookupPostcode,
+      suggestCity
+    };
+  },
+  template: `
+    <div class="row">
+      <div class="col-12 mb-3">
+        <label :for="key('country')" class="form-label">Country *</label>
+        <select 
+          :id="key('country')"
+          class="form-select"
+          v-model="form[key('country')]"
+          @change="changeCountry"
+          :class="{ 'is-invalid': errors[key('country')] }"
+        >
+          <option v-for="country in countries" :key="country.code" :value="country.code">{{ country.name }}</option>
+        </select>
+        <div v-if="errors[key('country')]" class="error-message">{{ errors[key('country')] }}</div>
+      </div>
+      
+      <div class="col-12 mb-3">
+        <label :for="key('address')" class="form-label">Street Address *</label>
+        <input 
+          type="text" 
+          :id="key('address')"
+          class="form-control"
+          v-model="form[key('address')]"
+          @blur="validate('address')"
+          :class="{ 'is-invalid': errors[key('address')] }"
+          placeholder="123 Main Street"
+        >
+        <div v-if="errors[key('address')]" class="error-message">{{ errors[key('address')] }}</div>
+      </div>
+      
+      <div class="mb-3" :class="countryRules.state ? 'col-md-4' : 'col-md-6'">
+        <label :for="key('city')" class="form-label">{{ countryRules.city.label }}{{ countryRules.city.required ? ' *' : '' }}</label>
+        <input 
+          type="text" 
+          :id="key('city')"
+          class="form-control"
+          v-model="form[key('city')]"
+          @input="suggestCity"
+          @blur="validate('city')"
+          :class="{ 'is-invalid': errors[key('city')] }"
+          :placeholder="countryRules.city.example"
+          :autocomplete="(billing ? 'billing' : 'shipping') + ' address-level2'"
+        >
+        <div v-if="errors[key('city')]" class="error-message">{{ errors[key('city')] }}</div>
+      </div>
+      
+      <div v-if="countryRules.state" class="col-md-4 mb-3">
+        <label :for="key('state')" class="form-label">{{ countryRules.state.label }}{{ countryRules.state.required ? ' *' : '' }}</label>
+        <select 
+          :id="key('state')"
+          class="form-select"
+          v-model="form[key('state')]"
+          @change="changeField('state')"
+          :class="{ 'is-invalid': errors[key('state')] }"
+        >
+          <option value="">Select {{ countryRules.state.label }}</option>
+          <option v-for="option in countryRules.state.options" :key="option.code" :value="option.code">{{ option.name }}</option>
+        </select>
+        <div v-if="errors[key('state')]" class="error-message">{{ errors[key('state')] }}</div>
+      </div>
+      
+      <div class="mb-3" :class="countryRules.state ? 'col-md-4' : 'col-md-6'">
+        <label :for="key('postcode')" class="form-label">{{ countryRules.postcode.label }}{{ countryRules.postcode.required ? ' *' : '' }}</label>
+        <input 
+          type="text" 
+          :id="key('postcode')"
+          class="form-control"
+          v-model="form[key('postcode')]"
+          @input="lookupPostcode"
+          @blur="changeField('postcode')"
+          :class="{ 'is-invalid': errors[key('postcode')] }"
+          :placeholder="countryRules.postcode.example"
+          :maxlength="countryRules.postcode.maxLength"
+          :autocomplete="(billing ? 'billing' : 'shipping') + ' postal-code'"
+        >
+        <div v-if="errors[key('postcode')]" class="error-message">{{ errors[key('postcode')] }}</div>
+      </div>
+      
+      <!-- Localities matching the typed postcode or city -->
+      <div v-if="suggestions.length" class="col-12 mb-3 address-suggestions">
+        <div class="small text-muted mb-1">Select your {{ labelInSentence(countryRules.city.label) }}:</div>
+        <button 
+          v-for="locality in suggestions" 
+          :key="locality.postcode + locality.city"
+          type="button"
+          class="btn btn-outline-neon btn-sm me-2 mb-2"
+          @click="applyLocality(locality)"
+        >
+          {{ locality.city }}<span v-if="locality.state"> {{ locality.state }}</span> {{ locality.postcode }}
+        </button>
+      </div>
+    </div>
+  `
+};
+
+/**
+ * SavedAddresses Component
+ *
+ * Address book (address-book.js) around one checkout address: lists the saved addresses to pick
+ * from, shows the address fields (default slot), and saves what was entered as a new address or
+ * over the one being edited
+ *
+ * Props:
+ * - addresses: AddressBook entries
+ * - editing: The entry being edited, or null when saving adds a new address
+ * - save: Saves the entered address under a label; returns an error message, or '' when it was saved
+ *
+ * Emits:
+ * - use: Triggered with the entry to fill the address from
+ * - edit: Triggered with the entry to edit (fill the address and update the entry on save)
+ * - cancel-edit: Triggered when editing is abandoned
+ * - remove: Triggered with the ID of the entry to delete
+ * - set-default: Triggered with the ID of the new default entry
+ */
+const SavedAddresses = {
+  props: {
+    addresses: Array,
+    editing: Object,
+    save: Function
+  },
+  emits: ['use', 'edit', 'cancel-edit', 'remove', 'set-default'],
+  setup(props) {
+    const label = ref('');
+    const message = ref('');
+    const messageIsError = ref(false);
+
+    // Editing an entry starts from its label
+    watch(() => props.editing, (entry) => {
+      label.value = entry ? entry.label : '';
+      message.value = '';
+    });
+
+    const submit = () => {
+      const updating = Boolean(props.editing);
+      const error = props.save(label.value);
+      messageIsError.value = Boolean(error);
+      message.value = error || (updating ? 'Saved address updated.' : 'Address saved to your address book.');
+      if (!error) label.value = '';
+    };
+
+    return {
+      label,
+      message,
+      messageIsError,
+      submit,
+      describe: AddressBook.describe
+    };
+  },
+  template: `
+    <div class="saved-addresses">
+      <div v-if="addresses.length" class="mb-3">
+        <div class="small text-muted mb-2">Saved addresses</div>
+        <div 
+          v-for="entry in addresses" 
+          :key="entry.id"
+          class="saved-address"
+          :class="{ editing: editing && editing.id === entry.id }"
+        >
+          <div class="d-flex justify-content-between align-items-start">
+            <div>
+              <strong>{{ entry.label || entry.name }}</strong>
+              <span v-if="entry.isDefault" class="badge ms-1">Default</span>
+              <div class="small text-muted">
+                <span v-if="entry.label">{{ entry.name }}, </span>{{ describe(entry) }}
+              </div>
+            </div>
+            <button type="button" class="btn btn-outline-neon btn-sm ms-2" @click="$emit('use', entry)">Use</button>
+          </div>
+          <div class="mt-1">
+            <button type="button" class="btn btn-link btn-sm p-0 me-3" @click="$emit('edit', entry)">Edit</button>
+            <button v-if="!entry.isDefault" type="button" class="btn btn-link btn-sm p-0 me-3" @click="$emit('set-default', entry.id)">Make default</button>
+            <button type="button" class="btn btn-link btn-sm p-0 text-danger" @click="$emit('remove', entry.id)">Delete</button>
+          </div>
+        </div>
+      </div>
+
+      <slot></slot>
+
+      <div class="row g-2 align-items-center mb-3">
+        <div class="col-sm-6">
+          <input 
+            type="text" 
+            class="form-control form-control-sm"
+            v-model="label"
+            maxlength="40"
+            placeholder="Label (optional), e.g. Office"
+            aria-label="Address label"
+          >
+        </div>
+        <div class="col-sm-6">
+          <button type="button" class="btn btn-outline-neon btn-sm" @click="submit">
+            <i class="bi bi-bookmark-plus me-1"></i>{{ editing ? 'Update saved address' : 'Save to address book' }}
+          </button>
+          <button v-if="editing" type="button" class="btn btn-link btn-sm" @click="$emit('cancel-edit')">Cancel</button>
+        </div>
+        <div v-if="message" class="col-12 small" :class="messageIsError ? 'text-danger' : 'text-success'">{{ message }}</div>
+      </div>
+    </div>
+  `
+};
+
+/**
+ * Checkout wizard steps, in order
+ * `fields` are the fields a step must pass before the shopper can move past it (CheckoutCore rules);
+ * the cart step instead needs at least one item
+ */
+const CHECKOUT_STEPS = [
+  { id: 'cart', label: 'Cart review', icon: 'bi-cart3', fields: [] },
+  {
+    id: 'shipping',
+    label: 'Shipping',
+    icon: 'bi-geo-alt',
+    fields: ['name', 'email', 'mobile', 'address', 'country', 'city', 'state', 'postcode', ...CheckoutCore.BILLING_FIELDS]
+  },
+  { id: 'delivery', label: 'Delivery method', icon: 'bi-truck', fields: [] },
+  { id: 'payment', label: 'Payment', icon: 'bi-credit-card', fields: CheckoutCore.PAYMENT_FIELDS },
+  { id: 'review', label: 'Review & confirm', icon: 'bi-clipboard-check', fields: [] }
+];
 
 /**
  * CheckoutForm Component
@@ -33,27 +357,47 @@ const { createApp, ref, reactive, computed, onMounted } = Vue;
  * 
  * Props:
  * - cartItems: Array of cart items to display
- * - cartTotal: Total cost of items in cart
- * - shippingCost: Current shipping cost based on selected method
+ * - totals: CheckoutCore.calculateTotals() result for the cart, destination and selected shipping method
+ * - verifyPrices: Reprices the cart from the catalog; resolves to the list of price changes
+ * - verifyStock: Fits the cart to the available stock; returns the lines that could not be fulfilled
  * 
  * Emits:
  * - order-placed: Triggered when order is successfully placed
- * - shipping-changed: Triggered when shipping method changes
+ * - shipping-changed: Triggered with the new shipping method value
+ * - destination-changed: Triggered with the new { country, state, postcode } when any of them changes (for shipping rates and tax)
+ * 
+ * Validation rules, shipping options (priced by shipping.js) and the order record come from CheckoutCore;
+ * address fields follow the selected country's rules (address.js, see AddressFields)
  * 
  * Features:
- * - Multi-section form (contact, shipping, payment)
+ * - Step-by-step flow (CHECKOUT_STEPS) with a progress bar; Next checks the current step's fields
+ *   and Back keeps everything entered
+ * - Each step is a browser history entry (#shipping, #payment, ...), so the back and forward
+ *   buttons move between steps; skipping ahead stops at the first step that doesn't pass
+ * - Review screen with the contact details, addresses, delivery, payment card and totals before ordering
+ * - Draft: everything but the card details is autosaved (CheckoutDraft) and restored after a reload,
+ *   with a "Start over" option; the draft is cleared once the order is placed
  * - Real-time validation with error feedback
- * - Credit card number formatting and validation
- * - Shipping method selection with cost calculation
- * - Order processing simulation with loading states
+ * - Country selector; city, state and postcode labels, state lists and postcode formats follow the country
+ * - Postcode autocomplete from the bundled dataset: a postcode fills the city and state
+ * - Billing address, the shipping address unless "Billing address same as shipping" is turned off
+ * - Address book: pick, save, edit and delete addresses for either block; the default prefills the shipping address
+ * - Card brand detection driving number grouping, CVV length and the brand icon (card-utils.js)
+ * - Shipping method selection with prices and delivery estimates for the cart and destination
+ * - Order submission through OrderApi with loading and error states
  */
 const CheckoutForm = {
+  components: {
+    AddressFields,
+    SavedAddresses
+  },
   props: {
     cartItems: Array,
-    cartTotal: Number,
-    shippingCost: Number
+    totals: Object,
+    verifyPrices: Function,
+    verifyStock: Function
   },
-  emits: ['order-placed', 'shipping-changed'],
+  emits: ['order-placed', 'shipping-changed', 'destination-changed'],
   setup(props, { emit }) {
     // Form data
     const formData = reactive({
@@ -65,7 +409,17 @@ const CheckoutForm = {
       city: '',
       state: '',
       postcode: '',
-      shippingMethod: 'standard',
+      country: Address.settings.defaultCountry,
+      shippingMethod: Shipping.METHODS[0].value,
+      
+      // Billing (checked and stored only when not the same as shipping)
+      billingSameAsShipping: true,
+      billingName: '',
+      billingAddress: '',
+      billingCountry: Address.settings.defaultCountry,
+      billingCity: '',
+      billingState: '',
+      billingPostcode: '',
       
       // Payment
       cardNumber: '',
@@ -74,15 +428,28 @@ const CheckoutForm = {
       cardName: ''
     });
 
+    // Restore details typed before a reload; the defaults above are kept for "Start over"
+    const blankForm = CheckoutDraft.pick(formData);
+    const draft = CheckoutDraft.load();
+    const draftRestored = ref(Boolean(draft));
+    if (draft) Object.assign(formData, draft.fields);
+
     // Validation errors
     const errors = reactive({
       name: '',
       email: '',
       mobile: '',
       address: '',
+      country: '',
       city: '',
       state: '',
       postcode: '',
+      billingName: '',
+      billingAddress: '',
+      billingCountry: '',
+      billingCity: '',
+      billingState: '',
+      billingPostcode: '',
       cardNumber: '',
       expiryDate: '',
       cvv: '',
@@ -93,179 +460,184 @@ const CheckoutForm = {
     const isProcessing = ref(false);
     const orderPlaced = ref(false);
     const orderNumber = ref('');
+    const priceNotice = ref('');
+    const submitError = ref('');
+    const stockIssues = ref([]);
 
-    // Shipping options
-    const shippingOptions = ref([
-      { value: 'standard', label: 'Standard Shipping', cost: 0, description: 'Free, 5-7 business days' },
-      { value: 'express', label: 'Express Shipping', cost: 15, description: '$15.00, 2-3 business days' },
-      { value: 'overnight', label: 'Overnight Shipping', cost: 35, description: '$35.00, Next business day' }
-    ]);
+    // Wizard state; furthestStep is the last step reached, so the progress bar can jump back to it
+    const steps = CHECKOUT_STEPS;
+    const stepIndex = ref(0);
+    const furthestStep = ref(0);
+    const stepError = ref('');
+    const currentStep = computed(() => steps[stepIndex.value]);
+    const progress = computed(() => Math.round((stepIndex.value / (steps.length - 1)) * 100));
+    const indexOfStep = id => steps.findIndex(step => step.id === id);
 
-    // Computed total
-    const finalTotal = computed(() => {
-      return props.cartTotal + props.shippingCost;
-    });
+    // Validates one field with the shared rules; returns whether it passed
+    const validateField = (field) => {
+      errors[field] = CheckoutCore.validateField(field, formData[field], { data: formData });
+      return !errors[field];
+    };
 
-    // Validation functions
-    const validateName = () => {
-      if (!formData.name.trim()) {
-        errors.name = 'Full name is required';
-        return false;
-      }
-      errors.name = '';
-      return true;
+    const validateForm = () => {
+      const result = CheckoutCore.validateAll(formData);
+      Object.assign(errors, result.errors);
+      return result.valid;
     };
 
-    const validateEmail = () => {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!formData.email.trim()) {
-        errors.email = 'Email is required';
-        return false;
-      }
-      if (!emailRegex.test(formData.email)) {
-        errors.email = 'Please enter a valid email address';
-        return false;
+    // Checks the fields of one step and shows their errors; returns whether it passed
+    const validateStep = (index) => {
+      const step = steps[index];
+      if (step.id === 'cart') {
+        stepError.value = props.cartItems.length ? '' : 'Your cart is empty. Add something before checking out.';
+        return !stepError.value;
       }
-      errors.email = '';
-      return true;
+      const result = CheckoutCore.validateAll(formData, { fields: step.fields });
+      Object.assign(errors, result.errors);
+      return result.valid;
     };
 
-    const validateMobile = () => {
-      const mobileRegex = /^[\d\s+\-()]{10,15}$/;
-      if (!formData.mobile.trim()) {
-        errors.mobile = 'Mobile number is required';
-        return false;
-      }
-      if (!mobileRegex.test(formData.mobile)) {
-        errors.mobile = 'Please enter a valid mobile number';
-        return false;
-      }
-      errors.mobile = '';
-      return true;
+    // Records the current step in the browser history (push for a new entry, replace to correct the current one)
+    const recordStep = (mode) => {
+      const state = { ...(history.state || {}), checkoutStep: currentStep.value.id };
+      const url = `${window.location.pathname}${window.location.search}#${currentStep.value.id}`;
+      if (mode === 'push') history.pushState(state, '', url);
+      else history.replaceState(state, '', url);
     };
 
-    const validateAddress = () => {
-      if (!formData.address.trim()) {
-        errors.address = 'Address is required';
-        return false;
+    /**
+     * Moves to a step; going forward checks every step on the way and stops at the first that doesn't pass
+     * @param {number} target - Step index
+     * @param {Object} [options]
+     * @param {string} [options.history] - 'push' to add a history entry, or 'replace' when the move came from the history itself
+     */
+    const goToStep = (target, { history: mode = 'push' } = {}) => {
+      let reached = target;
+      for (let index = Math.min(stepIndex.value, target); index < target; index++) {
+        if (!validateStep(index)) {
+          reached = index;
+          break;
+        }
       }
-      errors.address = '';
-      return true;
+
+      const moved = reached !== stepIndex.value;
+      stepIndex.value = reached;
+      furthestStep.value = Math.max(furthestStep.value, reached);
+      if (reached === target) stepError.value = '';
+      if (moved || mode === 'replace') recordStep(moved ? mode : 'replace');
+      if (moved) window.scrollTo({ top: 0, behavior: 'smooth' });
     };
 
-    const validateCity = () => {
-      if (!formData.city.trim()) {
-        errors.city = 'City is required';
-        return false;
-      }
-      errors.city = '';
-      return true;
+    const nextStep = () => goToStep(stepIndex.value + 1);
+
+    const previousStep = () => {
+      if (stepIndex.value > 0) goToStep(stepIndex.value - 1);
     };
 
-    const validateState = () => {
-      if (!formData.state.trim()) {
-        errors.state = 'State is required';
-        return false;
-      }
-      errors.state = '';
-      return true;
+    // Browser back/forward between steps
+    const handlePopState = (event) => {
+      const id = event.state && event.state.checkoutStep ? event.state.checkoutStep : window.location.hash.slice(1);
+      const index = indexOfStep(id);
+      goToStep(index === -1 ? 0 : index, { history: 'replace' });
     };
 
-    const validatePostcode = () => {
-      const postcodeRegex = /^\d{4}$/;
-      if (!formData.postcode.trim()) {
-        errors.postcode = 'Postcode is required';
-        return false;
-      }
-      if (!postcodeRegex.test(formData.postcode)) {
-        errors.postcode = 'Please enter a valid 4-digit postcode';
-        return false;
-      }
-      errors.postcode = '';
-      return true;
+    // Shipping method change
+    const changeShippingMethod = (method) => {
+      formData.shippingMethod = method;
+      emit('shipping-changed', method);
     };
 
-    const validateCardNumber = () => {
-      const cardRegex = /^\d{4}\s\d{4}\s\d{4}\s\d{4}$/;
-      if (!formData.cardNumber.trim()) {
-        errors.cardNumber = 'Card number is required';
-        return false;
-      }
-      if (!cardRegex.test(formData.cardNumber)) {
-        errors.cardNumber = 'Please enter a valid card number (1234 5678 9012 3456)';
-        return false;
-      }
-      errors.cardNumber = '';
-      return true;
+    // Country rules of the shipping address, for the shipping method hint and the success message
+    const countryRules = computed(() => Address.getCountry(formData.country) || Address.COUNTRIES[0]);
+
+    // Shipping rates and tax are re-quoted for the new destination
+    const emitDestination = () => {
+      emit('destination-changed', { country: formData.country, state: formData.state, postcode: formData.postcode });
     };
 
-    const validateExpiryDate = () => {
-      const expiryRegex = /^(0[1-9]|1[0-2])\/\d{2}$/;
-      if (!formData.expiryDate.trim()) {
-        errors.expiryDate = 'Expiry date is required';
-        return false;
-      }
-      if (!expiryRegex.test(formData.expiryDate)) {
-        errors.expiryDate = 'Please enter a valid expiry date (MM/YY)';
-        return false;
-      }
-      errors.expiryDate = '';
-      return true;
+    // Autosave the draft fields as they change (card fields aren't watched, so typing them saves nothing)
+    watch(() => CheckoutDraft.pick(formData), fields => CheckoutDraft.save(fields));
+
+    // Clears the restored details and the saved draft
+    const discardDraft = () => {
+      Object.assign(formData, blankForm);
+      Object.keys(errors).forEach(field => { errors[field] = ''; });
+      CheckoutDraft.clear();
+      draftRestored.value = false;
+      emit('shipping-changed', formData.shippingMethod);
+      emitDestination();
     };
 
-    const validateCvv = () => {
-      const cvvRegex = /^\d{3,4}$/;
-      if (!formData.cvv.trim()) {
-        errors.cvv = 'CVV is required';
-        return false;
-      }
-      if (!cvvRegex.test(formData.cvv)) {
-        errors.cvv = 'Please enter a valid CVV (3-4 digits)';
-        return false;
-      }
-      errors.cvv = '';
-      return true;
+    // Billing toggle: clear billing errors when it goes back to the shipping address
+    const toggleBilling = () => {
+      if (formData.billingSameAsShipping) CheckoutCore.BILLING_FIELDS.forEach(field => { errors[field] = ''; });
     };
 
-    const validateCardName = () => {
-      if (!formData.cardName.trim()) {
-        errors.cardName = 'Name on card is required';
-        return false;
-      }
-      errors.cardName = '';
-      return true;
+    // Address book (address-book.js); each block ('shipping' or 'billing') can edit one entry at a time
+    const savedAddresses = ref(AddressBook.load());
+    const editingAddress = reactive({ shipping: null, billing: null });
+
+    // Form field for an address field of a block, e.g. ('billing', 'city') -> 'billingCity'
+    const blockField = (block, field) => (block === 'billing' ? CheckoutCore.billingField(field) : field);
+
+    // Fills a block from a saved address and checks it against the current rules
+    const useSavedAddress = (block, entry) => {
+      CheckoutCore.ADDRESS_FIELDS.forEach(field => {
+        formData[blockField(block, field)] = entry[field] || '';
+      });
+      CheckoutCore.ADDRESS_FIELDS.forEach(field => validateField(blockField(block, field)));
+      if (block === 'shipping') emitDestination();
     };
 
-    const validateForm = () => {
-      const validations = [
-        validateName(),
-        validateEmail(),
-        validateMobile(),
-        validateAddress(),
-        validateCity(),
-        validateState(),
-        validatePostcode(),
-        validateCardNumber(),
-        validateExpiryDate(),
-        validateCvv(),
-        validateCardName()
-      ];
-      return validations.every(Boolean);
+    const editSavedAddress = (block, entry) => {
+      useSavedAddress(block, entry);
+      editingAddress[block] = entry;
     };
 
-    // Shipping method change
-    const changeShippingMethod = (method) => {
-      formData.shippingMethod = method;
-      const selectedOption = shippingOptions.value.find(opt => opt.value === method);
-      emit('shipping-changed', selectedOption.cost);
+    // Saves a block's address, over the entry being edited or as a new one (an identical saved address is updated)
+    const saveAddress = (block, label) => {
+      const valid = CheckoutCore.ADDRESS_FIELDS.map(field => validateField(blockField(block, field))).every(Boolean);
+      if (!valid) return 'Please fix the address before saving it.';
+
+      const address = { label };
+      CheckoutCore.ADDRESS_FIELDS.forEach(field => {
+        address[field] = formData[blockField(block, field)];
+      });
+      const existing = editingAddress[block] || AddressBook.findMatch(address);
+      if (existing) AddressBook.update(existing.id, address);
+      else AddressBook.add(address);
+      editingAddress[block] = null;
+      savedAddresses.value = AddressBook.load();
+      return '';
+    };
+
+    const removeSavedAddress = (id) => {
+      ['shipping', 'billing'].forEach(block => {
+        if (editingAddress[block] && editingAddress[block].id === id) editingAddress[block] = null;
+      });
+      savedAddresses.value = AddressBook.remove(id);
+    };
+
+    const setDefaultAddress = (id) => {
+      savedAddresses.value = AddressBook.setDefault(id);
     };
 
-    // Format card number input
+    // Card brand drives number grouping, maximum length and CVV length
+    const cardBrands = CardUtils.BRANDS;
+    const cardBrand = computed(() => CardUtils.detectBrand(formData.cardNumber));
+    const cardNumberMaxLength = computed(() => CardUtils.maxFormattedLength(formData.cardNumber));
+    const cvvLength = computed(() => CardUtils.cvvLength(formData.cardNumber));
+
+    // Format card number input in the brand's digit groups
     const formatCardNumber = () => {
-      let value = formData.cardNumber.replace(/\s/g, '').replace(/\D/g, '');
-      value = value.substring(0, 16);
-      value = value.replace(/(.{4})/g, '$1 ').trim();
-      formData.cardNumber = value;
+      formData.cardNumber = CardUtils.format(formData.cardNumber);
+      // A brand change can make an entered CVV valid or invalid
+      if (formData.cvv && errors.cvv) validateField('cvv');
+    };
+
+    // Keep only as many digits as the brand's security code has
+    const formatCvv = () => {
+      formData.cvv = formData.cvv.replace(/\D/g, '').slice(0, cvvLength.value);
     };
 
     // Format expiry date input
@@ -277,68 +649,146 @@ const CheckoutForm = {
       formData.expiryDate = value;
     };
 
-    // Handle form submission
+    // Review screen details
+    const cardSummary = computed(() => {
+      const last4 = formData.cardNumber.replace(/\D/g, '').slice(-4);
+      return `${cardBrand.value ? cardBrand.value.name : 'Card'} ending in ${last4}`;
+    });
+
+    // Address lines for the review screen: street, city/state/postcode and country
+    const reviewAddress = address => [
+      address.address,
+      [address.city, address.state, address.postcode].filter(Boolean).join(' '),
+      Address.countryName(address.country)
+    ].filter(Boolean);
+    const shippingLines = computed(() => reviewAddress(formData));
+    const billingLines = computed(() => reviewAddress(CheckoutCore.billingAddressFor(formData)));
+    const taxLabel = computed(() => Tax.labelFor(props.totals.tax));
+
+    // Handle form submission; Enter on an earlier step moves to the next one
     const handleSubmit = async () => {
+      if (currentStep.value.id !== 'review') {
+        nextStep();
+        return;
+      }
+
+      // Send the shopper back to the first step with a problem
       if (!validateForm()) {
+        const invalid = steps.findIndex(step => step.fields.some(field => errors[field]));
+        goToStep(invalid === -1 ? 0 : invalid);
         return;
       }
 
       isProcessing.value = true;
+      priceNotice.value = '';
+      submitError.value = '';
+      stockIssues.value = [];
 
-      // Simulate payment processing
       try {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Generate order number
-        orderNumber.value = 'TO' + Date.now().toString().slice(-8);
-        
-        // Place order
-        const orderData = {
-          orderNumber: orderNumber.value,
-          customerInfo: { ...formData },
-          items: props.cartItems,
-          subtotal: props.cartTotal,
-          shipping: props.shippingCost,
-          total: finalTotal.value,
-          timestamp: new Date().toISOString()
-        };
-        
-        emit('order-placed', orderData);
-        orderPlaced.value = true;
-        
-        // Clear cart (this would typically be handled by the parent)
-        if (typeof clearCart === 'function') {
-          clearCart();
+        // Never charge stored prices: recheck against the catalog and stop if anything changed
+        const priceChanges = props.verifyPrices ? await props.verifyPrices() : [];
+        if (priceChanges.length > 0) {
+          priceNotice.value = 'Some prices changed since you added them. Please review your order and submit again.';
+          return;
         }
+
+        // Stop if some lines can't be fulfilled; the cart has been reduced to what is available
+        const unfulfilled = props.verifyStock ? props.verifyStock() : [];
+        if (unfulfilled.length > 0) {
+          stockIssues.value = unfulfilled.map(issue => Inventory.describeIssue(issue));
+          return;
+        }
+
+        // Never place an order without the discount the shopper expects
+        if (props.totals.couponError) {
+          submitError.value = `Your promo code can't be used: ${props.totals.couponError}. Remove it or update your cart to continue.`;
+          return;
+        }
+
+        // Submit the order; only the card's last 4 digits leave the form
+        const order = await OrderApi.createOrder(CheckoutCore.createOrder(formData, props.totals), {
+          last4: formData.cardNumber.replace(/\D/g, '').slice(-4)
+        });
+        orderNumber.value = order.orderNumber;
+        CheckoutDraft.clear();
         
+        emit('order-placed', order);
+        orderPlaced.value = true;
       } catch (error) {
-        console.error('Payment failed:', error);
+        console.error('Order submission failed:', error);
+        submitError.value = error.code === 'card_declined'
+          ? error.message
+          : `We could not place your order: ${error.message}. Please try again.`;
       } finally {
         isProcessing.value = false;
       }
     };
 
+    // Postcode autocomplete data; the form works without it
+    // A restored draft re-quotes shipping and tax for its method and destination
+    // A returning shopper's default address fills an empty shipping address
+    // The wizard always starts at the cart review: a step in the URL would skip the checks before it
+    onMounted(() => {
+      Address.load();
+      if (draft) {
+        emit('shipping-changed', formData.shippingMethod);
+        emitDestination();
+      }
+      const defaultAddress = AddressBook.getDefault();
+      if (defaultAddress && !formData.address) useSavedAddress('shipping', defaultAddress);
+      recordStep('replace');
+      window.addEventListener('popstate', handlePopState);
+    });
+
+    onUnmounted(() => {
+      window.removeEventListener('popstate', handlePopState);
+    });
+
     return {
       formData,
       errors,
+      steps,
+      stepIndex,
+      furthestStep,
+      stepError,
+      currentStep,
+      progress,
+      indexOfStep,
+      goToStep,
+      nextStep,
+      previousStep,
+      cardSummary,
+      shippingLines,
+      billingLines,
+      taxLabel,
+      describeTax: Tax.describe,
+      draftRestored,
+      discardDraft,
       isProcessing,
       orderPlaced,
       orderNumber,
-      shippingOptions,
-      finalTotal,
-      validateName,
-      validateEmail,
-      validateMobile,
-      validateAddress,
-      validateCity,
-      validateState,
-      validatePostcode,
-      validateCardNumber,
-      validateExpiryDate,
-      validateCvv,
-      validateCardName,
+      priceNotice,
+      submitError,
+      stockIssues,
+      validateField,
       changeShippingMethod,
+      countryRules,
+      labelInSentence: Address.labelInSentence,
+      emitDestination,
+      toggleBilling,
+      savedAddresses,
+      editingAddress,
+      useSavedAddress,
+      editSavedAddress,
+      saveAddress,
+      removeSavedAddress,
+      setDefaultAddress,
+      cardBrands,
+      cardBrand,
+      cardNumberMaxLength,
+      cvvLength,
       formatCardNumber,
+      formatCvv,
       formatExpiryDate,
       handleSubmit
     };
@@ -352,140 +802,188 @@ const CheckoutForm = {
         <p>Thank you {{ formData.name }}! Your order has been confirmed and will be shipped to:</p>
         <address>
           {{ formData.address }}<br>
-          {{ formData.city }}, {{ formData.state }} {{ formData.postcode }}
+          {{ formData.city }}, {{ formData.state }} {{ formData.postcode }}<br>
+          {{ countryRules.name }}
         </address>
         <p>A confirmation email has been sent to {{ formData.email }}</p>
         <div class="mt-3">
-          <a href="index.html" class="btn btn-neon me-2">Continue Shopping</a>
+          <a :href="'order-confirmation.html?order=' + encodeURIComponent(orderNumber)" class="btn btn-neon me-2">View Receipt</a>
+          <a href="index.html" class="btn btn-outline-neon me-2">Continue Shopping</a>
           <a href="products.html" class="btn btn-outline-neon">View Products</a>
         </div>
       </div>
 
       <!-- Checkout Form -->
       <form v-if="!orderPlaced" @submit.prevent="handleSubmit">
-        <!-- Contact & Shipping Information -->
-        <div class="form-section">
-          <h5 class="mb-3"><i class="bi bi-person me-2"></i>Contact & Shipping Information</h5>
-          
-          <div class="row">
-            <div class="col-12 mb-3">
-              <label for="name" class="form-label">Full Name *</label>
-              <input 
-                type="text" 
-                id="name"
-                class="form-control"
-                v-model="formData.name"
-                @blur="validateName"
-                :class="{ 'is-invalid': errors.name }"
-                placeholder="John Doe"
-              >
-              <div v-if="errors.name" class="error-message">{{ errors.name }}</div>
-            </div>
-            
-            <div class="col-md-6 mb-3">
-              <label for="email" class="form-label">Email Address *</label>
-              <input 
-                type="email" 
-                id="email"
-                class="form-control"
-                v-model="formData.email"
-                @blur="validateEmail"
-                :class="{ 'is-invalid': errors.email }"
-                placeholder="john@example.com"
-              >
-              <div v-if="errors.email" class="error-message">{{ errors.email }}</div>
-            </div>
-            
-            <div class="col-md-6 mb-3">
-              <label for="mobile" class="form-label">Mobile Number *</label>
-              <input 
-                type="tel" 
-                id="mobile"
-                class="form-control"
-                v-model="formData.mobile"
-                @blur="validateMobile"
-                :class="{ 'is-invalid': errors.mobile }"
-                placeholder="+61 400 000 000"
-              >
-              <div v-if="errors.mobile" class="error-message">{{ errors.mobile }}</div>
-            </div>
-            
-            <div class="col-12 mb-3">
-              <label for="address" class="form-label">Street Address *</label>
-              <input 
-                type="text" 
-                id="address"
-                class="form-control"
-                v-model="formData.address"
-                @blur="validateAddress"
-                :class="{ 'is-invalid': errors.address }"
-                placeholder="123 Main Street"
+        <!-- Progress -->
+        <nav class="checkout-progress mb-4" aria-label="Checkout steps">
+          <div class="progress mb-3" role="progressbar" aria-label="Checkout progress" :aria-valuenow="progress" aria-valuemin="0" aria-valuemax="100">
+            <div class="progress-bar" :style="{ width: progress + '%' }"></div>
+          </div>
+          <ol class="checkout-steps">
+            <li 
+              v-for="(step, index) in steps" 
+              :key="step.id"
+              class="checkout-step"
+              :class="{ active: index === stepIndex, complete: index < stepIndex }"
+            >
+              <button 
+                type="button" 
+                class="btn btn-link p-0"
+                :disabled="index > furthestStep"
+                :aria-current="index === stepIndex ? 'step' : null"
+                @click="goToStep(index)"
               >
-              <div v-if="errors.address" class="error-message">{{ errors.address }}</div>
+                <i class="bi me-1" :class="index < stepIndex ? 'bi-check-circle-fill' : step.icon"></i>{{ step.label }}
+              </button>
+            </li>
+          </ol>
+        </nav>
+
+        <!-- Restored draft -->
+        <div v-if="draftRestored" class="alert alert-info d-flex justify-content-between align-items-center">
+          <span><i class="bi bi-arrow-counterclockwise me-2"></i>We restored the details you entered earlier. Card details are never saved.</span>
+          <button type="button" class="btn btn-link btn-sm p-0 ms-3" @click="discardDraft">Start over</button>
+        </div>
+
+        <!-- Cart Review -->
+        <div v-show="currentStep.id === 'cart'" class="form-section">
+          <h5 class="mb-3"><i class="bi bi-cart3 me-2"></i>Review Your Cart</h5>
+          <p v-if="!cartItems.length" class="text-muted mb-0">Your cart is empty. <a href="products.html">Browse products</a></p>
+          <template v-else>
+            <div v-for="line in totals.lines" :key="line.id" class="review-line d-flex justify-content-between">
+              <div>
+                <strong>{{ line.name }}</strong>
+                <div class="small text-muted">{{ line.quantity }} x \${{ line.unitPrice.toFixed(2) }}<span v-if="line.freeUnits > 0">, {{ line.freeUnits }} free</span></div>
+                <div v-if="line.promotions.length" class="small text-success">{{ line.promotions.join(', ') }}</div>
+              </div>
+              <strong>\${{ line.lineTotal.toFixed(2) }}</strong>
             </div>
+            <p class="small text-muted mt-3 mb-0">Change quantities, save items for later or add a promo code in the order summary.</p>
+          </template>
+        </div>
+
+        <!-- Shipping: contact details, shipping and billing addresses -->
+        <div v-show="currentStep.id === 'shipping'">
+          <!-- Contact & Shipping Information -->
+          <div class="form-section">
+            <h5 class="mb-3"><i class="bi bi-person me-2"></i>Contact & Shipping Information</h5>
+          
+            <SavedAddresses
+              :addresses="savedAddresses"
+              :editing="editingAddress.shipping"
+              :save="label => saveAddress('shipping', label)"
+              @use="entry => useSavedAddress('shipping', entry)"
+              @edit="entry => editSavedAddress('shipping', entry)"
+              @cancel-edit="editingAddress.shipping = null"
+              @remove="removeSavedAddress"
+              @set-default="setDefaultAddress"
+            >
+              <div class="row">
+                <div class="col-12 mb-3">
+                  <label for="name" class="form-label">Full Name *</label>
+                  <input 
+                    type="text" 
+                    id="name"
+                    class="form-control"
+                    v-model="formData.name"
+                    @blur="validateField('name')"
+                    :class="{ 'is-invalid': errors.name }"
+                    placeholder="John Doe"
+                  >
+                  <div v-if="errors.name" class="error-message">{{ errors.name }}</div>
+                </div>
+              
+                <div class="col-md-6 mb-3">
+                  <label for="email" class="form-label">Email Address *</label>
+                  <input 
+                    type="email" 
+                    id="email"
+                    class="form-control"
+                    v-model="formData.email"
+                    @blur="validateField('email')"
+                    :class="{ 'is-invalid': errors.email }"
+                    placeholder="john@example.com"
+                  >
+                  <div v-if="errors.email" class="error-message">{{ errors.email }}</div>
+                </div>
+              
+                <div class="col-md-6 mb-3">
+                  <label for="mobile" class="form-label">Mobile Number *</label>
+                  <input 
+                    type="tel" 
+                    id="mobile"
+                    class="form-control"
+                    v-model="formData.mobile"
+                    @blur="validateField('mobile')"
+                    :class="{ 'is-invalid': errors.mobile }"
+                    placeholder="+61 400 000 000"
+                  >
+                  <div v-if="errors.mobile" class="error-message">{{ errors.mobile }}</div>
+                </div>
+              </div>
             
-            <div class="col-md-4 mb-3">
-              <label for="city" class="form-label">City *</label>
+              <AddressFields :form="formData" :errors="errors" @address-changed="emitDestination" />
+            </SavedAddresses>
+          </div>
+
+          <!-- Billing Address -->
+          <div class="form-section">
+            <h5 class="mb-3"><i class="bi bi-receipt me-2"></i>Billing Address</h5>
+          
+            <div class="form-check form-switch mb-3">
               <input 
-                type="text" 
-                id="city"
-                class="form-control"
-                v-model="formData.city"
-                @blur="validateCity"
-                :class="{ 'is-invalid': errors.city }"
-                placeholder="Melbourne"
-              >
-              <div v-if="errors.city" class="error-message">{{ errors.city }}</div>
-            </div>
-            
-            <div class="col-md-4 mb-3">
-              <label for="state" class="form-label">State *</label>
-              <select 
-                id="state"
-                class="form-select"
-                v-model="formData.state"
-                @change="validateState"
-                :class="{ 'is-invalid': errors.state }"
+                type="checkbox" 
+                id="billingSameAsShipping"
+                class="form-check-input"
+                v-model="formData.billingSameAsShipping"
+                @change="toggleBilling"
               >
-                <option value="">Select State</option>
-                <option value="NSW">NSW</option>
-                <option value="VIC">VIC</option>
-                <option value="QLD">QLD</option>
-                <option value="SA">SA</option>
-                <option value="WA">WA</option>
-                <option value="TAS">TAS</option>
-                <option value="NT">NT</option>
-                <option value="ACT">ACT</option>
-              </select>
-              <div v-if="errors.state" class="error-message">{{ errors.state }}</div>
+              <label for="billingSameAsShipping" class="form-check-label">Billing address same as shipping</label>
             </div>
+          
+            <SavedAddresses
+              v-if="!formData.billingSameAsShipping"
+              :addresses="savedAddresses"
+              :editing="editingAddress.billing"
+              :save="label => saveAddress('billing', label)"
+              @use="entry => useSavedAddress('billing', entry)"
+              @edit="entry => editSavedAddress('billing', entry)"
+              @cancel-edit="editingAddress.billing = null"
+              @remove="removeSavedAddress"
+              @set-default="setDefaultAddress"
+            >
+              <div class="row">
+                <div class="col-12 mb-3">
+                  <label for="billingName" class="form-label">Full Name *</label>
+                  <input 
+                    type="text" 
+                    id="billingName"
+                    class="form-control"
+                    v-model="formData.billingName"
+                    @blur="validateField('billingName')"
+                    :class="{ 'is-invalid': errors.billingName }"
+                    placeholder="Accounts Payable"
+                  >
+                  <div v-if="errors.billingName" class="error-message">{{ errors.billingName }}</div>
+                </div>
+              </div>
             
-            <div class="col-md-4 mb-3">
-              <label for="postcode" class="form-label">Postcode *</label>
-              <input 
-                type="text" 
-                id="postcode"
-                class="form-control"
-                v-model="formData.postcode"
-                @blur="validatePostcode"
-                :class="{ 'is-invalid': errors.postcode }"
-                placeholder="3000"
-                maxlength="4"
-              >
-              <div v-if="errors.postcode" class="error-message">{{ errors.postcode }}</div>
-            </div>
+              <AddressFields :form="formData" :errors="errors" billing />
+            </SavedAddresses>
           </div>
         </div>
 
         <!-- Shipping Method -->
-        <div class="form-section">
+        <div v-show="currentStep.id === 'delivery'" class="form-section">
           <h5 class="mb-3"><i class="bi bi-truck me-2"></i>Shipping Method</h5>
+          <p v-if="!formData.postcode" class="text-muted small">Enter your {{ labelInSentence(countryRules.postcode.label) }} for exact rates and delivery dates.</p>
           <div 
-            v-for="option in shippingOptions" 
+            v-for="option in totals.shippingOptions" 
             :key="option.value"
             @click="changeShippingMethod(option.value)"
             class="shipping-option"
-            :class="{ selected: formData.shippingMethod === option.value }"
+            :class="{ selected: totals.shippingMethod.value === option.value }"
           >
             <div class="d-flex justify-content-between align-items-center">
               <div>
@@ -493,11 +991,12 @@ const CheckoutForm = {
                   type="radio" 
                   :id="option.value"
                   :value="option.value"
-                  v-model="formData.shippingMethod"
+                  :checked="totals.shippingMethod.value === option.value"
                   class="form-check-input me-2"
                 >
                 <strong>{{ option.label }}</strong>
                 <div class="text-muted small">{{ option.description }}</div>
+                <div v-if="option.freeOver !== null && !option.free" class="text-muted small">Free on orders over \${{ option.freeOver.toFixed(2) }}</div>
               </div>
               <div class="text-end">
                 <strong v-if="option.cost > 0">\${{ option.cost.toFixed(2) }}</strong>
@@ -508,30 +1007,44 @@ const CheckoutForm = {
         </div>
 
         <!-- Payment Information -->
-        <div class="form-section">
+        <div v-show="currentStep.id === 'payment'" class="form-section">
           <h5 class="mb-3"><i class="bi bi-credit-card me-2"></i>Payment Information</h5>
           
           <div class="payment-brands">
             <span class="payment-info-label">We Accept:</span>
-            <div class="payment-brand visa">Visa</div>
-            <div class="payment-brand mastercard">MC</div>
-            <div class="payment-brand amex">Amex</div>
+            <div
+              v-for="brand in cardBrands"
+              :key="brand.id"
+              class="payment-brand"
+              :class="[brand.id, { dimmed: cardBrand && cardBrand.id !== brand.id }]"
+              :title="brand.name"
+            >{{ brand.short }}</div>
           </div>
           
           <div class="row mt-3">
             <div class="col-12 mb-3">
               <label for="cardNumber" class="form-label">Card Number *</label>
-              <input 
-                type="text" 
-                id="cardNumber"
-                class="form-control"
-                v-model="formData.cardNumber"
-                @input="formatCardNumber"
-                @blur="validateCardNumber"
-                :class="{ 'is-invalid': errors.cardNumber }"
-                placeholder="1234 5678 9012 3456"
-                maxlength="19"
-              >
+              <div class="input-group">
+                <input 
+                  type="text" 
+                  id="cardNumber"
+                  class="form-control"
+                  v-model="formData.cardNumber"
+                  @input="formatCardNumber"
+                  @blur="validateField('cardNumber')"
+                  :class="{ 'is-invalid': errors.cardNumber }"
+                  placeholder="1234 5678 9012 3456"
+                  inputmode="numeric"
+                  autocomplete="cc-number"
+                  :maxlength="cardNumberMaxLength"
+                  aria-describedby="cardBrandLabel"
+                >
+                <span class="input-group-text card-brand-indicator" id="cardBrandLabel" :title="cardBrand ? cardBrand.name : 'Card'">
+                  <span v-if="cardBrand" class="payment-brand" :class="cardBrand.id">{{ cardBrand.short }}</span>
+                  <i v-else class="bi bi-credit-card" aria-hidden="true"></i>
+                  <span class="visually-hidden">{{ cardBrand ? cardBrand.name : 'Card brand not recognised yet' }}</span>
+                </span>
+              </div>
               <div v-if="errors.cardNumber" class="error-message">{{ errors.cardNumber }}</div>
             </div>
             
@@ -543,7 +1056,7 @@ const CheckoutForm = {
                 class="form-control"
                 v-model="formData.expiryDate"
                 @input="formatExpiryDate"
-                @blur="validateExpiryDate"
+                @blur="validateField('expiryDate')"
                 :class="{ 'is-invalid': errors.expiryDate }"
                 placeholder="MM/YY"
                 maxlength="5"
@@ -558,10 +1071,13 @@ const CheckoutForm = {
                 id="cvv"
                 class="form-control"
                 v-model="formData.cvv"
-                @blur="validateCvv"
+                @input="formatCvv"
+                @blur="validateField('cvv')"
                 :class="{ 'is-invalid': errors.cvv }"
-                placeholder="123"
-                maxlength="4"
+                :placeholder="cvvLength === 4 ? '1234' : '123'"
+                inputmode="numeric"
+                autocomplete="cc-csc"
+                :maxlength="cvvLength"
               >
               <div v-if="errors.cvv" class="error-message">{{ errors.cvv }}</div>
             </div>
@@ -573,7 +1089,7 @@ const CheckoutForm = {
                 id="cardName"
                 class="form-control"
                 v-model="formData.cardName"
-                @blur="validateCardName"
+                @blur="validateField('cardName')"
                 :class="{ 'is-invalid': errors.cardName }"
                 placeholder="John Doe"
               >
@@ -582,9 +1098,144 @@ const CheckoutForm = {
           </div>
         </div>
 
-        <!-- Submit Button -->
-        <div class="d-grid">
+        <!-- Review & Confirm -->
+        <div v-show="currentStep.id === 'review'" class="form-section">
+          <h5 class="mb-3"><i class="bi bi-clipboard-check me-2"></i>Review & Confirm</h5>
+          
+          <div class="row g-3">
+            <div class="col-md-6">
+              <div class="review-block">
+                <div class="d-flex justify-content-between align-items-center">
+                  <h6 class="mb-1">Contact</h6>
+                  <button type="button" class="btn btn-link btn-sm p-0" @click="goToStep(indexOfStep('shipping'))">Edit</button>
+                </div>
+                <div>{{ formData.name }}</div>
+                <div class="small text-muted">{{ formData.email }}</div>
+                <div class="small text-muted">{{ formData.mobile }}</div>
+              </div>
+            </div>
+            
+            <div class="col-md-6">
+              <div class="review-block">
+                <div class="d-flex justify-content-between align-items-center">
+                  <h6 class="mb-1">Ship to</h6>
+                  <button type="button" class="btn btn-link btn-sm p-0" @click="goToStep(indexOfStep('shipping'))">Edit</button>
+                </div>
+                <div v-for="line in shippingLines" :key="line">{{ line }}</div>
+              </div>
+            </div>
+            
+            <div class="col-md-6">
+              <div class="review-block">
+                <div class="d-flex justify-content-between align-items-center">
+                  <h6 class="mb-1">Bill to</h6>
+                  <button type="button" class="btn btn-link btn-sm p-0" @click="goToStep(indexOfStep('shipping'))">Edit</button>
+                </div>
+                <div v-if="formData.billingSameAsShipping" class="text-muted">Same as shipping address</div>
+                <template v-else>
+                  <div>{{ formData.billingName }}</div>
+                  <div v-for="line in billingLines" :key="line">{{ line }}</div>
+                </template>
+              </div>
+            </div>
+            
+            <div class="col-md-6">
+              <div class="review-block">
+                <div class="d-flex justify-content-between align-items-center">
+                  <h6 class="mb-1">Delivery</h6>
+                  <button type="button" class="btn btn-link btn-sm p-0" @click="goToStep(indexOfStep('delivery'))">Edit</button>
+                </div>
+                <div>{{ totals.shippingMethod.label }} - {{ totals.shippingCost > 0 ? '$' + totals.shippingCost.toFixed(2) : 'FREE' }}</div>
+                <div class="small text-muted">{{ totals.shippingMethod.description }}</div>
+              </div>
+            </div>
+            
+            <div class="col-md-6">
+              <div class="review-block">
+                <div class="d-flex justify-content-between align-items-center">
+                  <h6 class="mb-1">Payment</h6>
+                  <button type="button" class="btn btn-link btn-sm p-0" @click="goToStep(indexOfStep('payment'))">Edit</button>
+                </div>
+                <div>{{ cardSummary }}</div>
+                <div class="small text-muted">{{ formData.cardName }}, expires {{ formData.expiryDate }}</div>
+              </div>
+            </div>
+          </div>
+          
+          <h6 class="mt-4 mb-2">Items</h6>
+          <div v-for="line in totals.lines" :key="line.id" class="review-line d-flex justify-content-between">
+            <span>{{ line.quantity }} x {{ line.name }}</span>
+            <span>\${{ line.lineTotal.toFixed(2) }}</span>
+          </div>
+          
+          <div class="review-totals mt-3">
+            <div class="d-flex justify-content-between">
+              <span>Subtotal</span>
+              <span>\${{ totals.subtotal.toFixed(2) }}</span>
+            </div>
+            <div v-if="totals.coupon" class="d-flex justify-content-between text-success">
+              <span>Promo code {{ totals.coupon.code }}</span>
+              <span>{{ totals.discount > 0 ? '-$' + totals.discount.toFixed(2) : 'Applied' }}</span>
+            </div>
+            <div class="d-flex justify-content-between">
+              <span>{{ totals.shippingMethod.label }}</span>
+              <span>{{ totals.shippingCost > 0 ? '$' + totals.shippingCost.toFixed(2) : 'FREE' }}</span>
+            </div>
+            <template v-if="!totals.tax.inclusive">
+              <div v-for="component in totals.tax.components" :key="component.label" class="d-flex justify-content-between">
+                <span>{{ describeTax(component) }}</span>
+                <span>\${{ component.amount.toFixed(2) }}</span>
+              </div>
+            </template>
+            <div class="d-flex justify-content-between fw-bold">
+              <span>Total</span>
+              <span>\${{ totals.total.toFixed(2) }}</span>
+            </div>
+            <div v-if="totals.tax.inclusive && totals.tax.amount > 0" class="small text-muted">Includes {{ taxLabel }} of \${{ totals.tax.amount.toFixed(2) }}</div>
+          </div>
+        </div>
+
+        <!-- Step problem (e.g. an empty cart) -->
+        <div v-if="stepError" class="alert alert-warning">
+          <i class="bi bi-exclamation-circle me-2"></i>{{ stepError }}
+        </div>
+
+        <!-- Price change notice from the last submit -->
+        <div v-if="priceNotice" class="alert alert-warning">
+          <i class="bi bi-exclamation-circle me-2"></i>{{ priceNotice }}
+        </div>
+
+        <!-- Stock problems from the last submit -->
+        <div v-if="stockIssues.length" class="alert alert-warning">
+          <i class="bi bi-exclamation-circle me-2"></i>Some items can't be fulfilled, so your cart has been updated. Please review your order and submit again.
+          <ul class="mb-0 mt-2">
+            <li v-for="issue in stockIssues" :key="issue">{{ issue }}</li>
+          </ul>
+        </div>
+
+        <!-- Error from the order service (declined card, timeout, outage) -->
+        <div v-if="submitError" class="alert alert-danger">
+          <i class="bi bi-x-circle me-2"></i>{{ submitError }}
+        </div>
+
+        <!-- Step Navigation (Enter also moves to the next step) -->
+        <div class="d-flex justify-content-between align-items-center gap-2">
+          <button 
+            v-if="stepIndex > 0" 
+            type="button" 
+            class="btn btn-outline-neon"
+            :disabled="isProcessing"
+            @click="previousStep"
+          >
+            <i class="bi bi-arrow-left me-2"></i>Back
+          </button>
+          <span v-else></span>
+          
+          <button v-if="currentStep.id !== 'review'" type="submit" class="btn btn-neon">
+            Continue to {{ steps[stepIndex + 1].label }}<i class="bi bi-arrow-right ms-2"></i>
+          </button>
           <button 
+            v-else
             type="submit" 
             class="btn btn-neon btn-lg"
             :disabled="isProcessing"
@@ -595,7 +1246,7 @@ const CheckoutForm = {
             </span>
             <span v-else>
               <i class="bi bi-lock me-2"></i>
-              Complete Order - \${{ finalTotal.toFixed(2) }}
+              Complete Order - \${{ totals.total.toFixed(2) }}
             </span>
           </button>
         </div>
@@ -605,59 +1256,125 @@ const CheckoutForm = {
 };
 
 // Child Component: CartSummary
+// Displays lines and totals from the checkout core (totals = CheckoutCore.calculateTotals result)
+// stock maps product IDs to Inventory.status(); quantities can't be raised above what is available
+// savedItems are the wishlist products listed under the cart ("Saved for later")
+// applyCoupon(code) applies a promo code and returns an error message, or '' when it was applied
+// Included taxes show as an "Includes GST" note, or as their own lines when the shopper shows prices excluding tax
 const CartSummary = {
   props: {
     cartItems: Array,
-    cartTotal: Number,
-    shippingCost: Number
+    totals: Object,
+    removedItems: Array,
+    stock: Object,
+    savedItems: Array,
+    couponCode: String,
+    applyCoupon: Function
   },
-  emits: ['update-cart'],
+  emits: ['update-cart', 'coupon-removed'],
   setup(props, { emit }) {
-    const cartSubtotal = computed(() => {
-      return props.cartItems.reduce((total, item) => {
-        return total + (item.price * item.quantity);
-      }, 0);
-    });
+    const promoInput = ref('');
+    const promoError = ref('');
+    const taxDisplay = ref(Tax.settings.displayMode);
+
+    // Added taxes always get their own lines; included ones only in the 'exclusive' display mode
+    const showTaxLines = computed(() => props.totals.tax.amount > 0
+      && (!props.totals.tax.inclusive || taxDisplay.value === 'exclusive'));
 
-    const finalTotal = computed(() => {
-      return cartSubtotal.value + props.shippingCost;
+    const showTaxExcluded = computed({
+      get: () => taxDisplay.value === 'exclusive',
+      set: (value) => { taxDisplay.value = value ? 'exclusive' : 'inclusive'; }
     });
 
-    const updateQuantity = (itemName, newQuantity) => {
+    const taxLabel = computed(() => Tax.labelFor(props.totals.tax));
+    const totalBeforeTax = computed(() => Promotions.roundMoney(props.totals.total - props.totals.tax.amount));
+
+    const submitPromoCode = () => {
+      promoError.value = props.applyCoupon ? props.applyCoupon(promoInput.value) : '';
+      if (!promoError.value) promoInput.value = '';
+    };
+
+    const removePromoCode = () => {
+      promoError.value = '';
+      emit('coupon-removed');
+    };
+
+    // Most units of a product the cart may hold (Infinity when not tracked or still loading)
+    const available = (itemId) => props.stock && props.stock[itemId] ? props.stock[itemId].available : Infinity;
+
+    const canIncrease = (item) => item.quantity < available(item.id);
+
+    // Stock note for a line: more than available, or units that will ship on backorder
+    const stockNotice = (item) => {
+      const status = props.stock && props.stock[item.id];
+      if (!status) return null;
+      if (item.quantity > status.available) {
+        return { className: 'text-danger', text: status.available === 0 ? 'Out of stock - remove it to check out' : `Only ${status.available} available - reduce the quantity to check out` };
+      }
+      return status.code === 'backorder' ? { className: 'text-info', text: 'Backorder - ships when back in stock' } : null;
+    };
+
+    const updateQuantity = (itemId, newQuantity) => {
       if (newQuantity <= 0) {
-        removeItem(itemName);
+        removeItem(itemId);
         return;
       }
-      emit('update-cart', { action: 'update', itemName, quantity: newQuantity });
+      const item = props.cartItems.find(item => item.id === itemId);
+      if (item && newQuantity > item.quantity && newQuantity > available(itemId)) return;
+      emit('update-cart', { action: 'update', itemId, quantity: newQuantity });
     };
 
-    const increaseQuantity = (itemName) => {
-      const item = props.cartItems.find(item => item.name === itemName);
+    const increaseQuantity = (itemId) => {
+      const item = props.cartItems.find(item => item.id === itemId);
       if (item) {
-        updateQuantity(itemName, item.quantity + 1);
+        updateQuantity(itemId, item.quantity + 1);
       }
     };
 
-    const decreaseQuantity = (itemName) => {
-      const item = props.cartItems.find(item => item.name === itemName);
+    const decreaseQuantity = (itemId) => {
+      const item = props.cartItems.find(item => item.id === itemId);
       if (item && item.quantity > 1) {
-        updateQuantity(itemName, item.quantity - 1);
+        updateQuantity(itemId, item.quantity - 1);
       } else if (item && item.quantity === 1) {
-        removeItem(itemName);
+        removeItem(itemId);
       }
     };
 
-    const removeItem = (itemName) => {
-      emit('update-cart', { action: 'remove', itemName });
+    const removeItem = (itemId) => {
+      emit('update-cart', { action: 'remove', itemId });
+    };
+
+    const saveForLater = (itemId) => {
+      emit('update-cart', { action: 'save-for-later', itemId });
+    };
+
+    const moveToCart = (itemId) => {
+      emit('update-cart', { action: 'move-to-cart', itemId });
+    };
+
+    const removeSaved = (itemId) => {
+      emit('update-cart', { action: 'remove-saved', itemId });
     };
 
     return {
-      cartSubtotal,
-      finalTotal,
+      promoInput,
+      promoError,
+      showTaxLines,
+      showTaxExcluded,
+      taxLabel,
+      totalBeforeTax,
+      describeTax: Tax.describe,
+      submitPromoCode,
+      removePromoCode,
+      canIncrease,
+      stockNotice,
       updateQuantity,
       increaseQuantity,
       decreaseQuantity,
-      removeItem
+      removeItem,
+      saveForLater,
+      moveToCart,
+      removeSaved
     };
   },
   template: `
@@ -671,42 +1388,118 @@ const CartSummary = {
         <a href="products.html" class="btn btn-outline-neon">Browse Products</a>
       </div>
       
+      <!-- Lines dropped because the product is no longer sold -->
+      <div v-if="removedItems && removedItems.length" class="alert alert-warning small">
+        <i class="bi bi-exclamation-triangle me-1"></i>
+        No longer available and removed from your cart: {{ removedItems.join(', ') }}
+      </div>
+      
       <!-- Cart Items -->
-      <div v-else>
-        <div v-for="(item, index) in cartItems" :key="item.name || index" class="cart-item">
+      <div v-if="cartItems.length > 0">
+        <div v-for="(item, index) in totals.lines" :key="item.id || index" class="cart-item">
           <div class="flex-grow-1">
             <h6 class="mb-1">{{ item.name }}</h6>
-            <small class="text-muted">\${{ item.price.toFixed(2) }} each</small>
+            <small class="text-muted">\${{ item.unitPrice.toFixed(2) }} each</small>
+            <small v-if="item.originalUnitPrice > item.unitPrice" class="text-muted text-decoration-line-through ms-1">\${{ item.originalUnitPrice.toFixed(2) }}</small>
+            <div v-if="item.promotions.length" class="small text-success">
+              <i class="bi bi-tag me-1"></i>{{ item.promotions.join(', ') }}<span v-if="item.freeUnits > 0"> ({{ item.freeUnits }} free)</span>
+            </div>
+            <div v-if="item.previousPrice !== undefined" class="small text-warning price-change-notice">
+              <i class="bi bi-exclamation-circle me-1"></i>
+              Price {{ item.price < item.previousPrice ? 'dropped' : 'changed' }} since you added this (was \${{ item.previousPrice.toFixed(2) }})
+            </div>
+            <div v-if="stockNotice(item)" class="small stock-notice" :class="stockNotice(item).className">
+              <i class="bi me-1" :class="stockNotice(item).className === 'text-danger' ? 'bi-x-circle' : 'bi-clock-history'"></i>{{ stockNotice(item).text }}
+            </div>
             <div class="d-flex align-items-center mt-2">
               <label class="small text-muted me-2">Qty:</label>
-              <button class="btn btn-outline-secondary btn-sm" @click="decreaseQuantity(item.name)" :disabled="item.quantity <= 1" style="padding: 0.2rem 0.5rem;">-</button>
+              <button class="btn btn-outline-secondary btn-sm" @click="decreaseQuantity(item.id)" :disabled="item.quantity <= 1" style="padding: 0.2rem 0.5rem;">-</button>
               <span class="mx-2 fw-bold">{{ item.quantity }}</span>
-              <button class="btn btn-outline-secondary btn-sm" @click="increaseQuantity(item.name)" style="padding: 0.2rem 0.5rem;">+</button>
-              <button class="btn btn-outline-danger btn-sm ms-2" @click="removeItem(item.name)" style="padding: 0.2rem 0.5rem;" title="Remove item">
+              <button class="btn btn-outline-secondary btn-sm" @click="increaseQuantity(item.id)" :disabled="!canIncrease(item)" :title="canIncrease(item) ? null : 'No more in stock'" style="padding: 0.2rem 0.5rem;">+</button>
+              <button class="btn btn-outline-danger btn-sm ms-2" @click="removeItem(item.id)" style="padding: 0.2rem 0.5rem;" title="Remove item">
                 <i class="bi bi-trash"></i>
               </button>
+              <button class="btn btn-link btn-sm ms-2 p-0 save-for-later-btn" @click="saveForLater(item.id)">Save for later</button>
             </div>
           </div>
           <div class="text-end">
-            <strong>\${{ (item.price * item.quantity).toFixed(2) }}</strong>
+            <strong>\${{ item.lineTotal.toFixed(2) }}</strong>
+            <div v-if="item.savings > 0" class="small text-success">-\${{ item.savings.toFixed(2) }}</div>
+          </div>
+        </div>
+        
+        <!-- Promo Code -->
+        <div class="promo-code mb-3">
+          <form v-if="!couponCode" class="input-group input-group-sm" @submit.prevent="submitPromoCode">
+            <input 
+              type="text" 
+              class="form-control text-uppercase" 
+              :class="{ 'is-invalid': promoError }"
+              v-model="promoInput"
+              placeholder="Promo code"
+              aria-label="Promo code"
+              autocomplete="off"
+            >
+            <button class="btn btn-outline-neon" type="submit">Apply</button>
+          </form>
+          <div v-if="promoError" class="small text-danger mt-1" role="alert">{{ promoError }}</div>
+          <div v-if="couponCode" class="d-flex justify-content-between align-items-center small">
+            <span><i class="bi bi-ticket-perforated me-1"></i><strong>{{ couponCode }}</strong><span v-if="totals.coupon"> - {{ totals.coupon.label }}</span></span>
+            <button type="button" class="btn btn-link btn-sm p-0" @click="removePromoCode">Remove</button>
+          </div>
+          <div v-if="totals.couponError" class="small text-warning mt-1" role="alert">
+            <i class="bi bi-exclamation-circle me-1"></i>{{ totals.couponError }}
           </div>
         </div>
         
         <!-- Order Totals -->
         <div class="order-summary">
+          <template v-if="totals.savings > 0">
+            <div class="d-flex justify-content-between mb-2 text-muted small">
+              <span>Original Subtotal:</span>
+              <span class="text-decoration-line-through">\${{ totals.originalSubtotal.toFixed(2) }}</span>
+            </div>
+            <div class="d-flex justify-content-between mb-2 text-success">
+              <span>You Save:</span>
+              <span>-\${{ totals.savings.toFixed(2) }}</span>
+            </div>
+          </template>
           <div class="d-flex justify-content-between mb-2">
             <span>Subtotal:</span>
-            <span>\${{ cartSubtotal.toFixed(2) }}</span>
+            <span>\${{ totals.subtotal.toFixed(2) }}</span>
+          </div>
+          <div v-if="totals.coupon" class="d-flex justify-content-between mb-2 text-success">
+            <span>Promo code {{ totals.coupon.code }}:</span>
+            <span v-if="totals.coupon.freeShipping">Free shipping</span>
+            <span v-else>-\${{ totals.discount.toFixed(2) }}</span>
           </div>
           <div class="d-flex justify-content-between mb-2">
-            <span>Shipping:</span>
-            <span v-if="shippingCost > 0">\${{ shippingCost.toFixed(2) }}</span>
+            <span>{{ totals.shippingMethod.label }}:</span>
+            <span v-if="totals.shippingCost > 0">\${{ totals.shippingCost.toFixed(2) }}</span>
             <span v-else class="text-success">FREE</span>
           </div>
+          <template v-if="showTaxLines">
+            <div v-if="totals.tax.inclusive" class="d-flex justify-content-between mb-2">
+              <span>Total before tax:</span>
+              <span>\${{ totalBeforeTax.toFixed(2) }}</span>
+            </div>
+            <div v-for="component in totals.tax.components" :key="component.label" class="d-flex justify-content-between mb-2">
+              <span>{{ describeTax(component) }}:</span>
+              <span>\${{ component.amount.toFixed(2) }}</span>
+            </div>
+          </template>
           <hr>
           <div class="d-flex justify-content-between">
             <strong>Total:</strong>
-            <strong class="text-neon">\${{ finalTotal.toFixed(2) }}</strong>
+            <strong class="text-neon">\${{ totals.total.toFixed(2) }}</strong>
+          </div>
+          <div v-if="totals.tax.inclusive && totals.tax.amount > 0" class="d-flex justify-content-between align-items-center mt-2 small text-muted">
+            <span v-if="!showTaxLines">Includes {{ taxLabel }} of \${{ totals.tax.amount.toFixed(2) }}</span>
+            <span v-else>Prices include {{ taxLabel }}</span>
+            <div class="form-check form-switch mb-0">
+              <input class="form-check-input" type="checkbox" id="show-tax-excluded" v-model="showTaxExcluded">
+              <label class="form-check-label" for="show-tax-excluded">Show tax</label>
+            </div>
           </div>
         </div>
         
@@ -717,6 +1510,32 @@ const CartSummary = {
           </small>
         </div>
       </div>
+      
+      <!-- Wishlist products -->
+      <div v-if="savedItems && savedItems.length" class="saved-for-later mt-4">
+        <div class="d-flex justify-content-between align-items-center mb-3">
+          <h6 class="mb-0"><i class="bi bi-heart me-1"></i>Saved for later ({{ savedItems.length }})</h6>
+          <a href="wishlist.html" class="small">View wishlist</a>
+        </div>
+        <div v-for="saved in savedItems" :key="saved.id" class="cart-item">
+          <div class="flex-grow-1">
+            <h6 class="mb-1">{{ saved.name }}</h6>
+            <small v-if="!saved.available" class="text-muted">No longer available</small>
+            <div v-if="saved.priceChange" class="small wishlist-price-change" :class="saved.priceChange.dropped ? 'text-success price-drop' : 'text-muted'">
+              <i class="bi me-1" :class="saved.priceChange.dropped ? 'bi-arrow-down-circle' : 'bi-arrow-up-circle'"></i>{{ saved.priceChange.text }} (was \${{ saved.priceChange.savedPrice.toFixed(2) }})
+            </div>
+            <div class="d-flex align-items-center gap-2 mt-2">
+              <button v-if="saved.available" class="btn btn-outline-neon btn-sm" @click="moveToCart(saved.id)" :disabled="!saved.canMove">Move to cart</button>
+              <button class="btn btn-outline-danger btn-sm" @click="removeSaved(saved.id)" style="padding: 0.2rem 0.5rem;" :aria-label="'Remove ' + saved.name + ' from saved items'">
+                <i class="bi bi-trash"></i>
+              </button>
+            </div>
+          </div>
+          <div v-if="saved.available" class="text-end">
+            <strong>\${{ saved.price.toFixed(2) }}</strong>
+          </div>
+        </div>
+      </div>
     </div>
   `
 };
@@ -729,75 +1548,196 @@ const CheckoutApp = {
   },
   setup() {
     const cartItems = ref([]);
-    const cartTotal = ref(0);
-    const shippingCost = ref(0);
-    const orderHistory = ref([]);
+    const products = ref([]);
+    const shippingMethod = ref(Shipping.METHODS[0].value);
+    const removedItems = ref([]);
+    const wishlist = ref(Wishlist.load());
+    const couponCode = ref('');
+    const destination = ref({ country: Address.settings.defaultCountry, state: '', postcode: '' });
+
+    // Cart math from the shared checkout core (promotions, promo code, savings, shipping, tax, total)
+    const totals = computed(() => CheckoutCore.calculateTotals(cartItems.value, {
+      products: products.value,
+      shippingMethod: shippingMethod.value,
+      couponCode: couponCode.value,
+      destination: destination.value
+    }));
+
+    // Checks a promo code against the cart and applies it; returns an error message, or '' when applied
+    const applyCoupon = (code) => {
+      const { coupon, error } = Coupons.evaluate(code, { lines: totals.value.lines, products: products.value });
+      if (coupon) couponCode.value = coupon.code;
+      return error;
+    };
+
+    const removeCoupon = () => {
+      couponCode.value = '';
+    };
+
+    // Availability of every catalog product, keyed by ID
+    const stock = computed(() => {
+      const byId = {};
+      products.value.forEach(product => {
+        byId[product.id] = Inventory.status(product);
+      });
+      return byId;
+    });
+
+    // Wishlist products with their current price and how it moved since they were saved
+    // canMove is false when the product is out of stock or all of it is already in the cart
+    const savedItems = computed(() => {
+      if (products.value.length === 0) return [];
+      return wishlist.value.map(entry => {
+        const product = products.value.find(p => p.id === entry.id);
+        if (!product) return { id: entry.id, name: entry.name, available: false };
+        const change = Wishlist.priceChange(entry, product);
+        const line = cartItems.value.find(item => item.id === entry.id);
+        return {
+          id: entry.id,
+          name: product.name,
+          available: true,
+          price: change.price,
+          canMove: (line ? line.quantity : 0) < Inventory.maxQuantity(product),
+          priceChange: change.direction === 'same' ? null
+            : { dropped: change.direction === 'down', text: Wishlist.describeChange(change), savedPrice: change.savedPrice }
+        };
+      });
+    });
 
     // Load cart data from localStorage
     const loadCartData = () => {
-      const savedCart = localStorage.getItem('cart');
-      if (savedCart) {
-        cartItems.value = JSON.parse(savedCart);
-        calculateCartTotal();
+      cartItems.value = CartSync.read();
+    };
+
+    // Store the cart (other tabs are told through CartSync) and update this page's navbar count
+    const saveCart = () => {
+      CartSync.save(cartItems.value);
+      if (typeof updateCartCount === 'function') updateCartCount(cartItems.value);
+    };
+
+    // Recompute prices and names from the catalog; stored cart prices are never trusted
+    // Resolves to the changes found (see Promotions.repriceLines), or [] if the catalog is unavailable
+    const repriceCart = () => {
+      return Catalog.getAll()
+        .then(list => {
+          products.value = list;
+          const { lines, changes } = Promotions.repriceLines(cartItems.value, { products: list });
+          cartItems.value = lines;
+          saveCart();
+          removedItems.value = removedItems.value.concat(changes.filter(change => change.removed).map(change => change.name));
+          return changes;
+        })
+        .catch(error => {
+          console.warn('Could not verify cart prices:', error);
+          return [];
+        });
+    };
+
+    // Fit the cart to the available stock; returns the lines that could not be fulfilled (see Inventory.reconcileLines)
+    const verifyStock = () => {
+      const { lines, issues } = Inventory.reconcileLines(cartItems.value, { products: products.value });
+      if (issues.length > 0) {
+        cartItems.value = lines;
+        saveCart();
       }
+      return issues;
     };
 
-    // Calculate cart total
-    const calculateCartTotal = () => {
-      cartTotal.value = cartItems.value.reduce((total, item) => {
-        return total + (item.price * item.quantity);
-      }, 0);
+    // Wait for script.js to rewrite legacy name-keyed storage to product IDs
+    const waitForStorageMigration = () => {
+      return typeof migrateLegacyStorage === 'function' ? migrateLegacyStorage() : Promise.resolve();
     };
 
     // Handle shipping method change
-    const handleShippingChange = (cost) => {
-      shippingCost.value = cost;
+    const handleShippingChange = (method) => {
+      shippingMethod.value = method;
+    };
+
+    // Handle shipping destination change (shipping rates and tax depend on where the order ships)
+    const handleDestinationChange = (newDestination) => {
+      destination.value = newDestination;
     };
 
     // Handle cart updates from CartSummary component
-    const handleCartUpdate = ({ action, itemName, quantity }) => {
+    // save-for-later, move-to-cart and remove-saved move products between the cart and the wishlist
+    const handleCartUpdate = ({ action, itemId, quantity }) => {
+      const product = products.value.find(p => p.id === itemId);
       if (action === 'update') {
-        const item = cartItems.value.find(item => item.name === itemName);
+        const item = cartItems.value.find(item => item.id === itemId);
         if (item) {
           item.quantity = quantity;
         }
       } else if (action === 'remove') {
-        cartItems.value = cartItems.value.filter(item => item.name !== itemName);
+        cartItems.value = cartItems.value.filter(item => item.id !== itemId);
+      } else if (action === 'save-for-later') {
+        if (product) Wishlist.add(product);
+        cartItems.value = cartItems.value.filter(item => item.id !== itemId);
+      } else if (action === 'move-to-cart') {
+        const item = cartItems.value.find(item => item.id === itemId);
+        if (!product || (item ? item.quantity : 0) >= Inventory.maxQuantity(product)) return;
+        if (item) {
+          item.quantity += 1;
+        } else {
+          cartItems.value.push(createCartLine(product, 1));
+        }
+        Wishlist.remove(itemId);
+      } else if (action === 'remove-saved') {
+        Wishlist.remove(itemId);
       }
+      wishlist.value = Wishlist.load();
       
-      // Update localStorage and recalculate total
-      localStorage.setItem('cart', JSON.stringify(cartItems.value));
-      calculateCartTotal();
+      // Update localStorage (totals are recalculated by the checkout core)
+      saveCart();
     };
 
-    // Handle order placement
-    const handleOrderPlaced = (orderData) => {
-      orderHistory.value.push(orderData);
-      localStorage.setItem('orderHistory', JSON.stringify(orderHistory.value));
+    // Handle order placement (the order is already stored by OrderApi)
+    const handleOrderPlaced = (order) => {
+      // Single-use promo codes can't be used again in this browser
+      if (totals.value.coupon) Coupons.redeem(totals.value.coupon.code);
       
       // Clear cart
       cartItems.value = [];
-      cartTotal.value = 0;
-      localStorage.removeItem('cart');
+      CartSync.clear();
+      
+      // Show the order's confirmation page (revisitable, printable receipt)
+      window.location.href = orderConfirmationUrl(order.orderNumber);
     };
 
+    // A cart changed elsewhere (another tab, or the navbar cart modal on this page) replaces this one;
+    // it is repriced like a freshly loaded cart. Our own saves come back unchanged and are ignored
+    let stopCartSync = null;
+
     // Load data on component mount
     onMounted(() => {
-      loadCartData();
-      
-      // Load order history
-      const savedOrders = localStorage.getItem('orderHistory');
-      if (savedOrders) {
-        orderHistory.value = JSON.parse(savedOrders);
-      }
+      Promise.all([waitForStorageMigration(), Promotions.load(), Coupons.load()]).then(() => {
+        loadCartData();
+        repriceCart();
+        stopCartSync = CartSync.subscribe(lines => {
+          if (JSON.stringify(lines) === JSON.stringify(cartItems.value)) return;
+          cartItems.value = lines;
+          wishlist.value = Wishlist.load();
+          repriceCart();
+        });
+      });
+    });
+
+    onUnmounted(() => {
+      if (stopCartSync) stopCartSync();
     });
 
     return {
       cartItems,
-      cartTotal,
-      shippingCost,
-      orderHistory,
+      totals,
+      stock,
+      savedItems,
+      removedItems,
+      couponCode,
+      applyCoupon,
+      removeCoupon,
+      repriceCart,
+      verifyStock,
       handleShippingChange,
+      handleDestinationChange,
       handleOrderPlaced,
       handleCartUpdate
     };
@@ -816,9 +1756,11 @@ const CheckoutApp = {
           <div class="col-lg-8">
             <CheckoutForm 
               :cart-items="cartItems"
-              :cart-total="cartTotal"
-              :shipping-cost="shippingCost"
+              :totals="totals"
+              :verify-prices="repriceCart"
+              :verify-stock="verifyStock"
               @shipping-changed="handleShippingChange"
+              @destination-changed="handleDestinationChange"
               @order-placed="handleOrderPlaced"
             />
           </div>
@@ -827,9 +1769,14 @@ const CheckoutApp = {
           <div class="col-lg-4">
             <CartSummary 
               :cart-items="cartItems"
-              :cart-total="cartTotal"
-              :shipping-cost="shippingCost"
+              :totals="totals"
+              :removed-items="removedItems"
+              :stock="stock"
+              :saved-items="savedItems"
+              :coupon-code="couponCode"
+              :apply-coupon="applyCoupon"
               @update-cart="handleCartUpdate"
+              @coupon-removed="removeCoupon"
             />
           </div>
         </div>
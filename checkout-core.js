@@ -0,0 +1,294 @@
+/*
+ * TechOps Checkout Core
+ * =====================================================
+ *
+ * Framework-agnostic checkout rules shared by the Vue checkout
+ * (checkout-app.js) and the vanilla checkout in script.js, so totals,
+ * shipping and validation can never disagree between them:
+ *
+ * - validateField() / validateAll(): validation rules keyed by canonical field names
+ * - calculateTotals(): cart math (promotions, promo code, savings, shipping options and cost, tax, total)
+ * - createOrder(): the order record submitted through OrderApi (order-api.js)
+ *
+ * Canonical field names: name, email, mobile, address, country, city, state,
+ * postcode, cardNumber, expiryDate, cvv, cardName. UIs with other input names
+ * map them before validating. City, state and postcode follow the rules of
+ * the `country` field (address.js); without one they are checked as
+ * Australian.
+ *
+ * A separate billing address uses the same fields with a `billing` prefix
+ * (billingName, billingAddress, billingCountry, billingCity, billingState,
+ * billingPostcode). They are only checked, and only stored, when
+ * `billingSameAsShipping` is false; otherwise the order is billed to the
+ * shipping address.
+ *
+ * Depends on promotions.js for line pricing, coupons.js for promo codes,
+ * shipping.js for shipping rates, tax.js for sales tax, address.js for
+ * address rules and card-utils.js for card rules.
+ *
+ * Usage:
+ *   const totals = CheckoutCore.calculateTotals(cart, { products, shippingMethod: 'express', couponCode: 'SAVE50', destination: { country: 'AU', state: 'VIC', postcode: '3000' } });
+ *   const { valid, errors } = CheckoutCore.validateAll(formData);
+ *   const order = CheckoutCore.createOrder(formData, totals);
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const CheckoutCore = (() => {
+  /** Letters, spaces, apostrophes and hyphens (person names) */
+  const NAME_PATTERN = /^[a-zA-Z\s'-]+$/;
+
+  /** Card fields are used for payment only and never stored with an order */
+  const PAYMENT_FIELDS = ['cardNumber', 'expiryDate', 'cvv', 'cardName'];
+
+  /** Fields making up an address, shared by the shipping and billing addresses */
+  const ADDRESS_FIELDS = ['name', 'address', 'country', 'city', 'state', 'postcode'];
+
+  /**
+   * @param {string} field - Address field name, e.g. 'city'
+   * @returns {string} Matching billing field name, e.g. 'billingCity'
+   */
+  const billingField = field => `billing${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+
+  /** Billing address fields, in ADDRESS_FIELDS order */
+  const BILLING_FIELDS = ADDRESS_FIELDS.map(billingField);
+
+  /** Whether the form has its own billing address (billing is the shipping address unless turned off) */
+  const hasSeparateBilling = data => data.billingSameAsShipping === false;
+
+  /** Applies a rule to a billing field only when the billing address is separate */
+  const billingRule = rule => (value, context) => (hasSeparateBilling(context.data) ? rule(value, context) : '');
+
+  /**
+   * Validation rules by canonical field name
+   * Each gets (value, { now, data }) - `data` holds the other fields, for cross-field rules -
+   * and returns an error message, or '' when the value is valid
+   */
+  const VALIDATORS = {
+    name: value => !value.trim() ? 'Full name is required'
+      : (value.trim().length < 2 ? 'Name must be at least 2 characters'
+        : (!NAME_PATTERN.test(value) ? 'Only letters, spaces, apostrophes and hyphens are allowed' : '')),
+
+    email: value => !value.trim() ? 'Email is required'
+      : (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? 'Please enter a valid email address' : ''),
+
+    mobile: value => {
+      if (!value.trim()) return 'Mobile number is required';
+      if (!/^[\d\s+\-()]+$/.test(value)) return 'Mobile number contains invalid characters';
+      const digits = value.replace(/\D/g, '');
+      return digits.length < 8 || digits.length > 15 ? 'Mobile number must be 8-15 digits' : '';
+    },
+
+    address: value => !value.trim() ? 'Address is required'
+      : (value.trim().length < 5 ? 'Address looks too short' : ''),
+
+    country: value => !value.trim() ? 'Country is required'
+      : (!Address.getCountry(value) ? 'Sorry, we don\'t ship to this country' : ''),
+
+    // Labels, state lists and postcode formats depend on the country (address.js)
+    city: (value, { data }) => Address.validateField('city', value, data.country),
+
+    state: (value, { data }) => Address.validateField('state', value, data.country),
+
+    postcode: (value, { data }) => Address.validateField('postcode', value, data.country),
+
+    // Billing address: the same rules, checked against the billing country
+    billingName: billingRule(value => VALIDATORS.name(value)),
+
+    billingAddress: billingRule(value => VALIDATORS.address(value)),
+
+    billingCountry: billingRule(value => VALIDATORS.country(value)),
+
+    billingCity: billingRule((value, { data }) => Address.validateField('city', value, data.billingCountry)),
+
+    billingState: billingRule((value, { data }) => Address.validateField('state', value, data.billingCountry)),
+
+    billingPostcode: billingRule((value, { data }) => Address.validateField('postcode', value, data.billingCountry)),
+
+    // Brand-specific length and Luhn check (card-utils.js)
+    cardNumber: value => CardUtils.validateNumber(value),
+
+    expiryDate: (value, { now }) => {
+      if (!value.trim()) return 'Expiry date is required';
+      if (!/^\d{2}\/\d{2}$/.test(value)) return 'Please enter a valid expiry date (MM/YY)';
+      const [month, year] = value.split('/').map(part => parseInt(part, 10));
+      if (month < 1 || month > 12) return 'Invalid expiry month';
+      // Cards are valid until the end of their expiry month
+      return new Date(2000 + year, month) <= new Date(now.getFullYear(), now.getMonth()) ? 'Card is expired' : '';
+    },
+
+    // 4 digits for American Express, 3 for other brands
+    cvv: (value, { data }) => CardUtils.validateCvv(value, data.cardNumber),
+
+    cardName: value => !value.trim() ? 'Name on card is required'
+      : (value.trim().length < 2 ? 'Name on card looks too short'
+        : (!NAME_PATTERN.test(value) ? 'Only letters, spaces, apostrophes and hyphens are allowed' : ''))
+  };
+
+  /** Every field a complete checkout must pass */
+  const FIELDS = Object.keys(VALIDATORS);
+
+  /**
+   * @param {string} method - Shipping method value
+   * @returns {{value: string, label: string}} Matching shipping method (unknown values fall back to the default)
+   */
+  function getShippingMethod(method) {
+    const match = Shipping.getMethod(method) || Shipping.METHODS[0];
+    return { value: match.value, label: match.label };
+  }
+
+  /** Formats a date as YYYY-MM-DD in local time */
+  const localDate = date => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+
+  /**
+   * Validates a single field
+   *
+   * @param {string} field - Canonical field name
+   * @param {*} value - Field value
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Date used for the expiry check (defaults to now)
+   * @param {Object} [options.data] - Other field values (the CVV rule depends on the card number)
+   * @returns {string} Error message, or '' when valid (unknown fields are always valid)
+   */
+  function validateField(field, value, { now = new Date(), data = {} } = {}) {
+    const validator = VALIDATORS[field];
+    return validator ? validator(String(value == null ? '' : value), { now, data }) : '';
+  }
+
+  /**
+   * Validates a set of fields
+   *
+   * @param {Object} data - Values keyed by canonical field name
+   * @param {Object} [options]
+   * @param {Array<string>} [options.fields] - Fields to check (defaults to all)
+   * @param {Date} [options.now] - Date used for the expiry check
+   * @returns {{valid: boolean, errors: Object}} `errors` has a message (or '') for every checked field
+   */
+  function validateAll(data, { fields = FIELDS, now = new Date() } = {}) {
+    const errors = {};
+    fields.forEach(field => {
+      errors[field] = validateField(field, data[field], { now, data });
+    });
+    return { valid: fields.every(field => !errors[field]), errors };
+  }
+
+  /**
+   * Prices a cart for checkout
+   * A promo code that can't be used on this cart is left out of the totals and explained in `couponError`
+   *
+   * @param {Array<Object>} lines - Cart lines (already repriced from the catalog)
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.products] - Catalog, for category-scoped promotions and promo codes
+   * @param {string} [options.shippingMethod] - Selected shipping method value (falls back to the first available method)
+   * @param {string} [options.couponCode] - Promo code entered at checkout
+   * @param {Object} [options.destination] - Shipping destination ({ country, state, postcode }) for shipping rates and tax
+   * @param {Date} [options.now] - Order date for delivery estimates (defaults to now)
+   * @returns {{lines: Array<Object>, subtotal: number, originalSubtotal: number, savings: number,
+   *   coupon: (Object|null), couponError: string, discount: number, shippingOptions: Array<Object>,
+   *   shippingMethod: Object, shippingCost: number, tax: Object, total: number}}
+   *   Lines as from Promotions.priceCart(); `coupon` as from Coupons.evaluate(), `discount` is its amount off the subtotal;
+   *   `shippingOptions` as from Shipping.quote(), `shippingMethod` is the selected one (Shipping.quote() always offers one);
+   *   `tax` as from Tax.calculate(), added to the total only when it is not already included in the prices
+   */
+  function calculateTotals(lines, { products = [], shippingMethod, couponCode = '', destination = {}, now = new Date() } = {}) {
+    const cartPricing = Promotions.priceCart(lines, { products });
+    const couponCheck = couponCode && lines.length
+      ? Coupons.evaluate(couponCode, { lines: cartPricing.lines, products })
+      : { coupon: null, error: '' };
+    const coupon = couponCheck.coupon;
+    const discount = coupon ? coupon.discount : 0;
+    const shippingOptions = Shipping.quote(cartPricing.lines, {
+      products,
+      destination,
+      orderValue: Promotions.roundMoney(cartPricing.subtotal - discount),
+      now
+    });
+    const method = shippingOptions.find(option => option.value === shippingMethod) || shippingOptions[0];
+    const shippingCost = coupon && coupon.freeShipping ? 0 : method.cost;
+    const beforeTax = Promotions.roundMoney(cartPricing.subtotal - discount + shippingCost);
+    const tax = Tax.calculate(beforeTax, destination);
+    return {
+      lines: cartPricing.lines,
+      subtotal: cartPricing.subtotal,
+      originalSubtotal: cartPricing.originalSubtotal,
+      savings: cartPricing.savings,
+      coupon,
+      couponError: couponCheck.error,
+      discount,
+      shippingOptions,
+      shippingMethod: method,
+      shippingCost,
+      tax,
+      total: tax.inclusive ? beforeTax : Promotions.roundMoney(beforeTax + tax.amount)
+    };
+  }
+
+  /**
+   * The address an order is billed to
+   *
+   * @param {Object} customer - Checkout form values keyed by canonical field name
+   * @returns {Object} { name, address, country, city, state, postcode }: the billing fields when the
+   *   billing address is separate, otherwise the shipping fields (fields the form doesn't have are left out)
+   */
+  function billingAddressFor(customer) {
+    const separate = hasSeparateBilling(customer);
+    const address = {};
+    ADDRESS_FIELDS.forEach(field => {
+      const value = customer[separate ? billingField(field) : field];
+      if (value !== undefined) address[field] = value;
+    });
+    return address;
+  }
+
+  /**
+   * Builds the order record submitted through OrderApi
+   * Card details are dropped: they are never stored
+   * The order service adds orderNumber, status and timestamp
+   *
+   * @param {Object} customer - Checkout form values keyed by canonical field name
+   * @param {Object} totals - Result of calculateTotals()
+   * @returns {Object} Order: { customerInfo, billingAddress, items, subtotal, savings, coupon, discount, shipping,
+   *   shippingMethod, estimatedDelivery, tax, total }
+   */
+  function createOrder(customer, totals) {
+    const customerInfo = { ...customer };
+    [...PAYMENT_FIELDS, ...BILLING_FIELDS, 'billingSameAsShipping'].forEach(field => delete customerInfo[field]);
+    customerInfo.shippingMethod = totals.shippingMethod.value;
+
+    return {
+      customerInfo,
+      billingAddress: billingAddressFor(customer),
+      items: totals.lines,
+      subtotal: totals.subtotal,
+      savings: totals.savings,
+      coupon: totals.coupon ? { code: totals.coupon.code, label: totals.coupon.label, type: totals.coupon.type } : null,
+      discount: totals.discount,
+      shipping: totals.shippingCost,
+      shippingMethod: totals.shippingMethod.value,
+      estimatedDelivery: {
+        earliest: localDate(totals.shippingMethod.delivery.earliest),
+        latest: localDate(totals.shippingMethod.delivery.latest)
+      },
+      tax: totals.tax,
+      total: totals.total
+    };
+  }
+
+  return {
+    FIELDS,
+    PAYMENT_FIELDS,
+    ADDRESS_FIELDS,
+    BILLING_FIELDS,
+    billingField,
+    billingAddressFor,
+    getShippingMethod,
+    validateField,
+    validateAll,
+    calculateTotals,
+    createOrder
+  };
+})();
@@ -0,0 +1,123 @@
+/*
+ * TechOps Checkout Draft
+ * =====================================================
+ *
+ * Autosaves what the shopper typed into the Vue checkout (localStorage
+ * `checkoutDraft`) so reloading checkout.html doesn't lose it:
+ *
+ * - save(): keeps the draftable fields of the form
+ * - load(): the saved fields, for restoring into the form
+ * - clear(): once the order is placed, or when the shopper starts over
+ *
+ * Only the contact, address and delivery fields in FIELDS are kept: card
+ * details (CheckoutCore.PAYMENT_FIELDS) are never written, even though the
+ * form passes them in. A draft with nothing typed in it is not kept, and
+ * drafts older than settings.maxAgeDays are dropped.
+ *
+ * Depends on checkout-core.js for the field names.
+ *
+ * Usage:
+ *   CheckoutDraft.save(formData)
+ *   const draft = CheckoutDraft.load();  // -> { fields: { name: 'Jane Citizen', ... }, savedAt: '2026-10-18T09:30:00.000Z' } or null
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const CheckoutDraft = (() => {
+  const settings = {
+    storageKey: 'checkoutDraft',
+    maxAgeDays: 7  // Older drafts are discarded when loaded
+  };
+
+  /** Fields kept in a draft: contact, shipping and billing addresses, delivery method */
+  const FIELDS = [
+    ...CheckoutCore.ADDRESS_FIELDS,
+    'email',
+    'mobile',
+    'shippingMethod',
+    'billingSameAsShipping',
+    ...CheckoutCore.BILLING_FIELDS
+  ];
+
+  /** Fields the shopper types; a draft is only worth keeping when one of them has a value */
+  const TYPED_FIELDS = ['name', 'email', 'mobile', 'address', 'city', 'postcode',
+    'billingName', 'billingAddress', 'billingCity', 'billingPostcode'];
+
+  /**
+   * Copies the draftable fields from form values
+   * @param {Object} data - Form values keyed by canonical field name
+   * @returns {Object} String and boolean values of FIELDS (other fields and types are left out)
+   */
+  function pick(data = {}) {
+    const fields = {};
+    FIELDS.forEach(field => {
+      if (typeof data[field] === 'string' || typeof data[field] === 'boolean') fields[field] = data[field];
+    });
+    return fields;
+  }
+
+  /**
+   * @param {Object} fields - Draft fields
+   * @returns {boolean} Whether anything was typed
+   */
+  const hasContent = fields => TYPED_FIELDS.some(field => typeof fields[field] === 'string' && fields[field].trim() !== '');
+
+  /**
+   * Reads the saved draft
+   * Missing, corrupted, empty or expired drafts read as null
+   *
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Date the draft's age is measured at (defaults to now)
+   * @returns {{fields: Object, savedAt: string}|null}
+   */
+  function load({ now = new Date() } = {}) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(settings.storageKey) || 'null');
+      if (!stored || typeof stored.fields !== 'object' || !stored.fields) return null;
+      const age = now.getTime() - new Date(stored.savedAt).getTime();
+      if (!(age <= settings.maxAgeDays * 24 * 60 * 60 * 1000)) return null;
+      const fields = pick(stored.fields);
+      return hasContent(fields) ? { fields, savedAt: stored.savedAt } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Saves the draftable fields of a form; a form with nothing typed clears the draft
+   *
+   * @param {Object} data - Form values keyed by canonical field name
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Save date (defaults to now)
+   */
+  function save(data, { now = new Date() } = {}) {
+    const fields = pick(data);
+    if (!hasContent(fields)) {
+      clear();
+      return;
+    }
+    try {
+      localStorage.setItem(settings.storageKey, JSON.stringify({ fields, savedAt: now.toISOString() }));
+    } catch (error) {
+      console.error('Failed to save checkout draft to storage:', error);
+    }
+  }
+
+  /** Removes the saved draft */
+  function clear() {
+    try {
+      localStorage.removeItem(settings.storageKey);
+    } catch (error) {
+      console.error('Failed to clear checkout draft:', error);
+    }
+  }
+
+  return {
+    settings,
+    FIELDS,
+    pick,
+    load,
+    save,
+    clear
+  };
+})();
@@ -15,14 +15,14 @@
  * - Component communication via props and emits
  * - Form reset and success message display
  * 
- * Dependencies: Vue 3 (loaded via CDN)
+ * Dependencies: Vue 3 (loaded via CDN), catalog.js
  * Target Element: #app (contact.html)
  * 
  * @version 1.0
  * @author IT Hardware Sale Website Project
  */
 
-const { createApp, ref, reactive } = Vue;
+const { createApp, ref, reactive, onMounted } = Vue;
 
 /**
  * ContactForm Component
@@ -39,7 +39,7 @@ const { createApp, ref, reactive } = Vue;
  * Features:
  * - Reactive form data with two-way binding
  * - Real-time validation with error messages  
- * - Dynamic dropdown options for countries and contact preferences
+ * - Dynamic dropdown options for countries, contact preferences and products
  * - Age validation and contact preference selection
  * - Newsletter subscription checkbox
  */
@@ -60,10 +60,14 @@ const ContactForm = {
       age: null,
       contactPreference: '',
       country: '',
+      productId: '',
       newsletter: false,
       message: ''
     });
 
+    // Products for the optional "product of interest" select (loaded from the shared catalog)
+    const products = ref([]);
+
     // Countries list for dynamic select options
     const countries = ref([
       'Australia', 'United States', 'United Kingdom', 'Canada', 
@@ -222,6 +226,7 @@ const ContactForm = {
         age: null,
         contactPreference: '',
         country: '',
+        productId: '',
         newsletter: false,
         message: ''
       });
@@ -247,8 +252,9 @@ const ContactForm = {
     /** Handles form submission - validates, shows success message, and emits data to parent */
     const handleSubmit = () => {
       if (validateForm()) {
-        // Create a copy of form data for submission
-        submittedData.value = { ...formData };
+        // Create a copy of form data for submission, resolving the product name for display
+        const product = products.value.find(p => p.id === formData.productId);
+        submittedData.value = { ...formData, productName: product ? product.name : '' };
         
         // Show success message and form data
         showSuccess.value = true;
@@ -261,8 +267,16 @@ const ContactForm = {
       }
     };
 
+    /** Loads product options; the select simply stays empty if the catalog is unavailable */
+    onMounted(() => {
+      Catalog.getAll()
+        .then(list => { products.value = list; })
+        .catch(error => console.warn('Could not load products for contact form:', error));
+    });
+
     return {
       formData,
+      products,
       countries,
       contactPreferences,
       errors,
@@ -309,6 +323,7 @@ const ContactForm = {
         Age: {{ submittedData.age }}<br>
         Contact Preference: {{ submittedData.contactPreference }}<br>
         Country: {{ submittedData.country }}<br>
+        Product: {{ submittedData.productName || 'None' }}<br>
         Newsletter: {{ submittedData.newsletter ? 'Yes' : 'No' }}<br>
         Message: {{ submittedData.message }}
       </div>
@@ -436,6 +451,28 @@ const ContactForm = {
           <div v-if="errors.country" class="error-message">{{ errors.country }}</div>
         </div>
 
+        <!-- Product of Interest (Optional Select from Catalog) -->
+        <div class="mb-4">
+          <label for="productId" class="form-label">
+            <i class="bi bi-box-seam me-1"></i>Product of Interest
+          </label>
+          <select 
+            id="productId"
+            class="form-select"
+            v-model="formData.productId"
+            @change="onFieldChange"
+          >
+            <option value="">General enquiry</option>
+            <option 
+              v-for="product in products" 
+              :key="product.id" 
+              :value="product.id"
+            >
+              {{ product.name }}
+            </option>
+          </select>
+        </div>
+
         <!-- Newsletter Checkbox -->
         <div class="mb-4">
           <div class="checkbox-item">
@@ -540,6 +577,8 @@ const ContactApp = {
               <li class="nav-item"><a class="nav-link nav-link-standard" href="index.html">Home</a></li>
               <li class="nav-item"><a class="nav-link nav-link-standard" href="products.html">Products</a></li>
               <li class="nav-item"><a class="nav-link nav-link-active" href="contact.html">Contact Us</a></li>
+              <li class="nav-item"><a class="nav-link nav-link-standard" href="orders.html">My Orders</a></li>
+              <li class="nav-item"><a class="nav-link nav-link-standard" href="wishlist.html">Wishlist</a></li>
             </ul>
           </div>
           <!-- Always-visible actions -->
@@ -592,6 +631,7 @@ const ContactApp = {
                   <li><strong>Phone:</strong> {{ submittedFormData.phone }}</li>
                   <li><strong>Age:</strong> {{ submittedFormData.age }} years</li>
                   <li><strong>Country:</strong> {{ submittedFormData.country }}</li>
+                  <li v-if="submittedFormData.productName"><strong>Product:</strong> {{ submittedFormData.productName }}</li>
                 </ul>
               </div>
               <div class="col-md-6">
@@ -0,0 +1,202 @@
+/*
+ * TechOps Coupons
+ * =====================================================
+ *
+ * Promo codes entered at checkout, read from coupons-data.json. Used by
+ * CheckoutCore.calculateTotals(), so both checkouts apply a code the same way.
+ *
+ * Coupon types:
+ * - percent:      `value`% off the eligible lines
+ * - fixed:        `value` dollars off the eligible lines (never more than they cost)
+ * - freeShipping: the selected shipping method costs nothing
+ *
+ * Conditions (all optional):
+ * - productIds / categories: only lines for these products or categories are
+ *   eligible, as for promotion rules (a coupon with neither covers the whole cart)
+ * - minSpend: the eligible lines must add up to at least this much
+ * - startsAt / endsAt: ISO dates; date-only values cover the whole day
+ * - singleUse: the code can be used for one order per browser; redeemed codes
+ *   are kept in localStorage (`redeemedCoupons`)
+ *
+ * Coupons apply on top of promotions: they discount the line totals from
+ * Promotions.priceCart(). Codes are not case-sensitive.
+ *
+ * Usage:
+ *   Coupons.load().then(() => Coupons.evaluate('SAVE50', { lines: pricedLines, products }))
+ *   // -> { valid: true, error: '', coupon: { code: 'SAVE50', label, type: 'fixed', discount: 50, freeShipping: false } }
+ *   Coupons.redeem('WELCOME10')   // after the order is placed
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const Coupons = (() => {
+  const settings = {
+    url: 'coupons-data.json',
+    storageKey: 'redeemedCoupons'
+  };
+
+  const COUPON_TYPES = ['percent', 'fixed', 'freeShipping'];
+
+  /** Coupons from the last successful load */
+  let loadedCoupons = [];
+
+  /** Pending load shared by concurrent callers */
+  let loading = null;
+
+  /**
+   * @param {*} code - Code as typed
+   * @returns {string} Code without surrounding spaces, in upper case
+   */
+  function normalizeCode(code) {
+    return String(code == null ? '' : code).trim().toUpperCase();
+  }
+
+  /**
+   * @param {string} code - Promo code (any case)
+   * @param {Array<Object>} [coupons] - Coupons to search (defaults to the loaded coupons)
+   * @returns {Object|null} Matching coupon
+   */
+  function find(code, coupons = loadedCoupons) {
+    const normalized = normalizeCode(code);
+    return coupons.find(coupon => normalizeCode(coupon.code) === normalized) || null;
+  }
+
+  /**
+   * @returns {Array<string>} Single-use codes already used in this browser
+   */
+  function readRedeemed() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(settings.storageKey) || '[]');
+      return Array.isArray(stored) ? stored.filter(code => typeof code === 'string') : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Records that an order used a code; only single-use codes are recorded
+   * @param {string} code - Promo code
+   */
+  function redeem(code) {
+    const coupon = find(code);
+    if (!coupon || !coupon.singleUse) return;
+    const redeemed = readRedeemed();
+    const normalized = normalizeCode(code);
+    if (redeemed.includes(normalized)) return;
+    try {
+      localStorage.setItem(settings.storageKey, JSON.stringify(redeemed.concat(normalized)));
+    } catch (error) {
+      console.error('Failed to save redeemed promo code:', error);
+    }
+  }
+
+  /**
+   * Describes what a scoped coupon covers, e.g. "Laptops" or "selected products"
+   * @param {Object} coupon - Coupon
+   * @returns {string}
+   */
+  function describeScope(coupon) {
+    return Array.isArray(coupon.categories) && coupon.categories.length
+      ? coupon.categories.join(' and ')
+      : 'selected products';
+  }
+
+  const invalid = error => ({ valid: false, error, coupon: null });
+
+  /**
+   * Checks a promo code against a cart and works out its discount
+   *
+   * @param {string} code - Promo code as typed
+   * @param {Object} options
+   * @param {Array<Object>} options.lines - Cart lines priced by Promotions.priceCart() (need id and lineTotal)
+   * @param {Array<Object>} [options.products] - Catalog, for category-scoped coupons
+   * @param {Array<Object>} [options.coupons] - Coupons to use (defaults to the loaded coupons)
+   * @param {Date} [options.now] - Date used for the validity window (defaults to now)
+   * @param {Array<string>} [options.redeemed] - Single-use codes already used (defaults to this browser's)
+   * @returns {{valid: boolean, error: string, coupon: ({code: string, label: string, type: string, discount: number, freeShipping: boolean}|null)}}
+   *   `error` is a message for the shopper when the code can't be used
+   */
+  function evaluate(code, { lines, products = [], coupons = loadedCoupons, now = new Date(), redeemed = readRedeemed() }) {
+    const normalized = normalizeCode(code);
+    if (!normalized) return invalid('Please enter a promo code');
+
+    const coupon = find(normalized, coupons);
+    if (!coupon) return invalid(`${normalized} is not a valid promo code`);
+    if (!Promotions.isActive({ endsAt: coupon.endsAt }, now)) return invalid(`${normalized} has expired`);
+    if (!Promotions.isActive({ startsAt: coupon.startsAt }, now)) return invalid(`${normalized} is not active yet`);
+    if (coupon.singleUse && redeemed.includes(normalized)) return invalid(`${normalized} has already been used`);
+
+    const scoped = Boolean(coupon.productIds || coupon.categories);
+    const eligible = lines.filter(line => Promotions.appliesTo(coupon, products.find(p => p.id === line.id) || { id: line.id }));
+    if (eligible.length === 0) return invalid(`${normalized} only applies to ${describeScope(coupon)}`);
+
+    const eligibleSubtotal = Promotions.roundMoney(eligible.reduce((sum, line) => sum + line.lineTotal, 0));
+    if (coupon.minSpend > 0 && eligibleSubtotal < coupon.minSpend) {
+      return invalid(`Spend $${coupon.minSpend.toFixed(2)}${scoped ? ` on ${describeScope(coupon)}` : ''} to use ${normalized}`);
+    }
+
+    let discount = 0;
+    if (coupon.type === 'percent') discount = Promotions.roundMoney(eligibleSubtotal * coupon.value / 100);
+    if (coupon.type === 'fixed') discount = Promotions.roundMoney(Math.min(coupon.value, eligibleSubtotal));
+
+    return {
+      valid: true,
+      error: '',
+      coupon: {
+        code: normalized,
+        label: coupon.label || normalized,
+        type: coupon.type,
+        discount,
+        freeShipping: coupon.type === 'freeShipping'
+      }
+    };
+  }
+
+  /**
+   * Loads coupons once; later calls resolve from memory
+   * A missing or broken coupons file means no code is accepted rather than a broken checkout
+   * @returns {Promise<Array>} Loaded coupons
+   */
+  function load() {
+    if (loading) return loading;
+
+    loading = fetch(settings.url)
+      .then(res => {
+        if (!res.ok) throw new Error('Failed to load promo codes');
+        return res.json();
+      })
+      .then(data => {
+        loadedCoupons = (Array.isArray(data) ? data : []).filter(coupon => {
+          const known = coupon && typeof coupon.code === 'string' && COUPON_TYPES.includes(coupon.type);
+          if (!known) console.warn('Ignoring promo code with unknown type or no code:', coupon);
+          return known;
+        });
+        return loadedCoupons;
+      })
+      .catch(error => {
+        console.warn('Promo codes unavailable:', error);
+        loadedCoupons = [];
+        return loadedCoupons;
+      });
+
+    return loading;
+  }
+
+  return {
+    COUPON_TYPES,
+    /**
+     * Overrides default settings (url, storageKey) and forgets loaded coupons
+     * @param {Object} options - Settings to override
+     */
+    configure(options = {}) {
+      Object.assign(settings, options);
+      loadedCoupons = [];
+      loading = null;
+    },
+    load,
+    normalizeCode,
+    find,
+    evaluate,
+    redeem
+  };
+})();
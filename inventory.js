@@ -0,0 +1,119 @@
+/*
+ * TechOps Inventory
+ * =====================================================
+ *
+ * Stock rules shared by the cart, the product pages and both checkouts, so a
+ * product can never be added or ordered beyond what is available:
+ *
+ * - status(): availability of a product ("In stock", "Only 3 left",
+ *   "Out of stock", "Backorder") and how many units can be bought
+ * - maxQuantity(): the quantity cap for a cart line
+ * - reconcileLines(): re-checks a cart against the catalog at checkout and
+ *   lists the lines that cannot be fulfilled
+ *
+ * Catalog fields (products-data.json):
+ * - stock: units on hand; products without it are not tracked and never capped
+ * - backorder: when true, the product can still be ordered once `stock` runs out
+ *   (and beyond it); the extra units ship when it is restocked
+ *
+ * Usage:
+ *   Inventory.status(product)                            // -> { code: 'low-stock', label: 'Only 3 left', canBuy: true, available: 3 }
+ *   const { lines, issues } = Inventory.reconcileLines(cartLines, { products });
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const Inventory = (() => {
+  /** Stock at or below this count is shown as "Only N left" */
+  const LOW_STOCK_THRESHOLD = 5;
+
+  /**
+   * @param {Object} product - Catalog product
+   * @returns {boolean} Whether the product has a stock count
+   */
+  function isTracked(product) {
+    return typeof product.stock === 'number';
+  }
+
+  /**
+   * Availability of a product
+   *
+   * @param {Object} product - Catalog product
+   * @returns {{code: string, label: string, canBuy: boolean, available: number}}
+   *   `code` is 'in-stock', 'low-stock', 'out-of-stock' or 'backorder';
+   *   `available` is the most units one cart may hold (Infinity when not capped)
+   */
+  function status(product) {
+    if (!isTracked(product)) {
+      return { code: 'in-stock', label: 'In stock', canBuy: true, available: Infinity };
+    }
+    const stock = Math.max(0, Math.floor(product.stock));
+    const available = product.backorder ? Infinity : stock;
+    if (stock === 0) {
+      return product.backorder
+        ? { code: 'backorder', label: 'Backorder', canBuy: true, available }
+        : { code: 'out-of-stock', label: 'Out of stock', canBuy: false, available };
+    }
+    if (stock <= LOW_STOCK_THRESHOLD) {
+      return { code: 'low-stock', label: `Only ${stock} left`, canBuy: true, available };
+    }
+    return { code: 'in-stock', label: 'In stock', canBuy: true, available };
+  }
+
+  /**
+   * @param {Object} product - Catalog product
+   * @returns {number} Most units of the product a cart may hold (Infinity when not capped)
+   */
+  function maxQuantity(product) {
+    return status(product).available;
+  }
+
+  /**
+   * Checks cart lines against current stock
+   * Lines above the available stock are reduced to it; lines for products that are out of
+   * stock are removed. Lines for products missing from the catalog are left alone
+   * (Promotions.repriceLines() removes those).
+   *
+   * @param {Array<Object>} lines - Cart lines ({ id, name, quantity })
+   * @param {Object} options
+   * @param {Array<Object>} options.products - Catalog
+   * @returns {{lines: Array<Object>, issues: Array<{id: string, name: string, requested: number, available: number, removed: boolean}>}}
+   *   Lines that can be fulfilled, and one issue per line that could not
+   */
+  function reconcileLines(lines, { products }) {
+    const fulfilled = [];
+    const issues = [];
+
+    lines.forEach(line => {
+      const product = products.find(p => p.id === line.id);
+      const available = product ? maxQuantity(product) : Infinity;
+      if (line.quantity <= available) {
+        fulfilled.push(line);
+        return;
+      }
+      issues.push({ id: line.id, name: line.name, requested: line.quantity, available, removed: available === 0 });
+      if (available > 0) fulfilled.push({ ...line, quantity: available });
+    });
+
+    return { lines: fulfilled, issues };
+  }
+
+  /**
+   * @param {Object} issue - Entry from reconcileLines().issues
+   * @returns {string} Message for the user, e.g. "RTX 4090: only 2 available (you asked for 5)"
+   */
+  function describeIssue(issue) {
+    return issue.removed
+      ? `${issue.name}: out of stock`
+      : `${issue.name}: only ${issue.available} available (you asked for ${issue.requested})`;
+  }
+
+  return {
+    LOW_STOCK_THRESHOLD,
+    isTracked,
+    status,
+    maxQuantity,
+    reconcileLines,
+    describeIssue
+  };
+})();
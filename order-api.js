@@ -0,0 +1,292 @@
+/*
+ * TechOps Order API
+ * =====================================================
+ *
+ * Submits and reads orders through a pluggable backend adapter, so the
+ * checkout runs the same request/response flow whether orders go to the
+ * browser's localStorage, the bundled mock server or a real backend.
+ *
+ * Adapters implement one method:
+ *   request(method, path, body) -> Promise<{ status: number, body: Object }>
+ * and reject only for transport failures (network errors, timeouts).
+ *
+ * Built-in adapters:
+ * - local: orders kept in localStorage (`orderHistory`), with simulated latency.
+ *   Used by default so the site works without a server.
+ * - http:  JSON over fetch to a server such as scripts/mock-order-server.js.
+ *   Used when a base URL is configured, or saved in localStorage under
+ *   `orderApiUrl` (e.g. "http://localhost:4000").
+ *
+ * Routes:
+ *   POST /orders          { requestId, order, payment: { last4 } } -> 201 { order }
+ *   GET  /orders          -> 200 { orders } (newest first)
+ *   GET  /orders/:number  -> 200 { order } | 404
+ * Errors are returned as { error: { code, message } }.
+ *
+ * Test cards (by last 4 digits of the card number):
+ * - 0002: declined (402 card_declined)
+ * - 0069: the order is created but the response times out; the retry
+ *   returns the same order because requests carry an idempotency key
+ *
+ * Timeouts, network errors and 5xx/429 responses are retried with backoff.
+ * Full card numbers never leave the checkout; only the last 4 digits are sent.
+ *
+ * Usage:
+ *   OrderApi.createOrder(CheckoutCore.createOrder(form, totals), { last4: '4242' }).then(order => ...)
+ *   OrderApi.getOrder('TO12345678').then(order => ...)
+ *   OrderApi.listOrders().then(orders => ...)
+ *
+ * Browser Support: Modern browsers (ES6+), Node.js 14+
+ */
+
+const OrderApi = (() => {
+  /** Default settings; override with OrderApi.configure() */
+  const settings = {
+    adapter: null,            // Custom adapter object; overrides baseUrl
+    baseUrl: null,            // Use the http adapter against this server
+    urlStorageKey: 'orderApiUrl',
+    storageKey: 'orderHistory',
+    timeoutMs: 8000,          // Per attempt
+    retries: 2,               // Extra attempts for retryable failures
+    retryDelayMs: 500,        // Doubles after each attempt
+    latencyMs: 600            // Simulated latency of the local adapter
+  };
+
+  /** Simulated payment outcomes by the card's last 4 digits */
+  const TEST_CARDS = {
+    '0002': 'declined',
+    '0069': 'timeout'
+  };
+
+  /**
+   * Creates an Error carrying an API error code
+   * @param {string} code - e.g. card_declined, not_found, invalid_order, timeout, network, server_error
+   * @param {string} message - Human-readable message
+   * @param {Object} [details]
+   * @param {boolean} [details.retryable] - Whether repeating the request may succeed
+   * @param {number} [details.status] - HTTP status, when there was a response
+   * @returns {Error}
+   */
+  function apiError(code, message, { retryable = false, status = null } = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.retryable = retryable;
+    error.status = status;
+    return error;
+  }
+
+  /** Error response body in the API's format */
+  const errorBody = (code, message) => ({ error: { code, message } });
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  /**
+   * @param {Array<string>} taken - Order numbers already in use
+   * @returns {string} New order number, e.g. "TO04817263"
+   */
+  function createOrderNumber(taken) {
+    let orderNumber;
+    do {
+      orderNumber = 'TO' + String(Math.floor(Math.random() * 1e8)).padStart(8, '0');
+    } while (taken.includes(orderNumber));
+    return orderNumber;
+  }
+
+  /**
+   * Mock backend shared by the local adapter and scripts/mock-order-server.js
+   *
+   * @param {{read: function(): Array, write: function(Array)}} store - Order persistence
+   * @param {Object} [options]
+   * @param {number} [options.failureRate] - Share of requests (0-1) answered with 503
+   * @returns {function(string, string, Object): {status: number, body: Object, hang?: boolean}}
+   *   Request handler; `hang` asks the caller to delay the response past the client timeout
+   */
+  function createMockBackend(store, { failureRate = 0 } = {}) {
+    return function handle(method, path, body) {
+      if (failureRate > 0 && Math.random() < failureRate) {
+        return { status: 503, body: errorBody('unavailable', 'Simulated outage, please retry') };
+      }
+
+      const orders = store.read();
+      const match = path.match(/^\/orders\/([\w-]+)$/);
+
+      if (method === 'GET' && path === '/orders') {
+        return { status: 200, body: { orders: orders.slice().reverse() } };
+      }
+
+      if (method === 'GET' && match) {
+        const order = orders.find(o => o.orderNumber === match[1]);
+        return order
+          ? { status: 200, body: { order } }
+          : { status: 404, body: errorBody('not_found', `Order ${match[1]} was not found`) };
+      }
+
+      if (method === 'POST' && path === '/orders') {
+        const { requestId, order: draft, payment = {} } = body || {};
+        if (!draft || !Array.isArray(draft.items) || draft.items.length === 0) {
+          return { status: 400, body: errorBody('invalid_order', 'An order needs at least one item') };
+        }
+
+        // Idempotency: a retried request returns the order it already created
+        const existing = requestId && orders.find(o => o.requestId === requestId);
+        if (existing) return { status: 200, body: { order: existing } };
+
+        const outcome = TEST_CARDS[payment.last4];
+        if (outcome === 'declined') {
+          return { status: 402, body: errorBody('card_declined', 'Your card was declined. Please use a different card.') };
+        }
+
+        const order = {
+          ...draft,
+          orderNumber: createOrderNumber(orders.map(o => o.orderNumber)),
+          status: 'confirmed',
+          timestamp: new Date().toISOString(),
+          requestId
+        };
+        store.write(orders.concat(order));
+        return { status: 201, body: { order }, hang: outcome === 'timeout' };
+      }
+
+      return { status: 404, body: errorBody('not_found', `No route for ${method} ${path}`) };
+    };
+  }
+
+  /**
+   * Adapter that keeps orders in localStorage and answers through the mock backend
+   * @returns {{request: function}}
+   */
+  function createLocalAdapter() {
+    const handle = createMockBackend({
+      read: () => JSON.parse(localStorage.getItem(settings.storageKey) || '[]'),
+      write: orders => localStorage.setItem(settings.storageKey, JSON.stringify(orders))
+    });
+
+    return {
+      request(method, path, body) {
+        return wait(settings.latencyMs).then(() => {
+          const response = handle(method, path, body);
+          if (response.hang) {
+            return wait(settings.timeoutMs).then(() => {
+              throw apiError('timeout', 'The order service did not respond in time', { retryable: true });
+            });
+          }
+          return response;
+        });
+      }
+    };
+  }
+
+  /**
+   * Adapter that sends JSON requests to an order server
+   * @param {string} baseUrl - Server origin, e.g. "http://localhost:4000"
+   * @returns {{request: function}}
+   */
+  function createHttpAdapter(baseUrl) {
+    return {
+      request(method, path, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+        return fetch(baseUrl.replace(/\/+$/, '') + path, {
+          method,
+          headers: body ? { 'Content-Type': 'application/json' } : {},
+          body: body ? JSON.stringify(body) : undefined,
+          signal: controller.signal
+        })
+          .then(res => res.json()
+            .catch(() => ({}))
+            .then(data => ({ status: res.status, body: data })))
+          .catch(error => {
+            throw error.name === 'AbortError'
+              ? apiError('timeout', 'The order service did not respond in time', { retryable: true })
+              : apiError('network', 'Could not reach the order service', { retryable: true });
+          })
+          .finally(() => clearTimeout(timer));
+      }
+    };
+  }
+
+  /**
+   * Picks the adapter: a configured one, http when a base URL is known, else local
+   * @returns {{request: function}}
+   */
+  function getAdapter() {
+    if (settings.adapter) return settings.adapter;
+
+    let baseUrl = settings.baseUrl;
+    if (!baseUrl && typeof localStorage !== 'undefined') {
+      baseUrl = localStorage.getItem(settings.urlStorageKey);
+    }
+    return baseUrl ? createHttpAdapter(baseUrl) : createLocalAdapter();
+  }
+
+  /**
+   * Sends a request, retrying timeouts, network errors and 5xx/429 responses
+   * @returns {Promise<Object>} Response body of a 2xx response
+   */
+  function send(method, path, body) {
+    const adapter = getAdapter();
+
+    const attempt = n => adapter.request(method, path, body)
+      .then(res => {
+        if (res.status >= 200 && res.status < 300) return res.body;
+        const { code = 'server_error', message = `Request failed with status ${res.status}` } = (res.body && res.body.error) || {};
+        throw apiError(code, message, { retryable: res.status >= 500 || res.status === 429, status: res.status });
+      })
+      .catch(error => {
+        const failure = error.code ? error : apiError('network', error.message, { retryable: true });
+        if (!failure.retryable || n >= settings.retries) throw failure;
+        return wait(settings.retryDelayMs * 2 ** n).then(() => attempt(n + 1));
+      });
+
+    return attempt(0);
+  }
+
+  return {
+    TEST_CARDS,
+    /**
+     * Overrides default settings (adapter, baseUrl, timeoutMs, retries, retryDelayMs, latencyMs, ...)
+     * @param {Object} options - Settings to override
+     */
+    configure(options = {}) {
+      Object.assign(settings, options);
+    },
+
+    /**
+     * Submits an order; retries reuse one idempotency key so an order is never created twice
+     * @param {Object} order - Order record from CheckoutCore.createOrder()
+     * @param {Object} [payment] - Payment summary sent with the order
+     * @param {string} [payment.last4] - Last 4 digits of the card number
+     * @returns {Promise<Object>} Stored order, with orderNumber, status and timestamp
+     */
+    createOrder(order, payment = {}) {
+      const requestId = 'req-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+      return send('POST', '/orders', { requestId, order, payment: { last4: payment.last4 } })
+        .then(body => body.order);
+    },
+
+    /**
+     * @param {string} orderNumber - e.g. "TO12345678"
+     * @returns {Promise<Object>} The order (rejects with code not_found if unknown)
+     */
+    getOrder(orderNumber) {
+      return send('GET', `/orders/${encodeURIComponent(orderNumber)}`).then(body => body.order);
+    },
+
+    /**
+     * @returns {Promise<Array<Object>>} All orders, newest first
+     */
+    listOrders() {
+      return send('GET', '/orders').then(body => body.orders);
+    },
+
+    createMockBackend,
+    createLocalAdapter,
+    createHttpAdapter
+  };
+})();
+
+// Allow the mock server (scripts/mock-order-server.js) to share the backend
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OrderApi;
+}
@@ -0,0 +1,247 @@
+/**
+ * Order Confirmation Page Vue.js Application
+ *
+ * Shows a placed order by its order number (order-confirmation.html?order=TO12345678)
+ * Reads the stored order record through OrderApi, so the page can be revisited,
+ * bookmarked, printed or saved as a receipt at any time
+ *
+ * Components:
+ * - OrderReceipt: Line items, discounts, shipping, address and totals
+ * - Main App: Loads the order and handles missing/unknown order numbers
+ *
+ * Features:
+ * - Print-friendly receipt layout (see @media print in order-confirmation.html)
+ * - Receipt download as plain text or HTML (receipt.js)
+ *
+ * Dependencies: Vue 3 (loaded via CDN), checkout-core.js, order-api.js, receipt.js
+ * Target Element: #app (order-confirmation.html)
+ *
+ * @version 1.0
+ * @author IT Hardware Sale Website Project
+ */
+
+const { createApp, ref, computed, onMounted } = Vue;
+
+/**
+ * OrderReceipt Component
+ *
+ * Props:
+ * - order: Stored order record
+ */
+const OrderReceipt = {
+  props: {
+    order: Object
+  },
+  setup(props) {
+    const receipt = computed(() => Receipt.summarize(props.order));
+
+    const printReceipt = () => window.print();
+    const downloadReceipt = (format) => Receipt.download(props.order, format);
+
+    return {
+      receipt,
+      printReceipt,
+      downloadReceipt
+    };
+  },
+  template: `
+    <div class="receipt">
+      <div class="receipt-header d-flex flex-column flex-md-row justify-content-between gap-3 mb-4">
+        <div>
+          <h4 class="mb-1">Order {{ receipt.orderNumber }}</h4>
+          <div class="text-muted small">
+            <span v-if="receipt.placedAt">Placed {{ receipt.placedAt.toLocaleString() }} &middot; </span>
+            <span class="text-capitalize">{{ receipt.status }}</span>
+          </div>
+        </div>
+        <div class="d-flex flex-wrap gap-2 no-print">
+          <button type="button" class="btn btn-outline-neon btn-sm" @click="printReceipt">
+            <i class="bi bi-printer me-1"></i>Print
+          </button>
+          <button type="button" class="btn btn-outline-neon btn-sm" @click="downloadReceipt('text')">
+            <i class="bi bi-file-earmark-text me-1"></i>Download .txt
+          </button>
+          <button type="button" class="btn btn-outline-neon btn-sm" @click="downloadReceipt('html')">
+            <i class="bi bi-file-earmark-code me-1"></i>Download .html
+          </button>
+        </div>
+      </div>
+
+      <div class="row g-4 mb-4">
+        <div class="col-md-6">
+          <h6 class="receipt-label">Ship to</h6>
+          <div v-for="line in receipt.addressLines" :key="line">{{ line }}</div>
+          <div v-if="receipt.customer.email" class="text-muted small">{{ receipt.customer.email }}</div>
+          <div v-if="receipt.customer.mobile" class="text-muted small">{{ receipt.customer.mobile }}</div>
+        </div>
+        <div v-if="receipt.billingLines.length" class="col-md-6">
+          <h6 class="receipt-label">Bill to</h6>
+          <div v-for="line in receipt.billingLines" :key="line">{{ line }}</div>
+        </div>
+        <div class="col-md-6">
+          <h6 class="receipt-label">Shipping method</h6>
+          <div>{{ receipt.shippingLabel }}</div>
+          <div v-if="receipt.estimatedDelivery" class="text-muted small">Estimated delivery: {{ receipt.estimatedDelivery }}</div>
+        </div>
+      </div>
+
+      <table class="table align-middle">
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th class="text-end">Qty</th>
+            <th class="text-end">Unit Price</th>
+            <th class="text-end">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr v-for="(line, index) in receipt.lines" :key="index">
+            <td>
+              <strong>{{ line.name }}</strong>
+              <div v-if="line.promotions.length" class="small text-success">
+                <i class="bi bi-tag me-1"></i>{{ line.promotions.join(', ') }}
+              </div>
+            </td>
+            <td class="text-end">
+              {{ line.quantity }}
+              <div v-if="line.freeUnits > 0" class="small text-success">{{ line.freeUnits }} free</div>
+            </td>
+            <td class="text-end">
+              \${{ line.unitPrice.toFixed(2) }}
+              <div v-if="line.originalUnitPrice > line.unitPrice" class="small text-muted text-decoration-line-through">\${{ line.originalUnitPrice.toFixed(2) }}</div>
+            </td>
+            <td class="text-end">
+              <strong>\${{ line.lineTotal.toFixed(2) }}</strong>
+              <div v-if="line.savings > 0" class="small text-success">-\${{ line.savings.toFixed(2) }}</div>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div class="receipt-totals ms-auto">
+        <div v-if="receipt.savings > 0" class="d-flex justify-content-between mb-2 text-success">
+          <span>Discounts:</span>
+          <span>-\${{ receipt.savings.toFixed(2) }}</span>
+        </div>
+        <div class="d-flex justify-content-between mb-2">
+          <span>Subtotal:</span>
+          <span>\${{ receipt.subtotal.toFixed(2) }}</span>
+        </div>
+        <div v-if="receipt.coupon" class="d-flex justify-content-between mb-2 text-success">
+          <span>Promo code {{ receipt.coupon.code }}:</span>
+          <span>{{ receipt.discount > 0 ? '-$' + receipt.discount.toFixed(2) : 'Applied' }}</span>
+        </div>
+        <div class="d-flex justify-content-between mb-2">
+          <span>{{ receipt.shippingLabel }}:</span>
+          <span v-if="receipt.shipping > 0">\${{ receipt.shipping.toFixed(2) }}</span>
+          <span v-else class="text-success">FREE</span>
+        </div>
+        <template v-if="receipt.tax && !receipt.tax.inclusive">
+          <div v-for="tax in receipt.taxRows" :key="tax.label" class="d-flex justify-content-between mb-2">
+            <span>{{ tax.label }}:</span>
+            <span>\${{ tax.amount.toFixed(2) }}</span>
+          </div>
+        </template>
+        <hr>
+        <div class="d-flex justify-content-between">
+          <strong>Total:</strong>
+          <strong class="text-neon">\${{ receipt.total.toFixed(2) }}</strong>
+        </div>
+        <template v-if="receipt.tax && receipt.tax.inclusive">
+          <div v-for="tax in receipt.taxRows" :key="tax.label" class="d-flex justify-content-between mt-2 small text-muted">
+            <span>{{ tax.label }}:</span>
+            <span>\${{ tax.amount.toFixed(2) }}</span>
+          </div>
+        </template>
+      </div>
+    </div>
+  `
+};
+
+// Parent Component: App
+const OrderConfirmationApp = {
+  components: {
+    OrderReceipt
+  },
+  setup() {
+    const orderNumber = new URLSearchParams(window.location.search).get('order') || '';
+    const order = ref(null);
+    const isLoading = ref(true);
+    const errorMessage = ref('');
+
+    // Load the order record from the order service
+    onMounted(() => {
+      if (!orderNumber) {
+        errorMessage.value = 'No order number was given.';
+        isLoading.value = false;
+        return;
+      }
+
+      OrderApi.getOrder(orderNumber)
+        .then(found => {
+          order.value = found;
+        })
+        .catch(error => {
+          errorMessage.value = error.code === 'not_found'
+            ? `We couldn't find order ${orderNumber}.`
+            : `We couldn't load order ${orderNumber}: ${error.message}`;
+        })
+        .finally(() => {
+          isLoading.value = false;
+        });
+    });
+
+    return {
+      orderNumber,
+      order,
+      isLoading,
+      errorMessage
+    };
+  },
+  template: `
+    <main class="container py-5">
+      <div class="confirmation-container">
+        <!-- Page Header -->
+        <div class="page-header no-print">
+          <h1><i class="bi bi-bag-check me-3"></i>Order Confirmation</h1>
+          <p v-if="order">Thank you! Your order has been placed.</p>
+        </div>
+
+        <div v-if="isLoading" class="text-center py-5 text-muted">
+          <i class="bi bi-arrow-repeat spin me-2"></i>Loading your order...
+        </div>
+
+        <div v-else-if="errorMessage" class="text-center py-5">
+          <i class="bi bi-exclamation-circle display-4 text-muted"></i>
+          <p class="mt-3">{{ errorMessage }}</p>
+          <a href="products.html" class="btn btn-outline-neon">Browse Products</a>
+        </div>
+
+        <template v-else>
+          <OrderReceipt :order="order" />
+          <div class="text-center mt-4 no-print">
+            <a href="products.html" class="btn btn-neon">Continue Shopping</a>
+          </div>
+        </template>
+      </div>
+    </main>
+
+    <!-- Footer -->
+    <footer class="py-5 mt-5 no-print" style="background: linear-gradient(135deg, #f8f9fa, #e9ecef); color: #495057; text-align: center; border-top: 1px solid rgba(0, 102, 204, 0.08); box-shadow: 0 -2px 15px rgba(0, 0, 0, 0.03);">
+      <div class="container d-flex flex-column flex-md-row align-items-center justify-content-between gap-3">
+        <div class="fw-medium">&copy; 2024 TechOps — SIT120 Project</div>
+        <div class="d-flex gap-4">
+          <a href="index.html" style="color: #0066cc; text-decoration: none; font-weight: 500;">Home</a>
+          <a href="products.html" style="color: #0066cc; text-decoration: none; font-weight: 500;">Products</a>
+          <a href="contact.html" style="color: #0066cc; text-decoration: none; font-weight: 500;">Contact Us</a>
+        </div>
+      </div>
+    </footer>
+  `
+};
+
+// Initialize the Vue application when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+  // Mount the Vue application
+  createApp(OrderConfirmationApp).mount('#app');
+});
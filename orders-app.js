@@ -0,0 +1,329 @@
+/**
+ * My Orders Page Vue.js Application
+ *
+ * Lists past orders read through OrderApi (localStorage `orderHistory` by
+ * default, or the configured order server) with search and a date-range filter
+ *
+ * Components:
+ * - OrderDetail: Line items, shipping and totals of one order
+ * - Main App: Order list, filters and reorder
+ *
+ * Features:
+ * - Date, order number, item count, total and status per order
+ * - Expandable detail view with a link to the printable receipt
+ * - Reorder: adds the order's products to the cart at current catalog prices, up to the available stock
+ * - Search by order number or product name, filter by date range
+ *
+ * Dependencies: Vue 3 (loaded via CDN), catalog.js, promotions.js, checkout-core.js,
+ * order-api.js, receipt.js, script.js (migrateLegacyStorage, reorderItems, showCart)
+ * Target Element: #app (orders.html)
+ *
+ * @version 1.0
+ * @author IT Hardware Sale Website Project
+ */
+
+const { createApp, ref, reactive, computed, onMounted } = Vue;
+
+/**
+ * OrderDetail Component
+ *
+ * Props:
+ * - order: Stored order record
+ */
+const OrderDetail = {
+  props: {
+    order: Object
+  },
+  setup(props) {
+    const receipt = computed(() => Receipt.summarize(props.order));
+    return { receipt };
+  },
+  template: `
+    <div class="order-detail">
+      <div class="row g-3 mb-3">
+        <div class="col-md-6">
+          <h6 class="order-label">Ship to</h6>
+          <div v-for="line in receipt.addressLines" :key="line" class="small">{{ line }}</div>
+        </div>
+        <div v-if="receipt.billingLines.length" class="col-md-6">
+          <h6 class="order-label">Bill to</h6>
+          <div v-for="line in receipt.billingLines" :key="line" class="small">{{ line }}</div>
+        </div>
+        <div class="col-md-6">
+          <h6 class="order-label">Shipping method</h6>
+          <div class="small">{{ receipt.shippingLabel }}</div>
+          <div v-if="receipt.estimatedDelivery" class="small text-muted">Estimated delivery: {{ receipt.estimatedDelivery }}</div>
+        </div>
+      </div>
+
+      <table class="table table-sm align-middle mb-3">
+        <tbody>
+          <tr v-for="(line, index) in receipt.lines" :key="index">
+            <td>
+              {{ line.name }}
+              <div v-if="line.promotions.length" class="small text-success">{{ line.promotions.join(', ') }}</div>
+            </td>
+            <td class="text-end text-nowrap">{{ line.quantity }} &times; \${{ line.unitPrice.toFixed(2) }}</td>
+            <td class="text-end text-nowrap"><strong>\${{ line.lineTotal.toFixed(2) }}</strong></td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div class="order-detail-totals ms-auto small">
+        <div v-if="receipt.savings > 0" class="d-flex justify-content-between text-success">
+          <span>Discounts:</span><span>-\${{ receipt.savings.toFixed(2) }}</span>
+        </div>
+        <div class="d-flex justify-content-between">
+          <span>Subtotal:</span><span>\${{ receipt.subtotal.toFixed(2) }}</span>
+        </div>
+        <div v-if="receipt.coupon" class="d-flex justify-content-between text-success">
+          <span>Promo code {{ receipt.coupon.code }}:</span><span>{{ receipt.discount > 0 ? '-$' + receipt.discount.toFixed(2) : 'Applied' }}</span>
+        </div>
+        <div class="d-flex justify-content-between">
+          <span>{{ receipt.shippingLabel }}:</span>
+          <span>{{ receipt.shipping > 0 ? '$' + receipt.shipping.toFixed(2) : 'FREE' }}</span>
+        </div>
+        <template v-if="receipt.tax && !receipt.tax.inclusive">
+          <div v-for="tax in receipt.taxRows" :key="tax.label" class="d-flex justify-content-between">
+            <span>{{ tax.label }}:</span><span>\${{ tax.amount.toFixed(2) }}</span>
+          </div>
+        </template>
+        <div class="d-flex justify-content-between fw-bold">
+          <span>Total:</span><span>\${{ receipt.total.toFixed(2) }}</span>
+        </div>
+        <template v-if="receipt.tax && receipt.tax.inclusive">
+          <div v-for="tax in receipt.taxRows" :key="tax.label" class="d-flex justify-content-between text-muted">
+            <span>{{ tax.label }}:</span><span>\${{ tax.amount.toFixed(2) }}</span>
+          </div>
+        </template>
+      </div>
+    </div>
+  `
+};
+
+// Parent Component: App
+const OrdersApp = {
+  components: {
+    OrderDetail
+  },
+  setup() {
+    const orders = ref([]);
+    const isLoading = ref(true);
+    const errorMessage = ref('');
+    const expandedOrder = ref(null);
+    const reorderMessage = ref(null);
+    const filters = reactive({
+      query: '',
+      from: '',
+      to: ''
+    });
+
+    /** Total units in an order */
+    const itemCount = (order) => (order.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0);
+
+    /** Date an order was placed, or null for records without a timestamp */
+    const placedAt = (order) => order.timestamp ? new Date(order.timestamp) : null;
+
+    // Orders matching the search box and date range (dates are whole local days)
+    const filteredOrders = computed(() => {
+      const query = filters.query.trim().toLowerCase();
+      const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+      const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+      return orders.value.filter(order => {
+        const date = placedAt(order);
+        if ((from || to) && !date) return false;
+        if (from && date < from) return false;
+        if (to && date > to) return false;
+        if (!query) return true;
+        return (order.orderNumber || '').toLowerCase().includes(query) ||
+          (order.items || []).some(item => (item.name || '').toLowerCase().includes(query));
+      });
+    });
+
+    const hasFilters = computed(() => Boolean(filters.query || filters.from || filters.to));
+
+    const clearFilters = () => {
+      filters.query = '';
+      filters.from = '';
+      filters.to = '';
+    };
+
+    const toggleDetail = (orderNumber) => {
+      expandedOrder.value = expandedOrder.value === orderNumber ? null : orderNumber;
+    };
+
+    // Put the order's products back in the cart at today's prices
+    const reorder = (order) => {
+      reorderMessage.value = null;
+      reorderItems(order.items || [])
+        .then(({ added, unavailable, limited }) => {
+          reorderMessage.value = {
+            orderNumber: order.orderNumber,
+            type: added.length ? 'success' : 'warning',
+            text: added.length
+              ? `Added ${added.length} product(s) to your cart at current prices.`
+              : 'None of these products are available right now.',
+            unavailable,
+            limited
+          };
+          if (added.length) showCart();
+        })
+        .catch(error => {
+          console.error('Reorder failed:', error);
+          reorderMessage.value = { orderNumber: order.orderNumber, type: 'danger', text: 'Could not load current prices. Please try again.', unavailable: [], limited: [] };
+        });
+    };
+
+    // Older name-keyed storage is migrated by script.js before the history is read
+    const waitForStorageMigration = () => {
+      return typeof migrateLegacyStorage === 'function' ? migrateLegacyStorage() : Promise.resolve();
+    };
+
+    // Load order history from the order service
+    onMounted(() => {
+      waitForStorageMigration()
+        .then(() => OrderApi.listOrders())
+        .then(list => {
+          orders.value = list;
+        })
+        .catch(error => {
+          errorMessage.value = `We couldn't load your orders: ${error.message}`;
+        })
+        .finally(() => {
+          isLoading.value = false;
+        });
+    });
+
+    return {
+      orders,
+      isLoading,
+      errorMessage,
+      expandedOrder,
+      reorderMessage,
+      filters,
+      filteredOrders,
+      hasFilters,
+      itemCount,
+      placedAt,
+      clearFilters,
+      toggleDetail,
+      reorder
+    };
+  },
+  template: `
+    <main class="container py-5">
+      <div class="orders-container">
+        <!-- Page Header -->
+        <div class="page-header">
+          <h1><i class="bi bi-receipt me-3"></i>My Orders</h1>
+          <p>Track past purchases, view receipts and reorder in one click</p>
+        </div>
+
+        <div v-if="isLoading" class="text-center py-5 text-muted">
+          <i class="bi bi-arrow-repeat spin me-2"></i>Loading your orders...
+        </div>
+
+        <div v-else-if="errorMessage" class="alert alert-danger">{{ errorMessage }}</div>
+
+        <div v-else-if="orders.length === 0" class="text-center py-5">
+          <i class="bi bi-bag-x display-4 text-muted"></i>
+          <p class="text-muted mt-2">You haven't placed any orders yet.</p>
+          <a href="products.html" class="btn btn-outline-neon">Browse Products</a>
+        </div>
+
+        <template v-else>
+          <!-- Filters -->
+          <form class="orders-filters row g-3 align-items-end mb-4" @submit.prevent>
+            <div class="col-md-5">
+              <label for="orderSearch" class="form-label">Search</label>
+              <input id="orderSearch" type="search" class="form-control" v-model="filters.query" placeholder="Order number or product">
+            </div>
+            <div class="col-6 col-md-3">
+              <label for="orderFrom" class="form-label">From</label>
+              <input id="orderFrom" type="date" class="form-control" v-model="filters.from" :max="filters.to || undefined">
+            </div>
+            <div class="col-6 col-md-3">
+              <label for="orderTo" class="form-label">To</label>
+              <input id="orderTo" type="date" class="form-control" v-model="filters.to" :min="filters.from || undefined">
+            </div>
+            <div class="col-md-1 d-grid">
+              <button type="button" class="btn btn-outline-secondary" @click="clearFilters" :disabled="!hasFilters" title="Clear filters">
+                <i class="bi bi-x-lg"></i>
+              </button>
+            </div>
+          </form>
+
+          <p class="text-muted small" aria-live="polite">Showing {{ filteredOrders.length }} of {{ orders.length }} order(s)</p>
+
+          <div v-if="filteredOrders.length === 0" class="alert alert-warning">No orders match your search.</div>
+
+          <!-- Order List -->
+          <div v-for="order in filteredOrders" :key="order.orderNumber" class="order-card">
+            <div class="d-flex flex-column flex-md-row justify-content-between gap-3">
+              <div class="order-summary-grid">
+                <div>
+                  <div class="order-label">Date</div>
+                  <div>{{ placedAt(order) ? placedAt(order).toLocaleDateString() : '—' }}</div>
+                </div>
+                <div>
+                  <div class="order-label">Order</div>
+                  <div class="fw-bold">{{ order.orderNumber }}</div>
+                </div>
+                <div>
+                  <div class="order-label">Items</div>
+                  <div>{{ itemCount(order) }}</div>
+                </div>
+                <div>
+                  <div class="order-label">Total</div>
+                  <div class="text-neon fw-bold">\${{ (order.total || 0).toFixed(2) }}</div>
+                </div>
+                <div>
+                  <div class="order-label">Status</div>
+                  <span class="badge bg-success text-capitalize">{{ order.status || 'confirmed' }}</span>
+                </div>
+              </div>
+              <div class="d-flex flex-wrap gap-2 align-items-start">
+                <button type="button" class="btn btn-outline-neon btn-sm" @click="toggleDetail(order.orderNumber)" :aria-expanded="expandedOrder === order.orderNumber">
+                  <i class="bi" :class="expandedOrder === order.orderNumber ? 'bi-chevron-up' : 'bi-chevron-down'"></i> Details
+                </button>
+                <button type="button" class="btn btn-neon btn-sm" @click="reorder(order)">
+                  <i class="bi bi-arrow-repeat me-1"></i>Reorder
+                </button>
+                <a :href="'order-confirmation.html?order=' + encodeURIComponent(order.orderNumber)" class="btn btn-outline-secondary btn-sm">
+                  <i class="bi bi-printer me-1"></i>Receipt
+                </a>
+              </div>
+            </div>
+
+            <div v-if="reorderMessage && reorderMessage.orderNumber === order.orderNumber" class="alert mt-3 mb-0 small" :class="'alert-' + reorderMessage.type">
+              {{ reorderMessage.text }}
+              <span v-if="reorderMessage.unavailable.length">Not available: {{ reorderMessage.unavailable.join(', ') }}</span>
+              <span v-if="reorderMessage.limited.length">Fewer than ordered, limited by stock: {{ reorderMessage.limited.join(', ') }}</span>
+            </div>
+
+            <OrderDetail v-if="expandedOrder === order.orderNumber" :order="order" class="mt-3" />
+          </div>
+        </template>
+      </div>
+    </main>
+
+    <!-- Footer -->
+    <footer class="py-5 mt-5" style="background: linear-gradient(135deg, #f8f9fa, #e9ecef); color: #495057; text-align: center; border-top: 1px solid rgba(0, 102, 204, 0.08); box-shadow: 0 -2px 15px rgba(0, 0, 0, 0.03);">
+      <div class="container d-flex flex-column flex-md-row align-items-center justify-content-between gap-3">
+        <div class="fw-medium">&copy; 2024 TechOps — SIT120 Project</div>
+        <div class="d-flex gap-4">
+          <a href="index.html" style="color: #0066cc; text-decoration: none; font-weight: 500;">Home</a>
+          <a href="products.html" style="color: #0066cc; text-decoration: none; font-weight: 500;">Products</a>
+          <a href="contact.html" style="color: #0066cc; text-decoration: none; font-weight: 500;">Contact Us</a>
+        </div>
+      </div>
+    </footer>
+  `
+};
+
+// Initialize the Vue application when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+  // Mount the Vue application
+  createApp(OrdersApp).mount('#app');
+});
@@ -0,0 +1,355 @@
+/*
+ * TechOps Product Filters
+ * =====================================================
+ *
+ * Faceted filtering for the products page: categories, brands, price range,
+ * in-stock only, on-sale only and spec facets, combined with the search query,
+ * plus sorting and pagination of the results. The state round-trips through
+ * the URL query string, so every view can be shared and restored with the
+ * back button.
+ *
+ * Query string (all optional, repeated keys are multi-select):
+ *   q=rtx  category=Laptops&category=Components  brand=ASUS
+ *   minPrice=100  maxPrice=2000  inStock=1  onSale=1  spec.type=Mouse
+ *   sort=price-asc  page=2  perPage=24
+ *
+ * Facet counts follow the usual faceted-search rule: a facet's counts apply
+ * every other active filter, so ticking one category never hides the others.
+ *
+ * Usage:
+ *   const state = ProductFilters.parseQuery(location.search);
+ *   const results = ProductFilters.apply(products, state, { priceOf, search });
+ *   const facets = ProductFilters.facets(products, state, { priceOf, search });
+ *   const page = ProductFilters.paginate(ProductFilters.sort(results, state, { priceOf, discountOf }), state);
+ *
+ * Depends on product-specs.js for spec facets and inventory.js for the in-stock filter.
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const ProductFilters = (() => {
+  /** Prefix of spec facet parameters in the query string, e.g. spec.connectivity */
+  const SPEC_PREFIX = 'spec.';
+
+  /**
+   * Sort orders offered on the products page
+   * `featured` keeps catalog order; `relevance` keeps search result order and only applies while searching
+   */
+  const SORT_OPTIONS = [
+    { value: 'featured', label: 'Featured' },
+    { value: 'relevance', label: 'Relevance' },
+    { value: 'price-asc', label: 'Price: low to high' },
+    { value: 'price-desc', label: 'Price: high to low' },
+    { value: 'name', label: 'Name: A to Z' },
+    { value: 'newest', label: 'Newest' },
+    { value: 'discount', label: 'Biggest discount' }
+  ];
+
+  /** Page sizes offered on the products page; the first is the default */
+  const PAGE_SIZES = [12, 24, 48];
+
+  /**
+   * @returns {Object} Filter state with nothing selected
+   */
+  function emptyState() {
+    return {
+      q: '',
+      categories: [],
+      brands: [],
+      minPrice: null,
+      maxPrice: null,
+      inStock: false,
+      onSale: false,
+      specs: {},
+      sort: '',
+      page: 1,
+      perPage: PAGE_SIZES[0]
+    };
+  }
+
+  /** Reads a price parameter; blank or invalid values mean "no limit" */
+  const parsePrice = value => {
+    const number = parseFloat(value);
+    return value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? number : null;
+  };
+
+  /**
+   * Reads filter state from a query string
+   * @param {string} search - e.g. window.location.search
+   * @returns {Object} Filter state
+   */
+  function parseQuery(search) {
+    const params = new URLSearchParams(search);
+    const state = emptyState();
+    state.q = (params.get('q') || '').trim();
+    state.categories = params.getAll('category').filter(Boolean);
+    state.brands = params.getAll('brand').filter(Boolean);
+    state.minPrice = parsePrice(params.get('minPrice'));
+    state.maxPrice = parsePrice(params.get('maxPrice'));
+    state.inStock = params.get('inStock') === '1';
+    state.onSale = params.get('onSale') === '1';
+    params.forEach((value, key) => {
+      if (key.startsWith(SPEC_PREFIX) && value) {
+        const specKey = key.slice(SPEC_PREFIX.length);
+        state.specs[specKey] = (state.specs[specKey] || []).concat(value);
+      }
+    });
+    const sort = params.get('sort');
+    state.sort = SORT_OPTIONS.some(option => option.value === sort) ? sort : '';
+    state.page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    const perPage = parseInt(params.get('perPage'), 10);
+    state.perPage = PAGE_SIZES.includes(perPage) ? perPage : PAGE_SIZES[0];
+    return state;
+  }
+
+  /**
+   * Writes filter state as a query string; unset filters are left out
+   * @param {Object} state - Filter state
+   * @returns {string} Query string without the leading "?" (empty when nothing is set)
+   */
+  function toQuery(state) {
+    const params = new URLSearchParams();
+    if (state.q) params.set('q', state.q);
+    state.categories.forEach(category => params.append('category', category));
+    state.brands.forEach(brand => params.append('brand', brand));
+    if (state.minPrice !== null) params.set('minPrice', state.minPrice);
+    if (state.maxPrice !== null) params.set('maxPrice', state.maxPrice);
+    if (state.inStock) params.set('inStock', '1');
+    if (state.onSale) params.set('onSale', '1');
+    Object.keys(state.specs).forEach(key => {
+      state.specs[key].forEach(value => params.append(`${SPEC_PREFIX}${key}`, value));
+    });
+    if (state.sort) params.set('sort', state.sort);
+    if (state.page > 1) params.set('page', state.page);
+    if (state.perPage !== PAGE_SIZES[0]) params.set('perPage', state.perPage);
+    return params.toString();
+  }
+
+  /**
+   * Whether a product can be bought now (in stock, low stock or on backorder)
+   * Uses the same stock rules as the badges and the cart (Inventory.status)
+   * @param {Object} product - Catalog product
+   * @returns {boolean}
+   */
+  function isInStock(product) {
+    return Inventory.status(product).canBuy;
+  }
+
+  /**
+   * Display value of each spec of a product, keyed by spec key
+   * @param {Object} product - Catalog product
+   * @returns {Object}
+   */
+  function specValues(product) {
+    const values = {};
+    ProductSpecs.rows(product).forEach(row => {
+      values[row.key] = row.display;
+    });
+    return values;
+  }
+
+  /**
+   * Builds the per-filter tests for a state
+   * Each test gets (product, price) and returns whether the product passes
+   *
+   * @param {Object} state - Filter state
+   * @param {Object} options - { isOnSale }
+   * @returns {Object} Tests keyed by facet name ('specs.<key>' for spec facets)
+   */
+  function buildTests(state, { isOnSale }) {
+    const tests = {};
+    if (state.categories.length) tests.category = product => state.categories.includes(product.category);
+    if (state.brands.length) tests.brand = product => state.brands.includes(product.brand);
+    if (state.minPrice !== null || state.maxPrice !== null) {
+      tests.price = (product, price) => (state.minPrice === null || price >= state.minPrice) &&
+        (state.maxPrice === null || price <= state.maxPrice);
+    }
+    if (state.inStock) tests.inStock = product => isInStock(product);
+    if (state.onSale) tests.onSale = product => isOnSale(product);
+    Object.keys(state.specs).forEach(key => {
+      if (state.specs[key].length) tests[`specs.${key}`] = product => state.specs[key].includes(specValues(product)[key]);
+    });
+    return tests;
+  }
+
+  /**
+   * Runs the search and every filter test except `skip`
+   * @returns {Array<Object>} Matching products, in search result order
+   */
+  function run(products, state, options, skip) {
+    const { priceOf, search } = options;
+    const tests = buildTests(state, options);
+    const searched = state.q && search ? search(products, state.q) : products;
+    return searched.filter(product => {
+      const price = priceOf(product);
+      return Object.keys(tests).every(name => name === skip || tests[name](product, price));
+    });
+  }
+
+  /** Fills in defaults for the pricing and search hooks */
+  function withDefaults(options) {
+    return {
+      priceOf: options.priceOf || (product => product.price),
+      discountOf: options.discountOf || (() => 0),
+      isOnSale: options.isOnSale || (() => false),
+      search: options.search || null
+    };
+  }
+
+  /**
+   * Filters products by the state
+   *
+   * @param {Array<Object>} products - Catalog products
+   * @param {Object} state - Filter state
+   * @param {Object} [options]
+   * @param {function(Object): number} [options.priceOf] - Price used by the price range (defaults to the list price)
+   * @param {function(Object): boolean} [options.isOnSale] - Whether a product has an active promotion
+   * @param {function(Array, string): Array} [options.search] - Search used for `q` (e.g. searchProducts), best match first
+   * @returns {Array<Object>} Matching products, in catalog order (search result order while searching)
+   */
+  function apply(products, state, options = {}) {
+    return run(products, state, withDefaults(options), null);
+  }
+
+  /**
+   * Lists every facet value with its live result count
+   * Each facet's counts apply the search and all other active filters, but not the facet itself
+   *
+   * @param {Array<Object>} products - Catalog products
+   * @param {Object} state - Filter state
+   * @param {Object} [options] - Same as apply()
+   * @returns {{categories: Array, brands: Array, specs: Array, inStock: number, onSale: number, priceRange: {min: number, max: number}}}
+   *   Value lists hold { value, count, selected }; spec facets are { key, label, values }
+   */
+  function facets(products, state, options = {}) {
+    const settings = withDefaults(options);
+    const count = (list, valueOf) => {
+      const counts = new Map();
+      list.forEach(product => {
+        const value = valueOf(product);
+        if (value !== undefined && value !== null && value !== '') counts.set(value, (counts.get(value) || 0) + 1);
+      });
+      return counts;
+    };
+    // Every value in the catalog is listed, so selected values never disappear; unmatched ones count 0
+    const listValues = (valueOf, counts, selected) => Array.from(new Set(products.map(valueOf)))
+      .filter(value => value !== undefined && value !== null && value !== '')
+      .sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }))
+      .map(value => ({ value, count: counts.get(value) || 0, selected: selected.includes(value) }));
+
+    const byCategory = count(run(products, state, settings, 'category'), product => product.category);
+    const byBrand = count(run(products, state, settings, 'brand'), product => product.brand);
+
+    // Spec facets come from the template fields marked `facet`, for the categories in the catalog
+    const specFields = [];
+    products.forEach(product => ProductSpecs.getTemplate(product.category)
+      .filter(field => field.facet && !specFields.some(known => known.key === field.key))
+      .forEach(field => specFields.push(field)));
+
+    const specs = specFields.map(field => {
+      const valueOf = product => specValues(product)[field.key];
+      const counts = count(run(products, state, settings, `specs.${field.key}`), valueOf);
+      // Spec values only make sense within their categories, so unmatched ones are hidden
+      const values = listValues(valueOf, counts, state.specs[field.key] || []).filter(value => value.count > 0 || value.selected);
+      return { key: field.key, label: field.label, values };
+    }).filter(facet => facet.values.length > 1 || facet.values.some(value => value.selected));
+
+    const prices = products.map(settings.priceOf);
+    return {
+      categories: listValues(product => product.category, byCategory, state.categories),
+      brands: listValues(product => product.brand, byBrand, state.brands),
+      specs,
+      inStock: run(products, { ...state, inStock: true }, settings, null).length,
+      onSale: run(products, { ...state, onSale: true }, settings, null).length,
+      priceRange: {
+        min: prices.length ? Math.floor(Math.min(...prices)) : 0,
+        max: prices.length ? Math.ceil(Math.max(...prices)) : 0
+      }
+    };
+  }
+
+  /**
+   * Sort order actually used for a state
+   * Without a choice, searches sort by relevance and everything else keeps catalog order;
+   * relevance means nothing without a search, so it falls back to catalog order
+   *
+   * @param {Object} state - Filter state
+   * @returns {string} SORT_OPTIONS value
+   */
+  function resolveSort(state) {
+    if (!state.sort) return state.q ? 'relevance' : 'featured';
+    return state.sort === 'relevance' && !state.q ? 'featured' : state.sort;
+  }
+
+  /**
+   * Sorts filtered products; ties keep their incoming order
+   *
+   * @param {Array<Object>} products - Result of apply()
+   * @param {Object} state - Filter state
+   * @param {Object} [options]
+   * @param {function(Object): number} [options.priceOf] - Price used for price sorting
+   * @param {function(Object): number} [options.discountOf] - Discount percent used for "Biggest discount"
+   * @returns {Array<Object>} New sorted array
+   */
+  function sort(products, state, options = {}) {
+    const { priceOf, discountOf } = withDefaults(options);
+    const compare = {
+      'price-asc': (a, b) => priceOf(a) - priceOf(b),
+      'price-desc': (a, b) => priceOf(b) - priceOf(a),
+      name: (a, b) => a.name.localeCompare(b.name),
+      // Products without a date go last
+      newest: (a, b) => (b.addedAt || '').localeCompare(a.addedAt || ''),
+      discount: (a, b) => discountOf(b) - discountOf(a)
+    }[resolveSort(state)];
+    return compare ? products.slice().sort(compare) : products.slice();
+  }
+
+  /**
+   * Cuts one page out of the sorted results
+   * Pages past the end show the last page
+   *
+   * @param {Array<Object>} products - Sorted results
+   * @param {Object} state - Filter state (`page`, `perPage`)
+   * @returns {{items: Array<Object>, page: number, pageCount: number, total: number, from: number, to: number}}
+   *   `from`/`to` are 1-based positions of the first and last item shown (0 when empty)
+   */
+  function paginate(products, state) {
+    const pageCount = Math.max(1, Math.ceil(products.length / state.perPage));
+    const page = Math.min(Math.max(1, state.page), pageCount);
+    const start = (page - 1) * state.perPage;
+    const items = products.slice(start, start + state.perPage);
+    return {
+      items,
+      page,
+      pageCount,
+      total: products.length,
+      from: items.length ? start + 1 : 0,
+      to: start + items.length
+    };
+  }
+
+  /**
+   * @param {Object} state - Filter state
+   * @returns {boolean} Whether any filter (other than the search query) is active
+   */
+  function hasFilters(state) {
+    return state.categories.length > 0 || state.brands.length > 0 ||
+      state.minPrice !== null || state.maxPrice !== null || state.inStock || state.onSale ||
+      Object.values(state.specs).some(values => values.length > 0);
+  }
+
+  return {
+    SORT_OPTIONS,
+    PAGE_SIZES,
+    emptyState,
+    parseQuery,
+    toQuery,
+    isInStock,
+    apply,
+    facets,
+    resolveSort,
+    sort,
+    paginate,
+    hasFilters
+  };
+})();
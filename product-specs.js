@@ -0,0 +1,176 @@
+/*
+ * TechOps Product Specifications
+ * =====================================================
+ *
+ * Per-category spec templates for the structured `specs` object in
+ * products-data.json. A template fixes which specs a category has, their
+ * labels, display order and units, so every product page spec table and the
+ * comparison table line up row by row.
+ *
+ * - Fields with a `unit` hold numbers (e.g. `"ram": 32` shows as "32 GB");
+ *   the others hold text.
+ * - catalog-schema.js checks specs against the product's category template.
+ *
+ * Usage:
+ *   ProductSpecs.rows(product)         // -> [{ key, label, value, display }]
+ *   ProductSpecs.compare([a, b, c])    // -> { rows: [{ key, label, values, differs }] }
+ *
+ * Must be loaded before catalog-schema.js.
+ *
+ * Browser Support: Modern browsers (ES6+), Node.js 14+
+ */
+
+const ProductSpecs = (() => {
+  /**
+   * Spec templates by category
+   * - key: property name in a product's `specs`
+   * - label: row label
+   * - unit: numeric spec unit (omitted for text specs)
+   * - facet: offered as a filter on the products page (product-filters.js)
+   */
+  const TEMPLATES = {
+    Laptops: [
+      { key: 'cpu', label: 'Processor' },
+      { key: 'gpu', label: 'Graphics' },
+      { key: 'ram', label: 'Memory', unit: 'GB', facet: true },
+      { key: 'storage', label: 'Storage' },
+      { key: 'display', label: 'Display' },
+      { key: 'weight', label: 'Weight', unit: 'kg' }
+    ],
+    Components: [
+      { key: 'type', label: 'Type', facet: true },
+      { key: 'cores', label: 'Cores', unit: '' },
+      { key: 'threads', label: 'Threads', unit: '' },
+      { key: 'boostClock', label: 'Boost clock', unit: 'GHz' },
+      { key: 'socket', label: 'Socket', facet: true },
+      { key: 'vram', label: 'Video memory' },
+      { key: 'wattage', label: 'Power', unit: 'W' },
+      { key: 'outputs', label: 'Outputs' }
+    ],
+    Peripherals: [
+      { key: 'type', label: 'Type', facet: true },
+      { key: 'switches', label: 'Switches' },
+      { key: 'sensor', label: 'Sensor' },
+      { key: 'lighting', label: 'Lighting' },
+      { key: 'connectivity', label: 'Connectivity', facet: true },
+      { key: 'weight', label: 'Weight', unit: 'g' },
+      { key: 'battery', label: 'Battery life', unit: 'hours' }
+    ],
+    Accessories: [
+      { key: 'type', label: 'Type', facet: true },
+      { key: 'drivers', label: 'Drivers' },
+      { key: 'audio', label: 'Audio' },
+      { key: 'keys', label: 'Keys', unit: '' },
+      { key: 'connectivity', label: 'Connectivity', facet: true },
+      { key: 'battery', label: 'Battery life', unit: 'hours' },
+      { key: 'compatibility', label: 'Compatibility' }
+    ]
+  };
+
+  /** Shown in comparison cells for specs a product does not have */
+  const MISSING = '—';
+
+  /**
+   * @param {string} category - Product category
+   * @returns {Array<Object>} Template fields for the category (empty for unknown categories)
+   */
+  function getTemplate(category) {
+    return TEMPLATES[category] || [];
+  }
+
+  /**
+   * Formats a spec value for display, adding the field's unit
+   * @param {Object} field - Template field
+   * @param {string|number} value - Spec value
+   * @returns {string} Display text
+   */
+  function formatValue(field, value) {
+    return field.unit ? `${value} ${field.unit}`.trim() : String(value);
+  }
+
+  /**
+   * Spec rows for one product, in template order
+   * Specs missing from the product are left out; specs not in the template follow, labelled by their key
+   *
+   * @param {Object} product - Catalog product
+   * @returns {Array<{key: string, label: string, value: (string|number), display: string}>}
+   */
+  function rows(product) {
+    const specs = product.specs || {};
+    const template = getTemplate(product.category);
+    const known = template
+      .filter(field => specs[field.key] !== undefined && specs[field.key] !== '')
+      .map(field => ({ key: field.key, label: field.label, value: specs[field.key], display: formatValue(field, specs[field.key]) }));
+    const extra = Object.keys(specs)
+      .filter(key => !template.some(field => field.key === key))
+      .map(key => ({ key, label: key, value: specs[key], display: String(specs[key]) }));
+    return known.concat(extra);
+  }
+
+  /**
+   * Lines up the specs of several products for a side-by-side table
+   * Rows follow the templates of the products' categories in order of appearance
+   *
+   * @param {Array<Object>} products - Products to compare
+   * @returns {{rows: Array<{key: string, label: string, values: Array<string>, differs: boolean}>}}
+   *   `values` has one display string per product (MISSING when absent); `differs` is true when they are not all equal
+   */
+  function compare(products) {
+    const productRows = products.map(rows);
+    const fields = [];
+    productRows.forEach(list => list.forEach(row => {
+      if (!fields.some(field => field.key === row.key)) fields.push({ key: row.key, label: row.label });
+    }));
+
+    return {
+      rows: fields.map(field => {
+        const values = productRows.map(list => {
+          const row = list.find(candidate => candidate.key === field.key);
+          return row ? row.display : MISSING;
+        });
+        return { ...field, values, differs: new Set(values).size > 1 };
+      })
+    };
+  }
+
+  /**
+   * Checks a product's specs against its category template
+   *
+   * @param {Object} specs - The product's `specs` object
+   * @param {string} category - The product's category
+   * @returns {{errors: Array<string>, warnings: Array<string>}} Messages prefixed with the spec key
+   */
+  function check(specs, category) {
+    const errors = [];
+    const warnings = [];
+    const template = getTemplate(category);
+
+    Object.entries(specs).forEach(([key, value]) => {
+      const field = template.find(candidate => candidate.key === key);
+      if (!field) {
+        warnings.push(`${key} is not in the ${category} spec template`);
+      } else if (field.unit !== undefined && (typeof value !== 'number' || !Number.isFinite(value))) {
+        errors.push(`${key} must be a number${field.unit ? ` (${field.unit})` : ''}`);
+      } else if (field.unit === undefined && (typeof value !== 'string' || !value.trim())) {
+        errors.push(`${key} must be a non-empty string`);
+      }
+    });
+
+    return { errors, warnings };
+  }
+
+  return {
+    TEMPLATES,
+    MISSING,
+    getTemplate,
+    formatValue,
+    rows,
+    compare,
+    check
+  };
+})();
+
+// Allow the templates to be required from Node (catalog-schema.js, scripts/validate-catalog.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProductSpecs;
+}
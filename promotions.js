@@ -0,0 +1,330 @@
+/*
+ * TechOps Promotions Engine
+ * =====================================================
+ *
+ * Computes every displayed and charged price from the rules in
+ * promotions-data.json, so product cards, the featured deal, the carousel,
+ * the cart modal and both checkouts always agree.
+ *
+ * Rule types:
+ * - percent:  `value`% off the unit price
+ * - fixed:    `value` dollars off the unit price (never below $0)
+ * - buyXGetY: for every `buy` units, `get` more units are free (applied per cart line)
+ *
+ * Scope and timing (all optional):
+ * - productIds: rule applies to these product IDs
+ * - categories: rule applies to products in these categories
+ *   (a rule with neither applies to every product)
+ * - startsAt / endsAt: ISO dates; date-only values cover the whole day
+ * - featured: marks the product shown as the homepage featured deal
+ *
+ * When several unit-price rules match, the lowest resulting price wins
+ * (promotions never stack). A product's own `discountPercent` field is
+ * treated as a percent rule.
+ *
+ * Prices saved in the cart are never trusted: repriceLines() recomputes them
+ * from the catalog whenever the cart is loaded and again at checkout.
+ *
+ * Usage:
+ *   Promotions.load().then(() => Promotions.priceProduct(product))
+ *   Promotions.repriceLines(cartLines, { products })
+ *   Promotions.priceCart(cartLines, { products })
+ *
+ * Pricing functions are synchronous and use the rules from the last load();
+ * pass `rules` and `now` explicitly to price against other rules or another date.
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const Promotions = (() => {
+  const settings = {
+    url: 'promotions-data.json'
+  };
+
+  const RULE_TYPES = ['percent', 'fixed', 'buyXGetY'];
+
+  /** Rules from the last successful load */
+  let loadedRules = [];
+
+  /** Pending load shared by concurrent callers */
+  let loading = null;
+
+  /** Rounds a dollar amount to whole cents */
+  const roundMoney = amount => Math.round(amount * 100) / 100;
+
+  /**
+   * Parses a rule boundary; date-only values cover the start or end of that local day
+   * @param {string} value - ISO date or date-time
+   * @param {boolean} endOfDay - Whether a date-only value should mean 23:59:59.999
+   * @returns {Date}
+   */
+  function parseBoundary(value, endOfDay) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`);
+    }
+    return new Date(value);
+  }
+
+  /**
+   * @param {Object} rule - Promotion rule
+   * @param {Date} now - Point in time to check
+   * @returns {boolean} Whether the rule's date window includes `now`
+   */
+  function isActive(rule, now) {
+    if (rule.startsAt && now < parseBoundary(rule.startsAt, false)) return false;
+    if (rule.endsAt && now > parseBoundary(rule.endsAt, true)) return false;
+    return true;
+  }
+
+  /**
+   * @param {Object} rule - Promotion rule
+   * @param {Object} product - Catalog product (needs id and category)
+   * @returns {boolean} Whether the rule targets the product
+   */
+  function appliesTo(rule, product) {
+    const byProduct = Array.isArray(rule.productIds) && rule.productIds.includes(product.id);
+    const byCategory = Array.isArray(rule.categories) && rule.categories.includes(product.category);
+    const unscoped = !rule.productIds && !rule.categories;
+    return unscoped || byProduct || byCategory;
+  }
+
+  /**
+   * Active rules of the given kind that target a product
+   * Includes the product's own discountPercent as a percent rule
+   */
+  function matchingRules(product, rules, now) {
+    const matches = rules.filter(rule => isActive(rule, now) && appliesTo(rule, product));
+    if (product.discountPercent > 0) {
+      matches.push({ id: `product-${product.id}`, label: 'Sale', type: 'percent', value: product.discountPercent });
+    }
+    return matches;
+  }
+
+  /**
+   * Unit price after a single percent or fixed rule
+   */
+  function applyUnitRule(rule, price) {
+    if (rule.type === 'percent') return roundMoney(price * (1 - rule.value / 100));
+    if (rule.type === 'fixed') return roundMoney(Math.max(0, price - rule.value));
+    return price;
+  }
+
+  /**
+   * Prices a single product
+   *
+   * @param {Object} product - Catalog product
+   * @param {Object} [options]
+   * @param {Array} [options.rules] - Rules to use (defaults to the loaded rules)
+   * @param {Date} [options.now] - Pricing date (defaults to now)
+   * @returns {{originalPrice: number, price: number, savings: number, discountPercent: number,
+   *   isDiscounted: boolean, promotion: Object|null, offers: Array<Object>}}
+   *   `promotion` is the unit-price rule used; `offers` are matching multi-buy rules
+   */
+  function priceProduct(product, { rules = loadedRules, now = new Date() } = {}) {
+    const originalPrice = product.price || 0;
+    const matches = matchingRules(product, rules, now);
+
+    let price = originalPrice;
+    let promotion = null;
+    matches
+      .filter(rule => rule.type === 'percent' || rule.type === 'fixed')
+      .forEach(rule => {
+        const candidate = applyUnitRule(rule, originalPrice);
+        if (candidate < price) {
+          price = candidate;
+          promotion = rule;
+        }
+      });
+
+    const savings = roundMoney(originalPrice - price);
+    return {
+      originalPrice,
+      price,
+      savings,
+      discountPercent: originalPrice > 0 ? Math.round((savings / originalPrice) * 100) : 0,
+      isDiscounted: savings > 0,
+      promotion,
+      offers: matches.filter(rule => rule.type === 'buyXGetY')
+    };
+  }
+
+  /**
+   * Prices cart lines, applying multi-buy rules per line
+   * Unit prices are taken from each line (`price`, `originalPrice`)
+   *
+   * @param {Array<Object>} lines - Cart lines ({ id, price, quantity, originalPrice? })
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.products] - Catalog, used to match category-scoped rules
+   * @param {Array} [options.rules] - Rules to use (defaults to the loaded rules)
+   * @param {Date} [options.now] - Pricing date (defaults to now)
+   * @returns {{lines: Array<Object>, subtotal: number, originalSubtotal: number, savings: number}}
+   *   Each line gains unitPrice, originalUnitPrice, freeUnits, lineTotal, originalTotal, savings, promotions (labels)
+   */
+  function priceCart(lines, { products = [], rules = loadedRules, now = new Date() } = {}) {
+    const pricedLines = lines.map(line => {
+      const product = products.find(p => p.id === line.id) || { id: line.id };
+      const unitPrice = line.price;
+      const originalUnitPrice = line.originalPrice || line.price;
+      const labels = [];
+      if (originalUnitPrice > unitPrice) labels.push(line.promotionLabel || 'Sale');
+
+      let freeUnits = 0;
+      matchingRules(product, rules, now)
+        .filter(rule => rule.type === 'buyXGetY' && rule.buy > 0 && rule.get > 0)
+        .forEach(rule => {
+          const units = Math.floor(line.quantity / (rule.buy + rule.get)) * rule.get;
+          if (units > freeUnits) freeUnits = units;
+          if (units > 0) labels.push(rule.label || `Buy ${rule.buy}, get ${rule.get} free`);
+        });
+
+      const lineTotal = roundMoney(unitPrice * (line.quantity - freeUnits));
+      const originalTotal = roundMoney(originalUnitPrice * line.quantity);
+      return {
+        ...line,
+        unitPrice,
+        originalUnitPrice,
+        freeUnits,
+        lineTotal,
+        originalTotal,
+        savings: roundMoney(originalTotal - lineTotal),
+        promotions: labels
+      };
+    });
+
+    const subtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const originalSubtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.originalTotal, 0));
+    return {
+      lines: pricedLines,
+      subtotal,
+      originalSubtotal,
+      savings: roundMoney(originalSubtotal - subtotal)
+    };
+  }
+
+  /**
+   * Recomputes stored cart line prices from the catalog and the current rules
+   * Stored prices may be stale or edited by hand, so they are replaced, not trusted.
+   * Lines keep `previousPrice` (the price when added) while the current price differs,
+   * so the UI can show a "price changed since you added this" notice.
+   * Lines for products missing from the catalog are removed.
+   *
+   * @param {Array<Object>} lines - Cart lines as stored
+   * @param {Object} options
+   * @param {Array<Object>} options.products - The full catalog
+   * @param {Array} [options.rules] - Rules to use (defaults to the loaded rules)
+   * @param {Date} [options.now] - Pricing date (defaults to now)
+   * @returns {{lines: Array<Object>, changes: Array<Object>}} Repriced lines, and what changed in this call:
+   *   { id, name, previousPrice, price } per changed line, plus `removed: true` for dropped lines
+   */
+  function repriceLines(lines, { products, rules = loadedRules, now = new Date() }) {
+    const repriced = [];
+    const changes = [];
+
+    lines.forEach(line => {
+      const product = products.find(p => p.id === line.id);
+      if (!product) {
+        changes.push({ id: line.id, name: line.name, previousPrice: line.price, price: null, removed: true });
+        return;
+      }
+
+      const pricing = priceProduct(product, { rules, now });
+      const addedPrice = line.previousPrice !== undefined ? line.previousPrice : line.price;
+      const next = {
+        ...line,
+        name: product.name,
+        price: pricing.price,
+        quantity: Math.max(1, Math.floor(line.quantity) || 1),
+        originalPrice: pricing.originalPrice,
+        isDiscounted: pricing.isDiscounted,
+        promotionLabel: pricing.promotion ? pricing.promotion.label : undefined
+      };
+
+      if (addedPrice !== pricing.price) {
+        next.previousPrice = addedPrice;
+      } else {
+        delete next.previousPrice;
+      }
+      if (line.price !== pricing.price) {
+        changes.push({ id: line.id, name: product.name, previousPrice: line.price, price: pricing.price });
+      }
+      repriced.push(next);
+    });
+
+    return { lines: repriced, changes };
+  }
+
+  /**
+   * Picks the homepage featured deal
+   * Uses the first active `featured` rule; falls back to the biggest saving, then the first product
+   *
+   * @param {Array<Object>} products - Catalog
+   * @param {Object} [options] - rules / now, as for priceProduct
+   * @returns {Object|null} Featured product
+   */
+  function getFeatured(products, { rules = loadedRules, now = new Date() } = {}) {
+    const featuredRule = rules.find(rule => rule.featured && isActive(rule, now) && products.some(p => appliesTo(rule, p)));
+    if (featuredRule) return products.find(p => appliesTo(featuredRule, p));
+
+    let best = null;
+    let bestSavings = 0;
+    products.forEach(product => {
+      const { savings } = priceProduct(product, { rules, now });
+      if (savings > bestSavings) {
+        best = product;
+        bestSavings = savings;
+      }
+    });
+    return best || products[0] || null;
+  }
+
+  /**
+   * Loads promotion rules once; later calls resolve from memory
+   * A missing or broken rules file means "no promotions" rather than a broken shop
+   * @returns {Promise<Array>} Loaded rules
+   */
+  function load() {
+    if (loading) return loading;
+
+    loading = fetch(settings.url)
+      .then(res => {
+        if (!res.ok) throw new Error('Failed to load promotions');
+        return res.json();
+      })
+      .then(data => {
+        loadedRules = (Array.isArray(data) ? data : []).filter(rule => {
+          const known = rule && RULE_TYPES.includes(rule.type);
+          if (!known) console.warn('Ignoring promotion with unknown type:', rule);
+          return known;
+        });
+        return loadedRules;
+      })
+      .catch(error => {
+        console.warn('Promotions unavailable, showing regular prices:', error);
+        loadedRules = [];
+        return loadedRules;
+      });
+
+    return loading;
+  }
+
+  return {
+    RULE_TYPES,
+    /**
+     * Overrides default settings (url) and forgets loaded rules
+     * @param {Object} options - Settings to override
+     */
+    configure(options = {}) {
+      Object.assign(settings, options);
+      loadedRules = [];
+      loading = null;
+    },
+    load,
+    isActive,
+    appliesTo,
+    priceProduct,
+    priceCart,
+    repriceLines,
+    getFeatured,
+    roundMoney
+  };
+})();
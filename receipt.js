@@ -0,0 +1,269 @@
+/*
+ * TechOps Receipts
+ * =====================================================
+ *
+ * Turns a stored order record (see DATA-STRUCTURE.md, `orderHistory`) into a
+ * receipt: plain text, a standalone HTML document, or a file download.
+ * Used by the order confirmation page; works with orders saved before
+ * every field existed (missing totals are derived from the lines).
+ *
+ * Usage:
+ *   Receipt.toText(order)
+ *   Receipt.toHtml(order)
+ *   Receipt.download(order, 'html')
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const Receipt = (() => {
+  const STORE_NAME = 'TechOps';
+
+  /** Formats a dollar amount, e.g. 1234.5 -> "$1234.50" */
+  const money = amount => `$${(Number(amount) || 0).toFixed(2)}`;
+
+  /** Formats a YYYY-MM-DD date, e.g. "Wed 21 Oct" */
+  const formatDay = value => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+  };
+
+  /**
+   * @param {Object} address - { name, address, city, state, postcode, country }
+   * @returns {Array<string>} Address lines, with the country name when address.js is loaded
+   */
+  const formatAddress = address => [
+    address.name,
+    address.address,
+    [address.city, address.state, address.postcode].filter(Boolean).join(' '),
+    address.country && typeof Address !== 'undefined' ? Address.countryName(address.country) : address.country
+  ].filter(Boolean);
+
+  /** Escapes text for use inside HTML */
+  const escapeHtml = value => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  /**
+   * Normalizes an order line; older orders only stored price and quantity
+   * @param {Object} item - Order line
+   * @returns {{name: string, quantity: number, unitPrice: number, originalUnitPrice: number,
+   *   freeUnits: number, lineTotal: number, savings: number, promotions: Array<string>}}
+   */
+  function describeLine(item) {
+    const unitPrice = item.unitPrice !== undefined ? item.unitPrice : item.price;
+    const freeUnits = item.freeUnits || 0;
+    return {
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice,
+      originalUnitPrice: item.originalUnitPrice || item.originalPrice || unitPrice,
+      freeUnits,
+      lineTotal: item.lineTotal !== undefined ? item.lineTotal : unitPrice * (item.quantity - freeUnits),
+      savings: item.savings || 0,
+      promotions: item.promotions || []
+    };
+  }
+
+  /**
+   * Summarizes an order for display
+   * @param {Object} order - Stored order record
+   * @returns {Object} { orderNumber, placedAt, status, lines, subtotal, savings, coupon, discount, shippingLabel, estimatedDelivery, shipping, tax, taxRows, total, customer, addressLines, billingLines }
+   *   `coupon` is the promo code used ({ code, label, type }) or null; `tax` is the order's tax breakdown
+   *   (see Tax.calculate) or null for orders placed before tax was recorded; `taxRows` are its display rows
+   *   ({ label, amount }), e.g. "Includes GST (10%)" for a tax included in the prices;
+   *   `estimatedDelivery` is the delivery window as text ('' for orders placed before it was recorded);
+   *   `billingLines` is the billing address, or empty when the order was billed to the shipping address
+   */
+  function summarize(order) {
+    const lines = (order.items || []).map(describeLine);
+    const customer = order.customerInfo || {};
+    const method = order.shippingMethod || customer.shippingMethod;
+    const shippingLabel = typeof CheckoutCore !== 'undefined' && method
+      ? CheckoutCore.getShippingMethod(method).label
+      : (method ? `${method.charAt(0).toUpperCase()}${method.slice(1)} Shipping` : 'Shipping');
+    const subtotal = order.subtotal !== undefined ? order.subtotal : lines.reduce((sum, line) => sum + line.lineTotal, 0);
+    const shipping = order.shipping || 0;
+    const discount = order.discount || 0;
+    const tax = order.tax || null;
+    const taxRows = tax ? tax.components.map(component => ({
+      label: `${tax.inclusive ? 'Includes ' : ''}${component.label} (${component.rate}%)`,
+      amount: component.amount
+    })) : [];
+    const addedTax = tax && !tax.inclusive ? tax.amount : 0;
+    const addressLines = formatAddress(customer);
+    const billingLines = order.billingAddress ? formatAddress(order.billingAddress) : [];
+    const delivery = order.estimatedDelivery;
+    const estimatedDelivery = !delivery ? ''
+      : (delivery.earliest === delivery.latest ? formatDay(delivery.earliest) : `${formatDay(delivery.earliest)} - ${formatDay(delivery.latest)}`);
+
+    return {
+      orderNumber: order.orderNumber,
+      placedAt: order.timestamp ? new Date(order.timestamp) : null,
+      status: order.status || 'confirmed',
+      lines,
+      subtotal,
+      savings: order.savings !== undefined ? order.savings : lines.reduce((sum, line) => sum + line.savings, 0),
+      coupon: order.coupon || null,
+      discount,
+      shippingLabel,
+      estimatedDelivery,
+      shipping,
+      tax,
+      taxRows,
+      total: order.total !== undefined ? order.total : subtotal - discount + shipping + addedTax,
+      customer,
+      addressLines,
+      billingLines: billingLines.join('\n') === addressLines.join('\n') ? [] : billingLines
+    };
+  }
+
+  /**
+   * @param {Object} order - Stored order record
+   * @returns {string} Plain-text receipt
+   */
+  function toText(order) {
+    const receipt = summarize(order);
+    const row = (label, value) => `${label.padEnd(32)}${value.padStart(14)}`;
+    const rule = '-'.repeat(46);
+
+    const lines = [
+      `${STORE_NAME} - Receipt`,
+      rule,
+      `Order number: ${receipt.orderNumber}`,
+      receipt.placedAt ? `Placed: ${receipt.placedAt.toLocaleString()}` : null,
+      `Status: ${receipt.status}`,
+      '',
+      'Ship to:',
+      ...receipt.addressLines.map(line => `  ${line}`),
+      receipt.customer.email ? `  ${receipt.customer.email}` : null,
+      ...(receipt.billingLines.length ? ['Bill to:', ...receipt.billingLines.map(line => `  ${line}`)] : []),
+      `Shipping method: ${receipt.shippingLabel}`,
+      receipt.estimatedDelivery ? `Estimated delivery: ${receipt.estimatedDelivery}` : null,
+      '',
+      rule
+    ];
+
+    receipt.lines.forEach(line => {
+      lines.push(row(`${line.quantity} x ${line.name}`.slice(0, 31), money(line.lineTotal)));
+      lines.push(`    ${money(line.unitPrice)} each${line.freeUnits > 0 ? `, ${line.freeUnits} free` : ''}`);
+      if (line.promotions.length) lines.push(`    ${line.promotions.join(', ')}`);
+      if (line.savings > 0) lines.push(`    You save ${money(line.savings)}`);
+    });
+
+    lines.push(rule);
+    if (receipt.savings > 0) lines.push(row('Discounts', `-${money(receipt.savings)}`));
+    lines.push(row('Subtotal', money(receipt.subtotal)));
+    if (receipt.coupon) lines.push(row(`Promo code ${receipt.coupon.code}`, receipt.discount > 0 ? `-${money(receipt.discount)}` : 'Applied'));
+    lines.push(row(receipt.shippingLabel, receipt.shipping > 0 ? money(receipt.shipping) : 'FREE'));
+    // Added taxes come before the total; taxes included in the prices are noted after it
+    const taxRows = receipt.taxRows.map(tax => row(tax.label, money(tax.amount)));
+    if (receipt.tax && !receipt.tax.inclusive) lines.push(...taxRows);
+    lines.push(row('Total', money(receipt.total)));
+    if (receipt.tax && receipt.tax.inclusive) lines.push(...taxRows);
+    lines.push('', 'Thank you for shopping with TechOps!');
+
+    return lines.filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * @param {Object} order - Stored order record
+   * @returns {string} Standalone HTML receipt document (inline styles, no external assets)
+   */
+  function toHtml(order) {
+    const receipt = summarize(order);
+    const rows = receipt.lines.map(line => `
+      <tr>
+        <td>
+          <strong>${escapeHtml(line.name)}</strong>
+          ${line.promotions.length ? `<div class="muted">${escapeHtml(line.promotions.join(', '))}</div>` : ''}
+        </td>
+        <td class="num">${line.quantity}${line.freeUnits > 0 ? ` (${line.freeUnits} free)` : ''}</td>
+        <td class="num">${money(line.unitPrice)}</td>
+        <td class="num">${money(line.lineTotal)}${line.savings > 0 ? `<div class="save">-${money(line.savings)}</div>` : ''}</td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Receipt ${escapeHtml(receipt.orderNumber)} - ${STORE_NAME}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #333; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { color: #0066cc; margin-bottom: 0.25rem; }
+  table { width: 100%; border-collapse: collapse; margin: 1.5rem 0; }
+  th, td { padding: 0.5rem; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+  .num { text-align: right; white-space: nowrap; }
+  .muted { color: #777; font-size: 0.85rem; }
+  .save { color: #198754; font-size: 0.85rem; }
+  .totals td { border: none; }
+  .total td { font-weight: bold; font-size: 1.1rem; border-top: 2px solid #333; }
+</style>
+</head>
+<body>
+  <h1>${STORE_NAME} Receipt</h1>
+  <p>
+    Order <strong>${escapeHtml(receipt.orderNumber)}</strong>
+    ${receipt.placedAt ? `&middot; ${escapeHtml(receipt.placedAt.toLocaleString())}` : ''}
+    &middot; ${escapeHtml(receipt.status)}
+  </p>
+  <p>
+    <strong>Ship to:</strong><br>
+    ${receipt.addressLines.map(escapeHtml).join('<br>')}
+    ${receipt.customer.email ? `<br>${escapeHtml(receipt.customer.email)}` : ''}
+  </p>
+  ${receipt.billingLines.length ? `<p>
+    <strong>Bill to:</strong><br>
+    ${receipt.billingLines.map(escapeHtml).join('<br>')}
+  </p>` : ''}
+  <p>
+    <strong>Shipping method:</strong> ${escapeHtml(receipt.shippingLabel)}
+    ${receipt.estimatedDelivery ? `<br><strong>Estimated delivery:</strong> ${escapeHtml(receipt.estimatedDelivery)}` : ''}
+  </p>
+  <table>
+    <thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Total</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+  <table class="totals">
+    ${receipt.savings > 0 ? `<tr><td>Discounts</td><td class="num save">-${money(receipt.savings)}</td></tr>` : ''}
+    <tr><td>Subtotal</td><td class="num">${money(receipt.subtotal)}</td></tr>
+    ${receipt.coupon ? `<tr><td>Promo code ${escapeHtml(receipt.coupon.code)}</td><td class="num save">${receipt.discount > 0 ? `-${money(receipt.discount)}` : 'Applied'}</td></tr>` : ''}
+    <tr><td>${escapeHtml(receipt.shippingLabel)}</td><td class="num">${receipt.shipping > 0 ? money(receipt.shipping) : 'FREE'}</td></tr>
+    ${receipt.tax && !receipt.tax.inclusive ? receipt.taxRows.map(tax => `<tr><td>${escapeHtml(tax.label)}</td><td class="num">${money(tax.amount)}</td></tr>`).join('') : ''}
+    <tr class="total"><td>Total</td><td class="num">${money(receipt.total)}</td></tr>
+    ${receipt.tax && receipt.tax.inclusive ? receipt.taxRows.map(tax => `<tr><td class="muted">${escapeHtml(tax.label)}</td><td class="num muted">${money(tax.amount)}</td></tr>`).join('') : ''}
+  </table>
+  <p class="muted">Thank you for shopping with ${STORE_NAME}!</p>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Downloads the receipt as a file (browser only)
+   * @param {Object} order - Stored order record
+   * @param {string} [format] - 'text' or 'html'
+   */
+  function download(order, format = 'text') {
+    const isHtml = format === 'html';
+    const blob = new Blob([isHtml ? toHtml(order) : toText(order)], {
+      type: isHtml ? 'text/html;charset=utf-8' : 'text/plain;charset=utf-8'
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `receipt-${order.orderNumber}.${isHtml ? 'html' : 'txt'}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  return {
+    summarize,
+    toText,
+    toHtml,
+    download
+  };
+})();
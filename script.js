@@ -3,7 +3,7 @@
  * =====================================================
  * 
  * This file handles all core functionality for the TechOps website including:
- * - Shopping cart management with localStorage persistence
+ * - Shopping cart management with localStorage persistence, kept in step across tabs
  * - Product rendering and filtering
  * - Search functionality across pages
  * - UI interactions and form handling
@@ -12,7 +12,11 @@
  * Dependencies:
  * - Bootstrap 5.3.3 (modals, components)
  * - Bootstrap Icons
- * - products-data.json (product data source)
+ * - catalog.js (shared, cached access to products-data.json)
+ * - promotions.js (all discount and price calculations)
+ * - inventory.js (stock levels and quantity caps)
+ * - cart-sync.js (cart writes and cross-tab cart updates)
+ * - product-specs.js (spec templates for spec and comparison tables)
  * 
  * Browser Support: Modern browsers (ES6+)
  * Last Updated: September 2025
@@ -24,11 +28,70 @@
 
 /**
  * Main shopping cart array - stores all cart items
- * Each item: { name: string, price: number, quantity: number, originalPrice?: number, isDiscounted?: boolean }
+ * Each item: { id: string, name: string, price: number, quantity: number, originalPrice?: number, isDiscounted?: boolean, promotionLabel?: string, previousPrice?: number }
+ * `id` is the product SKU from products-data.json; `name` is kept for display only
+ * `price` is the unit price from Promotions.priceProduct(); multi-buy offers are applied by Promotions.priceCart()
+ * Stored prices are never trusted - repriceCart() recomputes them from the catalog
  * @type {Array<Object>}
  */
 let cart = [];
 
+/**
+ * Names of cart lines dropped by repriceCart() because the product no longer exists
+ * Shown once at the top of the cart modal
+ * @type {Array<string>}
+ */
+let removedCartItems = [];
+
+/**
+ * Version of the localStorage data layout written by this script
+ * Version 2 keys cart and order history lines by product `id` instead of `name`
+ * @type {number}
+ */
+const STORAGE_SCHEMA_VERSION = 2;
+
+/**
+ * Pending (or finished) legacy storage migration, shared by every caller
+ * @type {Promise<void>|null}
+ */
+let storageMigration = null;
+
+/**
+ * Product IDs ticked for comparison, in the order they were picked (localStorage `compareList`)
+ * @type {Array<string>}
+ */
+let compareList = [];
+
+/**
+ * Maximum number of products compared side by side
+ * @type {number}
+ */
+const COMPARE_LIMIT = 4;
+
+/**
+ * Searches submitted from the navbar, newest first (localStorage `recentSearches`)
+ * @type {Array<string>}
+ */
+let recentSearches = [];
+
+/**
+ * Maximum number of recent searches kept
+ * @type {number}
+ */
+const RECENT_SEARCHES_LIMIT = 5;
+
+/**
+ * Maximum number of products suggested while typing a search
+ * @type {number}
+ */
+const SUGGESTION_LIMIT = 5;
+
+/**
+ * Promo code applied in the vanilla checkout ('' when none); checked by CheckoutCore.calculateTotals()
+ * @type {string}
+ */
+let checkoutCouponCode = '';
+
 // ======================
 // CART MANAGEMENT FUNCTIONS
 // ======================
@@ -50,87 +113,320 @@ function loadCartFromStorage() {
 /**
  * Saves current cart state to localStorage
  * Called after any cart modification (add, remove, update quantity)
- * Ensures cart persistence across browser sessions
+ * Ensures cart persistence across browser sessions; other open tabs are told through CartSync
  */
 function saveCartToStorage() {
-  try {
-    localStorage.setItem('cart', JSON.stringify(cart));
-  } catch (error) {
-    console.error('Failed to save cart to storage:', error);
+  CartSync.save(cart);
+  updateCartCount();
+}
+
+/**
+ * Shows the number of items in the cart on the navbar cart buttons (hidden when the cart is empty)
+ * 
+ * @param {Array<Object>} [lines] - Cart lines to count (defaults to this page's cart)
+ */
+function updateCartCount(lines = cart) {
+  const count = lines.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+  document.querySelectorAll('.cart-count').forEach(badge => {
+    badge.textContent = count;
+    badge.hidden = count === 0;
+    badge.title = `${count} ${count === 1 ? 'item' : 'items'} in cart`;
+  });
+}
+
+/**
+ * Follows cart changes made in other tabs (CartSync): updates the navbar count,
+ * the cart modal when it is open and the vanilla checkout
+ * The Vue checkout subscribes on its own (checkout-app.js)
+ */
+function setupCartSync() {
+  CartSync.subscribe(lines => {
+    // Our own writes come back too; only a cart changed elsewhere needs a refresh
+    if (JSON.stringify(lines) === JSON.stringify(cart)) return;
+    cart = lines;
+    updateCartCount();
+    
+    const cartModal = document.getElementById('cartModal');
+    if (cartModal && cartModal.classList.contains('show')) showCart();
+    
+    if (window.location.pathname.endsWith('checkout.html') && !document.getElementById('app')) {
+      renderCheckoutCart();
+      updateCheckoutTotal();
+    }
+  });
+}
+
+/**
+ * Rewrites cart and order history entries saved before products had IDs
+ * Older versions keyed lines by product name, which broke whenever a product was renamed
+ * Runs once per browser: lines are matched to the catalog by name and given the product `id`,
+ * cart lines that no longer match any product are dropped, and the schema version is recorded
+ * Safe to call from several scripts - all callers share the same promise
+ * 
+ * @returns {Promise<void>} Resolves once storage uses product IDs (or migration was skipped)
+ */
+function migrateLegacyStorage() {
+  if (storageMigration) return storageMigration;
+
+  if (parseInt(localStorage.getItem('storageVersion'), 10) >= STORAGE_SCHEMA_VERSION) {
+    storageMigration = Promise.resolve();
+    return storageMigration;
+  }
+
+  storageMigration = Catalog.getAll()
+    .then(products => {
+      const idsByName = new Map(products.map(p => [p.name, p.id]));
+      const withId = item => item.id ? item : { ...item, id: idsByName.get(item.name) };
+
+      // Cart: attach IDs, drop lines we cannot resolve and merge lines that now share an ID
+      const savedCart = JSON.parse(localStorage.getItem('cart') || '[]');
+      const migratedCart = [];
+      savedCart.map(withId).forEach(item => {
+        if (!item.id) {
+          console.warn('Dropping cart item with unknown product:', item.name);
+          return;
+        }
+        const existing = migratedCart.find(line => line.id === item.id);
+        if (existing) existing.quantity += item.quantity;
+        else migratedCart.push(item);
+      });
+      localStorage.setItem('cart', JSON.stringify(migratedCart));
+
+      // Order history: attach IDs where possible but never drop historical lines
+      const savedOrders = JSON.parse(localStorage.getItem('orderHistory') || '[]');
+      const migratedOrders = savedOrders.map(order => ({
+        ...order,
+        items: (order.items || []).map(withId)
+      }));
+      if (savedOrders.length) {
+        localStorage.setItem('orderHistory', JSON.stringify(migratedOrders));
+      }
+
+      localStorage.setItem('storageVersion', String(STORAGE_SCHEMA_VERSION));
+    })
+    .catch(error => {
+      // Leave the version unset so the migration is retried on the next page load
+      console.warn('Failed to migrate saved cart data:', error);
+    });
+
+  return storageMigration;
+}
+
+/**
+ * Loads the catalog together with the promotion rules
+ * Rendering code can then price products synchronously with Promotions.priceProduct()
+ * 
+ * @returns {Promise<Array>} Catalog products
+ */
+function loadCatalogWithPromotions() {
+  return Promise.all([Catalog.getAll(), Promotions.load()]).then(([products]) => products);
+}
+
+/**
+ * Recomputes cart prices from the catalog and the current promotion rules
+ * Prices saved in localStorage may be stale or edited by hand, so they are replaced
+ * Lines whose price changed since they were added keep `previousPrice` for the "price changed" notice
+ * Leaves the cart untouched if the catalog cannot be loaded
+ * 
+ * @returns {Promise<{products: Array, changes: Array}>} Catalog and the price changes found (see Promotions.repriceLines)
+ */
+function repriceCart() {
+  return loadCatalogWithPromotions()
+    .then(products => {
+      loadCartFromStorage();
+      const { lines, changes } = Promotions.repriceLines(cart, { products });
+      cart = lines;
+      saveCartToStorage();
+      removedCartItems = removedCartItems.concat(changes.filter(change => change.removed).map(change => change.name));
+      return { products, changes };
+    })
+    .catch(error => {
+      console.warn('Could not verify cart prices:', error);
+      return { products: [], changes: [] };
+    });
+}
+
+/**
+ * Builds the "price changed since you added this" notice for a cart line
+ * 
+ * @param {Object} item - Cart line (optionally with previousPrice)
+ * @returns {string} HTML notice, or an empty string if the price is unchanged
+ */
+function renderPriceChangeNotice(item) {
+  if (item.previousPrice === undefined) return '';
+  const direction = item.price < item.previousPrice ? 'dropped' : 'changed';
+  return `
+    <div class="small text-warning price-change-notice">
+      <i class="bi bi-exclamation-circle"></i>
+      Price ${direction} since you added this (was $${item.previousPrice.toFixed(2)})
+    </div>
+  `;
+}
+
+/**
+ * Builds the stock notice for a cart line: lines above the available stock, and backordered units
+ * 
+ * @param {Object} product - Catalog product
+ * @param {number} quantity - Units in the cart
+ * @returns {string} HTML notice, or an empty string when the line can ship in full
+ */
+function renderCartStockNotice(product, quantity) {
+  const stock = Inventory.status(product);
+  if (quantity > stock.available) {
+    return `
+    <div class="small text-danger stock-notice">
+      <i class="bi bi-x-circle"></i>
+      ${stock.available === 0 ? 'Out of stock - remove it to check out' : `Only ${stock.available} available - reduce the quantity to check out`}
+    </div>
+  `;
+  }
+  if (product.backorder && quantity > product.stock) {
+    return `
+    <div class="small text-info stock-notice">
+      <i class="bi bi-clock-history"></i>
+      ${product.stock > 0 ? `${quantity - product.stock} on backorder - ` : 'Backorder - '}ships when back in stock
+    </div>
+  `;
   }
+  return '';
+}
+
+/**
+ * Builds a cart line for a catalog product at its current promotional price
+ * 
+ * @param {Object} product - Catalog product
+ * @param {number} quantity - Units to add
+ * @returns {Object} Cart line (see `cart`)
+ */
+function createCartLine(product, quantity) {
+  const pricing = Promotions.priceProduct(product);
+  return {
+    id: product.id,
+    name: product.name,
+    price: pricing.price,
+    quantity,
+    originalPrice: pricing.originalPrice,
+    isDiscounted: pricing.isDiscounted,
+    promotionLabel: pricing.promotion ? pricing.promotion.label : undefined
+  };
+}
+
+/**
+ * Adds the lines of a past order to the cart at current catalog prices
+ * Products no longer in the catalog or out of stock are skipped; quantities are capped at the available stock
+ * 
+ * @param {Array<Object>} items - Order lines ({ id, name, quantity })
+ * @returns {Promise<{added: Array<string>, unavailable: Array<string>, limited: Array<string>}>}
+ *   Names of added and skipped products, and of products that got fewer units than ordered because of stock
+ */
+function reorderItems(items) {
+  return loadCatalogWithPromotions().then(products => {
+    loadCartFromStorage();
+    const added = [];
+    const unavailable = [];
+    const limited = [];
+    
+    items.forEach(item => {
+      const product = products.find(p => p.id === item.id);
+      const existingItem = product ? cart.find(line => line.id === product.id) : null;
+      const inCart = existingItem ? existingItem.quantity : 0;
+      const quantity = product ? Math.min(item.quantity, Inventory.maxQuantity(product) - inCart) : 0;
+      if (!product || !Inventory.status(product).canBuy) {
+        unavailable.push(product ? product.name : item.name);
+        return;
+      }
+      if (quantity <= 0) {
+        // Everything available is already in the cart
+        limited.push(product.name);
+        return;
+      }
+      
+      if (existingItem) {
+        existingItem.quantity += quantity;
+      } else {
+        cart.push(createCartLine(product, quantity));
+      }
+      added.push(product.name);
+      if (quantity < item.quantity) limited.push(product.name);
+    });
+    
+    saveCartToStorage();
+    return { added, unavailable, limited };
+  });
 }
 
 /**
  * Adds a product to the shopping cart
- * Handles both regular and discounted prices, prevents duplicate rapid clicks
+ * Prices the product with the promotions engine, prevents duplicate rapid clicks
+ * Never puts more units in the cart than are in stock (Inventory.maxQuantity)
  * Updates localStorage and provides visual feedback to user
  * 
- * @param {string} productName - Name of the product to add (must match products-data.json)
+ * @param {string} productId - ID of the product to add (must match products-data.json)
+ * @param {HTMLElement} [btn] - Button that was clicked (defaults to the first Add to Cart button for the product)
+ * @param {number} [quantity=1] - Units to add
+ * @returns {Promise<number>} Units actually added (0 when nothing could be added)
  */
-function addToCart(productName) {
+function addToCart(productId, btn = document.querySelector(`.add-to-cart-btn[data-id="${productId}"]`), quantity = 1) {
   // Prevent multiple rapid clicks by checking button disabled state
-  const btn = document.querySelector(`[data-name="${productName}"]`);
-  if (btn && btn.disabled) return;
+  if (btn && btn.disabled) return Promise.resolve(0);
   
   // Temporarily disable the button to prevent double-clicking
   if (btn) btn.disabled = true;
-  
-  // Check for discounted price from button's data-price attribute
-  // Featured deals may have different prices than the base product data
-  const discountedBtn = document.querySelector(`[data-name="${productName}"][data-price]`);
-  const discountedPrice = discountedBtn ? parseFloat(discountedBtn.getAttribute('data-price')) : null;
-
-  // Fetch product data from JSON file
-  fetch('products-data.json')
-    .then(res => {
-      if (!res.ok) throw new Error('Failed to load product data');
-      return res.json();
-    })
-    .then(products => {
-      // Find the requested product in the data
-      const product = products.find(p => p.name === productName);
+
+  // Look up the product in the shared catalog and price it from the promotion rules
+  return Promise.all([Catalog.getById(productId), Promotions.load()])
+    .then(([product]) => {
       if (!product) {
         alert('Product not found!');
         if (btn) btn.disabled = false;
-        return;
+        return 0;
       }
 
-      // Use discounted price if available, otherwise use regular price
-      const finalPrice = discountedPrice || product.price;
-      
       // Check if product already exists in cart
-      const existingItem = cart.find(item => item.name === productName);
+      const existingItem = cart.find(item => item.id === productId);
+      
+      // Cap the quantity at the units still available
+      const stock = Inventory.status(product);
+      const inCart = existingItem ? existingItem.quantity : 0;
+      const added = Math.min(quantity, stock.available - inCart);
+      if (added <= 0) {
+        alert(stock.canBuy
+          ? `Sorry, only ${stock.available} ${product.name} available and they are all in your cart.`
+          : `Sorry, ${product.name} is out of stock.`);
+        if (btn) btn.disabled = false;
+        return 0;
+      }
       
       if (existingItem) {
         // Increment quantity for existing item
-        existingItem.quantity += 1;
+        existingItem.quantity += added;
       } else {
         // Add new item to cart with all necessary properties
-        cart.push({
-          name: productName,
-          price: finalPrice,
-          quantity: 1,
-          originalPrice: product.price,
-          isDiscounted: discountedPrice !== null
-        });
+        cart.push(createCartLine(product, added));
       }
       
       // Save updated cart to localStorage
       saveCartToStorage();
       
+      if (added < quantity) {
+        alert(`Only ${stock.available} ${product.name} available - your cart now has ${inCart + added}.`);
+      }
+      
       // Show visual feedback to user (button animation)
-      showAddToCartFeedback(productName, !!discountedBtn);
+      showAddToCartFeedback(btn);
       
       // Re-enable button after feedback animation completes
       setTimeout(() => {
         if (btn) btn.disabled = false;
       }, 1600);
+      return added;
     })
     .catch(err => {
       // Handle any errors (network issues, JSON parsing, etc.)
       console.error('Error adding to cart:', err);
       alert('Failed to add product to cart. Please try again.');
       if (btn) btn.disabled = false;
+      return 0;
     });
 }
 
@@ -138,16 +434,14 @@ function addToCart(productName) {
  * Provides visual feedback when a product is added to cart
  * Temporarily changes button text and color to confirm the action
  * 
- * @param {string} productName - Name of the product that was added
- * @param {boolean} isDiscounted - Whether this was a discounted item (affects button styling)
+ * @param {HTMLElement|null} btn - Add to Cart button that was used
  */
-function showAddToCartFeedback(productName, isDiscounted) {
-  const btn = document.querySelector(`[data-name="${productName}"]`);
+function showAddToCartFeedback(btn) {
   if (!btn) return;
   
   // Store original button state for restoration
   const originalText = btn.textContent;
-  const originalClass = isDiscounted ? 'btn-primary' : 'btn-neon';
+  const originalClass = btn.className;
   
   // Change to success state
   btn.textContent = 'Added!';
@@ -156,13 +450,14 @@ function showAddToCartFeedback(productName, isDiscounted) {
   // Restore original state after 1.5 seconds
   setTimeout(() => {
     btn.textContent = originalText;
-    btn.className = `btn ${originalClass}`;
+    btn.className = originalClass;
   }, 1500);
 }
 
 /**
  * Displays the shopping cart modal with all items, pricing, and controls
- * Calculates totals, shows savings for discounted items, and provides cart management buttons
+ * Calculates totals with Promotions.priceCart(), shows savings and multi-buy offers, and provides cart management buttons
+ * Products saved for later (wishlist) are listed below the cart with a "Move to cart" button
  * Updates the modal content dynamically and handles empty cart state
  */
 function showCart() {
@@ -174,84 +469,110 @@ function showCart() {
   if (cart.length === 0) {
     body.innerHTML = '<p>Your cart is empty.</p>';
     modal.show();
+    if (Wishlist.load().length > 0) {
+      loadCatalogWithPromotions()
+        .then(products => {
+          body.innerHTML = `<p>Your cart is empty.</p>${renderSavedForLater(products)}`;
+        })
+        .catch(err => console.error('Error loading saved items:', err));
+    }
     return;
   }
 
-  // Initialize running totals for cart summary
-  let total = 0;
-  let totalSavings = 0;
-  
-  // Generate HTML for each cart item with pricing and controls
-  const cartHTML = cart.map(item => {
-    const itemTotal = item.price * item.quantity;
-    total += itemTotal;
-    
-    // Calculate and display savings for discounted items
-    let savingsDisplay = '';
-    if (item.isDiscounted && item.originalPrice) {
-      const savings = (item.originalPrice - item.price) * item.quantity;
-      totalSavings += savings;
-      savingsDisplay = `
-        <div class="small text-muted text-decoration-line-through">
-          Was: $${(item.originalPrice * item.quantity).toFixed(2)}
+  // Reprice from the catalog, then price lines with the promotions engine (multi-buy offers need the catalog for category rules)
+  repriceCart()
+    .then(({ products }) => {
+      const pricing = Promotions.priceCart(cart, { products });
+      
+      // Generate HTML for each cart item with pricing and controls
+      const cartHTML = pricing.lines.map(item => {
+        const product = products.find(p => p.id === item.id);
+        const available = product ? Inventory.maxQuantity(product) : Infinity;
+        const stockDisplay = product ? renderCartStockNotice(product, item.quantity) : '';
+        
+        // Display savings and applied promotions for discounted items
+        let savingsDisplay = '';
+        if (item.savings > 0) {
+          savingsDisplay = `
+            <div class="small text-muted text-decoration-line-through">
+              Was: $${item.originalTotal.toFixed(2)}
+            </div>
+            <div class="small text-success">
+              Saved: $${item.savings.toFixed(2)}${item.promotions.length ? ` (${item.promotions.join(', ')})` : ''}
+            </div>
+          `;
+        }
+        const freeUnitsDisplay = item.freeUnits > 0
+          ? `<div class="small text-success">${item.freeUnits} free</div>`
+          : '';
+        
+        // Return HTML structure for individual cart item
+        // Includes product info, quantity controls, and remove button
+        // Note: Escapes single quotes in product IDs to prevent JS injection
+        return `
+          <div class="d-flex justify-content-between align-items-center mb-3 pb-3 border-bottom">
+            <div class="flex-grow-1">
+              <strong>${item.name}</strong>
+              <div class="small text-muted">$${item.unitPrice.toFixed(2)} each</div>
+              ${renderPriceChangeNotice(item)}
+              ${stockDisplay}
+              ${freeUnitsDisplay}
+              ${savingsDisplay}
+              <div class="d-flex align-items-center mt-2">
+                <label class="small text-muted me-2">Qty:</label>
+                <button class="btn btn-outline-secondary btn-sm" onclick="decreaseQuantity('${item.id.replace(/'/g, "\\'")}')" style="padding: 0.2rem 0.5rem;">-</button>
+                <span class="mx-2 fw-bold">${item.quantity}</span>
+                <button class="btn btn-outline-secondary btn-sm" onclick="increaseQuantity('${item.id.replace(/'/g, "\\'")}')" style="padding: 0.2rem 0.5rem;" ${item.quantity >= available ? 'disabled title="No more in stock"' : ''}>+</button>
+                <button class="btn btn-outline-danger btn-sm ms-2" onclick="removeFromCart('${item.id.replace(/'/g, "\\'")}')" style="padding: 0.2rem 0.5rem;">
+                  <i class="bi bi-trash"></i>
+                </button>
+                <button class="btn btn-link btn-sm ms-2 p-0 save-for-later-btn" onclick="saveForLater('${item.id.replace(/'/g, "\\'")}')">Save for later</button>
+              </div>
+            </div>
+            <div class="text-end">
+              <div class="fw-bold">$${item.lineTotal.toFixed(2)}</div>
+            </div>
+          </div>
+        `;
+      }).join('');
+      
+      // Show total savings section only if there are actual savings
+      const totalSavingsDisplay = pricing.savings > 0 ? `
+        <div class="d-flex justify-content-between mb-2 text-success">
+          <span>Total Savings:</span>
+          <span class="fw-bold">-$${pricing.savings.toFixed(2)}</span>
         </div>
-        <div class="small text-success">
-          Saved: $${savings.toFixed(2)}
+      ` : '';
+      
+      // Tell the user once about lines removed because the product is no longer sold
+      const removedDisplay = removedCartItems.length ? `
+        <div class="alert alert-warning small">
+          <i class="bi bi-exclamation-triangle"></i>
+          No longer available and removed from your cart: ${removedCartItems.join(', ')}
         </div>
-      `;
-    }
-    
-    // Return HTML structure for individual cart item
-    // Includes product info, quantity controls, and remove button
-    // Note: Escapes single quotes in product names to prevent JS injection
-    return `
-      <div class="d-flex justify-content-between align-items-center mb-3 pb-3 border-bottom">
-        <div class="flex-grow-1">
-          <strong>${item.name}</strong>
-          <div class="small text-muted">$${item.price.toFixed(2)} each</div>
-          ${savingsDisplay}
-          <div class="d-flex align-items-center mt-2">
-            <label class="small text-muted me-2">Qty:</label>
-            <button class="btn btn-outline-secondary btn-sm" onclick="decreaseQuantity('${item.name.replace(/'/g, "\\'")}')" style="padding: 0.2rem 0.5rem;">-</button>
-            <span class="mx-2 fw-bold">${item.quantity}</span>
-            <button class="btn btn-outline-secondary btn-sm" onclick="increaseQuantity('${item.name.replace(/'/g, "\\'")}')" style="padding: 0.2rem 0.5rem;">+</button>
-            <button class="btn btn-outline-danger btn-sm ms-2" onclick="removeFromCart('${item.name.replace(/'/g, "\\'")}')" style="padding: 0.2rem 0.5rem;">
-              <i class="bi bi-trash"></i>
-            </button>
-          </div>
+      ` : '';
+      removedCartItems = [];
+      
+      // Assemble complete modal content with items, totals, and action buttons
+      body.innerHTML = `
+        ${removedDisplay}
+        ${cartHTML}
+        <hr>
+        ${totalSavingsDisplay}
+        <div class="d-flex justify-content-between mb-3">
+          <span class="h5">Total:</span>
+          <span class="h5 fw-bold">$${pricing.subtotal.toFixed(2)}</span>
         </div>
-        <div class="text-end">
-          <div class="fw-bold">$${itemTotal.toFixed(2)}</div>
+        <div class="d-grid gap-2">
+          <button class="btn btn-neon" onclick="goToCheckout()">Checkout</button>
+          <button class="btn btn-outline-secondary" onclick="clearCart()">Clear Cart</button>
         </div>
-      </div>
-    `;
-  }).join('');
-  
-  // Show total savings section only if there are actual savings
-  const totalSavingsDisplay = totalSavings > 0 ? `
-    <div class="d-flex justify-content-between mb-2 text-success">
-      <span>Total Savings:</span>
-      <span class="fw-bold">-$${totalSavings.toFixed(2)}</span>
-    </div>
-  ` : '';
-  
-  // Assemble complete modal content with items, totals, and action buttons
-  body.innerHTML = `
-    ${cartHTML}
-    <hr>
-    ${totalSavingsDisplay}
-    <div class="d-flex justify-content-between mb-3">
-      <span class="h5">Total:</span>
-      <span class="h5 fw-bold">$${total.toFixed(2)}</span>
-    </div>
-    <div class="d-grid gap-2">
-      <button class="btn btn-neon" onclick="goToCheckout()">Checkout</button>
-      <button class="btn btn-outline-secondary" onclick="clearCart()">Clear Cart</button>
-    </div>
-  `;
-  
-  // Display the populated modal
-  modal.show();
+        ${renderSavedForLater(products)}
+      `;
+      
+      // Display the populated modal
+      modal.show();
+    });
 }
 
 /**
@@ -268,10 +589,10 @@ function clearCart() {
  * Removes a specific product from the shopping cart
  * Updates localStorage and refreshes the cart modal display
  * 
- * @param {string} productName - Name of the product to remove
+ * @param {string} productId - ID of the product to remove
  */
-function removeFromCart(productName) {
-  cart = cart.filter(item => item.name !== productName);
+function removeFromCart(productId) {
+  cart = cart.filter(item => item.id !== productId);
   saveCartToStorage();
   showCart(); // Refresh modal to show updated cart
 }
@@ -279,36 +600,40 @@ function removeFromCart(productName) {
 /**
  * Updates the quantity of a specific product in the cart
  * If new quantity is 0 or less, removes the item from cart
+ * Increases are capped at the available stock; decreases are always allowed
  * 
- * @param {string} productName - Name of the product to update
+ * @param {string} productId - ID of the product to update
  * @param {number} newQuantity - New quantity to set (must be positive integer)
  */
-function updateCartQuantity(productName, newQuantity) {
+function updateCartQuantity(productId, newQuantity) {
   if (newQuantity <= 0) {
-    removeFromCart(productName);
+    removeFromCart(productId);
     return;
   }
   
-  const item = cart.find(item => item.name === productName);
-  if (item) {
-    item.quantity = newQuantity;
-    saveCartToStorage();
-    showCart(); // Refresh cart modal to reflect changes
-  }
+  const item = cart.find(item => item.id === productId);
+  if (!item) return;
+  
+  Catalog.getById(productId)
+    .then(product => {
+      const available = product ? Inventory.maxQuantity(product) : Infinity;
+      item.quantity = newQuantity <= item.quantity ? newQuantity : Math.min(newQuantity, Math.max(available, item.quantity));
+      saveCartToStorage();
+      showCart(); // Refresh cart modal to reflect changes
+    })
+    .catch(err => console.error('Error updating cart quantity:', err));
 }
 
 /**
  * Increases the quantity of a specific product in the cart by 1
- * Used by the '+' button in cart item controls
+ * Used by the '+' button in cart item controls (capped at the available stock)
  * 
- * @param {string} productName - Name of the product to increase quantity for
+ * @param {string} productId - ID of the product to increase quantity for
  */
-function increaseQuantity(productName) {
-  const item = cart.find(item => item.name === productName);
+function increaseQuantity(productId) {
+  const item = cart.find(item => item.id === productId);
   if (item) {
-    item.quantity += 1;
-    saveCartToStorage();
-    showCart(); // Refresh cart modal to show updated quantity
+    updateCartQuantity(productId, item.quantity + 1);
   }
 }
 
@@ -317,16 +642,16 @@ function increaseQuantity(productName) {
  * If quantity reaches 1 and is decreased, removes the item entirely
  * Used by the '-' button in cart item controls
  * 
- * @param {string} productName - Name of the product to decrease quantity for
+ * @param {string} productId - ID of the product to decrease quantity for
  */
-function decreaseQuantity(productName) {
-  const item = cart.find(item => item.name === productName);
+function decreaseQuantity(productId) {
+  const item = cart.find(item => item.id === productId);
   if (item && item.quantity > 1) {
     item.quantity -= 1;
     saveCartToStorage();
     showCart(); // Refresh cart modal to show updated quantity
   } else if (item && item.quantity === 1) {
-    removeFromCart(productName); // Remove item if quantity would become 0
+    removeFromCart(productId); // Remove item if quantity would become 0
   }
 }
 
@@ -346,50 +671,54 @@ function goToCheckout() {
 
 /**
  * Generates HTML for a single product card with dynamic pricing and discount logic
- * Applies 20% discount to the first product (featured item) automatically
- * Handles price display, discount badges, and fallback images
+ * Prices come from the promotions engine (Promotions.priceProduct), so a product shows
+ * the same discount wherever it appears, regardless of filters or position
+ * Handles price display, discount badges, multi-buy offers and fallback images
+ * With a search query, the words matching it are highlighted in the name and description
  * 
  * @param {Object} prod - Product object from products-data.json
+ * @param {string} prod.id - Product ID (SKU) used as the cart key
  * @param {string} prod.name - Product name
  * @param {number} prod.price - Original product price
  * @param {string} prod.image - Product image path
  * @param {string} prod.description - Product description
  * @param {string} prod.category - Product category
- * @param {number} [prod.discountPercent] - Optional discount percentage
- * @param {number} [index=0] - Product position (0 = featured with auto-discount)
+ * @param {string} [query=''] - Search query to highlight (needs search-index.js)
  * @returns {string} Complete HTML string for product card
  */
-function renderProductCard(prod, index=0) {
-  // Determine if product should display a discount (mirror featured logic: apply 20% off first product)
-  const discountPercent = (prod.discountPercent || (index === 0 ? 20 : 0));
-  const hasDiscount = discountPercent > 0;
-  const originalPrice = prod.price || 0;
-  const discountedPrice = hasDiscount ? originalPrice * (1 - discountPercent/100) : originalPrice;
-  const savings = originalPrice - discountedPrice;
-
-  const badgeHTML = hasDiscount ? `<span class="badge sale-badge position-absolute top-0 end-0 m-2">-${discountPercent}%</span>` : '';
-  const priceHTML = hasDiscount ? `
+function renderProductCard(prod, query = '') {
+  const pricing = Promotions.priceProduct(prod);
+  const nameHTML = query ? SearchIndex.highlight(prod.name, query) : prod.name;
+  const descriptionHTML = query ? SearchIndex.highlight(prod.description || '', query) : (prod.description || '');
+
+  const badgeHTML = pricing.isDiscounted ? `<span class="badge sale-badge position-absolute top-0 end-0 m-2">-${pricing.discountPercent}%</span>` : '';
+  const offerHTML = pricing.offers.length ? `<div class="small text-success mb-2"><i class="bi bi-tag"></i> ${pricing.offers.map(o => o.label).join(', ')}</div>` : '';
+  const priceHTML = pricing.isDiscounted ? `
     <div class="mb-2">
-      <div class="price-original">$${originalPrice.toFixed(2)}</div>
-      <div class="price-new">$${discountedPrice.toFixed(2)}</div>
-      <div class="price-savings">Save $${savings.toFixed(2)}</div>
-    </div>` : `<div class="price mb-2">$${originalPrice.toFixed(2)}</div>`;
-
-  const dataPriceAttr = hasDiscount ? `data-price="${discountedPrice.toFixed(2)}"` : '';
+      <div class="price-original">$${pricing.originalPrice.toFixed(2)}</div>
+      <div class="price-new">$${pricing.price.toFixed(2)}</div>
+      <div class="price-savings">Save $${pricing.savings.toFixed(2)}</div>
+    </div>` : `<div class="price mb-2">$${pricing.price.toFixed(2)}</div>`;
 
   return `
-    <div class="col-sm-6 col-md-6 col-lg-4 col-xl-3 product" data-name="${prod.name}">
+    <div class="col-sm-6 col-md-6 col-lg-4 col-xl-3 product" data-id="${prod.id}">
       <div class="card card-tech h-100 fade-in position-relative">
         ${badgeHTML}
-        <img src="${prod.image || 'images/default.svg'}" class="card-img-top" alt="${prod.name}" onerror="this.src='images/default.svg'">
+        ${renderWishlistToggle(prod)}
+        <a href="${productUrl(prod.id)}" class="product-link">
+          <img src="${prod.image || 'images/default.svg'}" class="card-img-top" alt="${prod.name}" onerror="this.src='images/default.svg'">
+        </a>
         <div class="card-body d-flex flex-column">
-          <h5 class="card-title">${prod.name}</h5>
-            <p class="card-text text-muted flex-grow-1">${prod.description || ''}</p>
+          <h5 class="card-title"><a href="${productUrl(prod.id)}" class="product-link">${nameHTML}</a></h5>
+            <p class="card-text text-muted flex-grow-1">${descriptionHTML}</p>
             ${priceHTML}
+            ${offerHTML}
+            <div class="mb-2">${renderStockBadge(prod)}</div>
             <div class="d-flex justify-content-between align-items-center mt-auto">
               <span class="badge bg-darktech">${prod.category}</span>
-              <button class="btn btn-neon btn-sm add-to-cart-btn" ${dataPriceAttr} data-name="${prod.name}">Add to Cart</button>
+              ${renderAddToCartButton(prod)}
             </div>
+            ${renderCompareToggle(prod.id)}
         </div>
       </div>
     </div>`;
@@ -397,299 +726,1656 @@ function renderProductCard(prod, index=0) {
 
 /**
  * Renders all products or a limited subset to a specified container
- * Fetches product data from JSON file and generates HTML cards
+ * Reads product data from the shared catalog and generates HTML cards
  * 
  * @param {string} containerId - ID of the HTML element to render products into
  * @param {number|null} [limit=null] - Maximum number of products to render (null = all)
  */
 function renderProducts(containerId, limit = null) {
-  fetch('products-data.json')
-    .then(res => res.json())
+  loadCatalogWithPromotions()
     .then(data => {
-      let products = data.filter(p => p.name); // Only valid products with names
+      let products = data;
       if (limit) products = products.slice(0, limit); // Apply limit if specified
       const container = document.getElementById(containerId);
       if (container) {
-        // Generate HTML cards using renderProductCard with index for discount logic
-        container.innerHTML = products.map((p,i)=>renderProductCard(p,i)).join('');
+        container.innerHTML = products.map(p => renderProductCard(p)).join('');
       }
     })
     .catch(err => console.error('Error loading products:', err));
 }
 
+// ======================
+// PRODUCT FILTERS
+// ======================
+
 /**
- * Filters and displays products by category
- * Used by category filter buttons on products page
- * Shows all products when category is 'All', otherwise filters by exact category match
+ * Escapes text for use inside HTML attributes and content
  * 
- * @param {string} category - Category to filter by ('All' for no filter, or specific category name)
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
  */
-function filterProducts(category) {
-  fetch('products-data.json')
-    .then(res => res.json())
-    .then(products => {
-      // Filter products based on category selection
-      const filtered = category === 'All'
-        ? products.filter(p => p.name) // Show all valid products
-        : products.filter(p => p.category === category && p.name); // Filter by category
-      
-      const container = document.getElementById('products');
-      if (container) {
-        // Render filtered products or show "no products" message
-        container.innerHTML = filtered.length
-            ? filtered.map((p, i) => renderProductCard(p, i)).join('')
-          : '<div class="col-12"><div class="alert alert-warning">No products found.</div></div>';
-      }
-    });
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
-// ======================
-// FEATURED PRODUCTS
-// ======================
-
 /**
- * Renders the featured deal product with fixed 20% discount
- * Used in hero section to highlight a special offer
- * Displays original price, discounted price, and savings amount
+ * Pricing and search hooks for ProductFilters (product-filters.js)
+ * The price range, price sorting, "Biggest discount" and "on sale" use promotional prices,
+ * and `q` uses the site search
  * 
- * @param {Object} product - Product object to feature
- * @param {string} product.name - Product name
- * @param {number} product.price - Original product price
- * @param {string} product.image - Product image path
- * @param {string} product.description - Product description
+ * @returns {Object} Options for ProductFilters.apply(), facets() and sort()
  */
-function renderFeaturedDeal(product) {
-  const container = document.getElementById('featured-deal');
-  if (!container) return;
+function productFilterOptions() {
+  return {
+    priceOf: product => Promotions.priceProduct(product).price,
+    discountOf: product => Promotions.priceProduct(product).discountPercent,
+    isOnSale: product => {
+      const pricing = Promotions.priceProduct(product);
+      return pricing.isDiscounted || pricing.offers.length > 0;
+    },
+    search: searchProducts
+  };
+}
 
-  const discountPercent = 20;
-  const originalPrice = product.price;
-  const discountedPrice = originalPrice * (1 - discountPercent / 100);
-  const savings = originalPrice - discountedPrice;
+/**
+ * Generates one multi-select facet (checkbox list with live counts)
+ * 
+ * @param {string} title - Facet heading
+ * @param {string} filter - State property the checkboxes update ('categories', 'brands' or 'specs')
+ * @param {Array<Object>} values - Facet values ({ value, count, selected })
+ * @param {string} [specKey] - Spec key for spec facets
+ * @returns {string} Facet HTML
+ */
+function renderFacet(title, filter, values, specKey = '') {
+  const idPrefix = `filter-${filter}${specKey ? `-${specKey}` : ''}`;
+  return `
+    <fieldset class="filter-group">
+      <legend class="filter-heading">${title}</legend>
+      ${values.map((option, index) => `
+        <div class="form-check">
+          <input class="form-check-input" type="checkbox" id="${idPrefix}-${index}" data-filter="${filter}" ${specKey ? `data-spec="${specKey}"` : ''}
+            value="${escapeHtml(option.value)}" ${option.selected ? 'checked' : ''} ${option.count === 0 && !option.selected ? 'disabled' : ''}>
+          <label class="form-check-label d-flex justify-content-between" for="${idPrefix}-${index}">
+            <span>${escapeHtml(option.value)}</span>
+            <span class="filter-count">${option.count}</span>
+          </label>
+        </div>`).join('')}
+    </fieldset>`;
+}
 
-  container.innerHTML = `
-    <div class="position-relative">
-      <span class="badge bg-primary position-absolute top-0 end-0 m-2" style="z-index: 10;">-${discountPercent}%</span>
-      <img src="${product.image || 'images/default.svg'}" class="img-fluid rounded mb-3" alt="${product.name}" style="max-height: 200px; width: 100%; object-fit: cover;" onerror="this.src='images/default.svg'">
-      <div class="text-center">
-        <h5>${product.name}</h5>
-        <p class="text-muted small">${product.description || ''}</p>
-        <div class="price-section mb-3">
-          <div class="text-muted text-decoration-line-through small">Was: $${originalPrice.toFixed(2)}</div>
-          <div class="h4 text-success fw-bold mb-1">Now: $${discountedPrice.toFixed(2)}</div>
-          <div class="small text-primary">You save: $${savings.toFixed(2)}</div>
-        </div>
-        <button class="btn btn-primary add-to-cart-btn" data-name="${product.name}" data-price="${discountedPrice}">
-          Add to Cart
-        </button>
+/**
+ * Renders the filter sidebar for the current state
+ * 
+ * @param {Object} facets - Result of ProductFilters.facets()
+ * @param {Object} state - Filter state
+ */
+function renderFilterSidebar(facets, state) {
+  const sidebar = document.getElementById('filter-sidebar');
+  if (!sidebar) return;
+
+  const { min, max } = facets.priceRange;
+  const minPrice = state.minPrice !== null ? Math.max(min, Math.min(state.minPrice, max)) : min;
+  const maxPrice = state.maxPrice !== null ? Math.min(max, Math.max(state.maxPrice, min)) : max;
+
+  sidebar.innerHTML = `
+    ${renderFacet('Category', 'categories', facets.categories)}
+    ${renderFacet('Brand', 'brands', facets.brands)}
+    <fieldset class="filter-group">
+      <legend class="filter-heading">Price</legend>
+      <div class="d-flex justify-content-between small mb-1" aria-live="polite">
+        <span id="filter-price-min-label">$${minPrice}</span>
+        <span id="filter-price-max-label">$${maxPrice}</span>
       </div>
-    </div>
+      <label for="filter-price-min" class="visually-hidden">Minimum price</label>
+      <input type="range" class="form-range" id="filter-price-min" data-filter="minPrice" min="${min}" max="${max}" step="1" value="${minPrice}">
+      <label for="filter-price-max" class="visually-hidden">Maximum price</label>
+      <input type="range" class="form-range" id="filter-price-max" data-filter="maxPrice" min="${min}" max="${max}" step="1" value="${maxPrice}">
+    </fieldset>
+    <fieldset class="filter-group">
+      <legend class="filter-heading">Availability</legend>
+      <div class="form-check form-switch">
+        <input class="form-check-input" type="checkbox" id="filter-in-stock" data-filter="inStock" ${state.inStock ? 'checked' : ''}>
+        <label class="form-check-label d-flex justify-content-between" for="filter-in-stock">
+          <span>In stock only</span><span class="filter-count">${facets.inStock}</span>
+        </label>
+      </div>
+      <div class="form-check form-switch">
+        <input class="form-check-input" type="checkbox" id="filter-on-sale" data-filter="onSale" ${state.onSale ? 'checked' : ''}>
+        <label class="form-check-label d-flex justify-content-between" for="filter-on-sale">
+          <span>On sale only</span><span class="filter-count">${facets.onSale}</span>
+        </label>
+      </div>
+    </fieldset>
+    ${facets.specs.map(facet => renderFacet(facet.label, 'specs', facet.values, facet.key)).join('')}
   `;
 }
 
 /**
- * Renders responsive product carousel with dynamic slide organization
- * Adapts products per slide based on screen size and applies discount to first product
- * Used on homepage to showcase featured products in an interactive carousel
+ * Fills the "Sort by" and "Per page" selects for the current state
+ * Relevance is only offered while searching
  * 
- * @param {string} containerId - Container ID (currently unused, could be for future flexibility)
- * @param {number} [limit=8] - Maximum number of products to include in carousel
+ * @param {Object} state - Filter state
  */
-function renderFeaturedProductsCarousel(containerId, limit = 8) {
-  fetch('products-data.json')
-    .then(res => res.json())
-    .then(data => {
-      const products = data.filter(p => p.name).slice(0, limit);
-      const carouselInner = document.getElementById('featured-products-carousel');
-      const indicators = document.getElementById('carousel-indicators');
-      
-      if (!carouselInner || !indicators) return;
-      
-      carouselInner.innerHTML = '';
-      indicators.innerHTML = '';
-      
-      const getProductsPerSlide = () => {
-        const width = window.innerWidth;
-        if (width <= 576) return 1;
-        if (width <= 768) return 2;
-        if (width <= 992) return 3;
-        return 4;
-      };
-      
-      const productsPerSlide = getProductsPerSlide();
-      const slides = [];
-      
-      for (let i = 0; i < products.length; i += productsPerSlide) {
-        slides.push(products.slice(i, i + productsPerSlide));
-      }
-      
-      slides.forEach((slideProducts, index) => {
-        const slide = document.createElement('div');
-        slide.className = `carousel-item ${index === 0 ? 'active' : ''}`;
-        
-        const getColClass = () => {
-          if (productsPerSlide === 1) return 'col-12';
-          if (productsPerSlide === 2) return 'col-6';
-          if (productsPerSlide === 3) return 'col-md-4 col-6';
-          return 'col-xl-3 col-lg-4 col-md-6 col-sm-6';
+function renderSortControls(state) {
+  const sortSelect = document.getElementById('filter-sort');
+  const perPageSelect = document.getElementById('filter-per-page');
+  const sort = ProductFilters.resolveSort(state);
+
+  if (sortSelect) {
+    sortSelect.innerHTML = ProductFilters.SORT_OPTIONS
+      .filter(option => option.value !== 'relevance' || state.q)
+      .map(option => `<option value="${option.value}" ${option.value === sort ? 'selected' : ''}>${option.label}</option>`)
+      .join('');
+  }
+
+  if (perPageSelect) {
+    perPageSelect.innerHTML = ProductFilters.PAGE_SIZES
+      .map(size => `<option value="${size}" ${size === state.perPage ? 'selected' : ''}>${size}</option>`)
+      .join('');
+  }
+}
+
+/**
+ * Generates page links for the product grid (Bootstrap pagination)
+ * Long page lists show the first and last pages and the pages around the current one
+ * 
+ * @param {Object} page - Result of ProductFilters.paginate()
+ * @returns {string} Pagination HTML ('' when everything fits on one page)
+ */
+function renderPagination(page) {
+  if (page.pageCount <= 1) return '';
+
+  const numbers = [];
+  for (let n = 1; n <= page.pageCount; n++) {
+    if (n === 1 || n === page.pageCount || Math.abs(n - page.page) <= 1) {
+      numbers.push(n);
+    } else if (numbers[numbers.length - 1] !== '…') {
+      numbers.push('…');
+    }
+  }
+
+  const link = (target, label, { disabled = false, active = false, ariaLabel = '' } = {}) => `
+    <li class="page-item ${disabled ? 'disabled' : ''} ${active ? 'active' : ''}" ${active ? 'aria-current="page"' : ''}>
+      <button type="button" class="page-link" data-page="${target}" ${disabled ? 'disabled' : ''} ${ariaLabel ? `aria-label="${ariaLabel}"` : ''}>${label}</button>
+    </li>`;
+
+  return `
+    <ul class="pagination justify-content-center flex-wrap mb-0">
+      ${link(page.page - 1, '&laquo;', { disabled: page.page === 1, ariaLabel: 'Previous page' })}
+      ${numbers.map(n => n === '…'
+        ? '<li class="page-item disabled"><span class="page-link">…</span></li>'
+        : link(n, n, { active: n === page.page, ariaLabel: `Page ${n}` })).join('')}
+      ${link(page.page + 1, '&raquo;', { disabled: page.page === page.pageCount, ariaLabel: 'Next page' })}
+    </ul>`;
+}
+
+/**
+ * Renders one page of the filtered product grid, the results summary and the page links
+ * 
+ * @param {Object} page - Result of ProductFilters.paginate() on the sorted results
+ * @param {Object} state - Filter state
+ */
+function renderFilterResults(page, state) {
+  const container = document.getElementById('products');
+  const summary = document.getElementById('filter-summary');
+  const pagination = document.getElementById('products-pagination');
+
+  if (summary) {
+    const filtered = state.q || ProductFilters.hasFilters(state);
+    const count = page.pageCount > 1
+      ? `Showing ${page.from}–${page.to} of ${page.total} products`
+      : `${page.total} product${page.total === 1 ? '' : 's'}`;
+    summary.innerHTML = `
+      <span>${count}${state.q ? ` for "<strong>${escapeHtml(state.q)}</strong>"` : ''}</span>
+      ${filtered ? '<button type="button" class="btn btn-link btn-sm p-0 ms-2" id="filter-clear">Clear all</button>' : ''}`;
+  }
+
+  if (container) {
+    container.innerHTML = page.total
+      ? page.items.map(p => renderProductCard(p, state.q)).join('')
+      : `<div class="col-12"><div class="alert alert-warning">No products found${state.q ? ' matching your search' : ''}. Try removing a filter.</div></div>`;
+  }
+
+  if (pagination) pagination.innerHTML = renderPagination(page);
+}
+
+/**
+ * Sets up the faceted filters, sorting and pagination on the products page
+ * The state lives in the URL: every change pushes a history entry, and
+ * Back/Forward (popstate) restore the matching view. The catalog is loaded once.
+ * Changing a filter, the search or the sort order goes back to the first page.
+ */
+function setupProductFilters() {
+  const sidebar = document.getElementById('filter-sidebar');
+  if (!sidebar) return;
+
+  let state = ProductFilters.parseQuery(window.location.search);
+  let catalog = [];
+
+  const searchInput = document.getElementById('searchInputProducts');
+
+  const render = () => {
+    const options = productFilterOptions();
+    if (searchInput) searchInput.value = state.q;
+    renderFilterSidebar(ProductFilters.facets(catalog, state, options), state);
+    renderSortControls(state);
+    const results = ProductFilters.sort(ProductFilters.apply(catalog, state, options), state, options);
+    renderFilterResults(ProductFilters.paginate(results, state), state);
+  };
+
+  // Records the new state in the URL (a new history entry) and re-renders
+  const update = (changes) => {
+    state = { ...state, page: 1, ...changes };
+    const query = ProductFilters.toQuery(state);
+    history.pushState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    render();
+  };
+
+  sidebar.addEventListener('change', function(e) {
+    const input = e.target;
+    const filter = input.dataset.filter;
+    if (!filter) return;
+
+    if (filter === 'categories' || filter === 'brands') {
+      const values = state[filter].filter(value => value !== input.value);
+      update({ [filter]: input.checked ? values.concat(input.value) : values });
+    } else if (filter === 'specs') {
+      const key = input.dataset.spec;
+      const values = (state.specs[key] || []).filter(value => value !== input.value);
+      update({ specs: { ...state.specs, [key]: input.checked ? values.concat(input.value) : values } });
+    } else if (filter === 'minPrice' || filter === 'maxPrice') {
+      // The ends of the slider mean "no limit"
+      const value = Number(input.value);
+      const atEnd = filter === 'minPrice' ? value <= Number(input.min) : value >= Number(input.max);
+      update({ [filter]: atEnd ? null : value });
+    } else {
+      update({ [filter]: input.checked });
+    }
+  });
+
+  // Live price labels while a slider is dragged; the filter applies on release
+  sidebar.addEventListener('input', function(e) {
+    if (e.target.dataset.filter === 'minPrice' || e.target.dataset.filter === 'maxPrice') {
+      const label = document.getElementById(e.target.dataset.filter === 'minPrice' ? 'filter-price-min-label' : 'filter-price-max-label');
+      if (label) label.textContent = `$${e.target.value}`;
+    }
+  });
+
+  // "Clear all" removes the search and filters but keeps the sort order and page size
+  document.addEventListener('click', function(e) {
+    if (e.target.id === 'filter-clear') update({ ...ProductFilters.emptyState(), sort: state.sort, perPage: state.perPage });
+  });
+
+  const sortSelect = document.getElementById('filter-sort');
+  if (sortSelect) {
+    sortSelect.addEventListener('change', function() {
+      update({ sort: this.value });
+    });
+  }
+
+  const perPageSelect = document.getElementById('filter-per-page');
+  if (perPageSelect) {
+    perPageSelect.addEventListener('change', function() {
+      update({ perPage: Number(this.value) });
+    });
+  }
+
+  // Page links: show the new page from the top of the grid
+  const pagination = document.getElementById('products-pagination');
+  if (pagination) {
+    pagination.addEventListener('click', function(e) {
+      const link = e.target.closest('[data-page]');
+      if (!link || link.disabled) return;
+      update({ page: Number(link.dataset.page) });
+      const grid = document.getElementById('products');
+      if (grid) grid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+  }
+
+  // The navbar search on this page searches within the current filters
+  const searchForm = document.getElementById('searchFormProducts');
+  if (searchForm && searchInput) {
+    searchForm.addEventListener('submit', function(e) {
+      e.preventDefault();
+      update({ q: searchInput.value.trim() });
+    });
+  }
+
+  window.addEventListener('popstate', () => {
+    state = ProductFilters.parseQuery(window.location.search);
+    render();
+  });
+
+  loadCatalogWithPromotions()
+    .then(products => {
+      catalog = products;
+      render();
+    })
+    .catch(err => console.error('Error loading products:', err));
+}
+
+// ======================
+// FEATURED PRODUCTS
+// ======================
+
+/**
+ * Renders the featured deal product with its promotional price
+ * Used in hero section to highlight a special offer (see Promotions.getFeatured)
+ * Displays original price, discounted price, and savings amount
+ * 
+ * @param {Object} product - Product object to feature
+ * @param {string} product.id - Product ID (SKU) used as the cart key
+ * @param {string} product.name - Product name
+ * @param {number} product.price - Original product price
+ * @param {string} product.image - Product image path
+ * @param {string} product.description - Product description
+ */
+function renderFeaturedDeal(product) {
+  const container = document.getElementById('featured-deal');
+  if (!container) return;
+
+  const pricing = Promotions.priceProduct(product);
+
+  const badgeHTML = pricing.isDiscounted
+    ? `<span class="badge bg-primary position-absolute top-0 end-0 m-2" style="z-index: 10;">-${pricing.discountPercent}%</span>`
+    : '';
+  const priceHTML = pricing.isDiscounted ? `
+          <div class="text-muted text-decoration-line-through small">Was: $${pricing.originalPrice.toFixed(2)}</div>
+          <div class="h4 text-success fw-bold mb-1">Now: $${pricing.price.toFixed(2)}</div>
+          <div class="small text-primary">You save: $${pricing.savings.toFixed(2)}</div>
+  ` : `
+          <div class="h4 fw-bold mb-1">$${pricing.price.toFixed(2)}</div>
+  `;
+
+  container.innerHTML = `
+    <div class="position-relative">
+      ${badgeHTML}
+      <a href="${productUrl(product.id)}" class="product-link">
+        <img src="${product.image || 'images/default.svg'}" class="img-fluid rounded mb-3" alt="${product.name}" style="max-height: 200px; width: 100%; object-fit: cover;" onerror="this.src='images/default.svg'">
+      </a>
+      <div class="text-center">
+        <h5><a href="${productUrl(product.id)}" class="product-link">${product.name}</a></h5>
+        <p class="text-muted small">${product.description || ''}</p>
+        <div class="price-section mb-3">
+          ${priceHTML}
+        </div>
+        <div class="mb-2">${renderStockBadge(product)}</div>
+        ${renderAddToCartButton(product, 'btn btn-primary')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Renders responsive product carousel with dynamic slide organization
+ * Adapts products per slide based on screen size; prices come from the promotions engine
+ * Used on homepage to showcase featured products in an interactive carousel
+ * 
+ * @param {string} containerId - Container ID (currently unused, could be for future flexibility)
+ * @param {number} [limit=8] - Maximum number of products to include in carousel
+ */
+function renderFeaturedProductsCarousel(containerId, limit = 8) {
+  loadCatalogWithPromotions()
+    .then(data => {
+      const products = data.slice(0, limit);
+      const carouselInner = document.getElementById('featured-products-carousel');
+      const indicators = document.getElementById('carousel-indicators');
+      
+      if (!carouselInner || !indicators) return;
+      
+      carouselInner.innerHTML = '';
+      indicators.innerHTML = '';
+      
+      const getProductsPerSlide = () => {
+        const width = window.innerWidth;
+        if (width <= 576) return 1;
+        if (width <= 768) return 2;
+        if (width <= 992) return 3;
+        return 4;
+      };
+      
+      const productsPerSlide = getProductsPerSlide();
+      const slides = [];
+      
+      for (let i = 0; i < products.length; i += productsPerSlide) {
+        slides.push(products.slice(i, i + productsPerSlide));
+      }
+      
+      slides.forEach((slideProducts, index) => {
+        const slide = document.createElement('div');
+        slide.className = `carousel-item ${index === 0 ? 'active' : ''}`;
+        
+        const getColClass = () => {
+          if (productsPerSlide === 1) return 'col-12';
+          if (productsPerSlide === 2) return 'col-6';
+          if (productsPerSlide === 3) return 'col-md-4 col-6';
+          return 'col-xl-3 col-lg-4 col-md-6 col-sm-6';
         };
         
         slide.innerHTML = `
           <div class="row g-3 justify-content-center">
-            ${slideProducts.map((prod, prodIndex) => {
-              const isDiscounted = index === 0 && prodIndex === 0;
-              const discountPercent = 20;
-              const originalPrice = prod.price;
-              const discountedPrice = isDiscounted ? originalPrice * (1 - discountPercent / 100) : originalPrice;
-              const savings = originalPrice - discountedPrice;
+            ${slideProducts.map(prod => {
+              const pricing = Promotions.priceProduct(prod);
               
-              const discountBadge = isDiscounted ? 
-                `<span class="badge bg-danger position-absolute top-0 end-0 m-2" style="z-index: 10;">-${discountPercent}%</span>` : '';
+              const discountBadge = pricing.isDiscounted ? 
+                `<span class="badge bg-danger position-absolute top-0 end-0 m-2" style="z-index: 10;">-${pricing.discountPercent}%</span>` : '';
               
-              const priceHTML = isDiscounted ? `
+              const priceHTML = pricing.isDiscounted ? `
                 <div class="price-section mb-2">
-                  <div class="text-muted text-decoration-line-through small">Was: $${originalPrice.toFixed(2)}</div>
-                  <div class="text-success fw-bold">Now: $${discountedPrice.toFixed(2)}</div>
-                  <div class="small text-primary">Save: $${savings.toFixed(2)}</div>
+                  <div class="text-muted text-decoration-line-through small">Was: $${pricing.originalPrice.toFixed(2)}</div>
+                  <div class="text-success fw-bold">Now: $${pricing.price.toFixed(2)}</div>
+                  <div class="small text-primary">Save: $${pricing.savings.toFixed(2)}</div>
                 </div>
-              ` : `<div class="price mb-2">$${prod.price ? prod.price.toFixed(2) : 'N/A'}</div>`;
+              ` : `<div class="price mb-2">$${pricing.price.toFixed(2)}</div>`;
               
               return `
-                <div class="${getColClass()} product" data-name="${prod.name}">
+                <div class="${getColClass()} product" data-id="${prod.id}">
                   <div class="card card-tech h-100 fade-in position-relative">
                     ${discountBadge}
-                    <img src="${prod.image || 'images/default.svg'}" class="card-img-top" alt="${prod.name}" onerror="this.src='images/default.svg'">
+                    ${renderWishlistToggle(prod)}
+                    <a href="${productUrl(prod.id)}" class="product-link">
+                      <img src="${prod.image || 'images/default.svg'}" class="card-img-top" alt="${prod.name}" onerror="this.src='images/default.svg'">
+                    </a>
                     <div class="card-body d-flex flex-column">
-                      <h5 class="card-title">${prod.name}</h5>
+                      <h5 class="card-title"><a href="${productUrl(prod.id)}" class="product-link">${prod.name}</a></h5>
                       <p class="card-text text-muted flex-grow-1">${prod.description || ''}</p>
                       <div class="mt-auto">
                         ${priceHTML}
+                        <div class="mb-2">${renderStockBadge(prod)}</div>
                         <div class="d-flex justify-content-between align-items-center">
                           <span class="badge bg-secondary">${prod.category}</span>
-                          <button class="btn btn-neon btn-sm add-to-cart-btn" data-name="${prod.name}" ${isDiscounted ? `data-price="${discountedPrice}"` : ''}>Add to Cart</button>
+                          ${renderAddToCartButton(prod)}
                         </div>
                       </div>
                     </div>
                   </div>
                 </div>
-              `;
-            }).join('')}
-          </div>
-        `;
-        
-        carouselInner.appendChild(slide);
-        
-        // Create indicator
-        const indicator = document.createElement('button');
-        indicator.type = 'button';
-        indicator.setAttribute('data-bs-target', '#featuredProductsCarousel');
-        indicator.setAttribute('data-bs-slide-to', index);
-        indicator.className = index === 0 ? 'active' : '';
-        if (index === 0) indicator.setAttribute('aria-current', 'true');
-        indicator.setAttribute('aria-label', `Slide ${index + 1}`);
-        
-        indicators.appendChild(indicator);
-      });
-      
-      // Handle responsive rebuild on resize
-      let resizeTimeout;
-      window.addEventListener('resize', () => {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-          if (getProductsPerSlide() !== productsPerSlide) {
-            renderFeaturedProductsCarousel(containerId, limit);
-          }
-        }, 250);
-      });
-      
+              `;
+            }).join('')}
+          </div>
+        `;
+        
+        carouselInner.appendChild(slide);
+        
+        // Create indicator
+        const indicator = document.createElement('button');
+        indicator.type = 'button';
+        indicator.setAttribute('data-bs-target', '#featuredProductsCarousel');
+        indicator.setAttribute('data-bs-slide-to', index);
+        indicator.className = index === 0 ? 'active' : '';
+        if (index === 0) indicator.setAttribute('aria-current', 'true');
+        indicator.setAttribute('aria-label', `Slide ${index + 1}`);
+        
+        indicators.appendChild(indicator);
+      });
+      
+      // Handle responsive rebuild on resize
+      let resizeTimeout;
+      window.addEventListener('resize', () => {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(() => {
+          if (getProductsPerSlide() !== productsPerSlide) {
+            renderFeaturedProductsCarousel(containerId, limit);
+          }
+        }, 250);
+      });
+      
+    })
+    .catch(err => {
+      console.error('Error loading carousel products:', err);
+      document.getElementById('featuredProductsCarousel').style.display = 'none';
+      document.getElementById('featured-products').style.display = 'block';
+      renderProducts('featured-products', 4);
+    });
+}
+
+// ======================
+// PRODUCT DETAIL PAGE
+// ======================
+
+/**
+ * Builds the deep link to a product's detail page
+ * 
+ * @param {string} productId - Product ID (SKU)
+ * @returns {string} Relative URL, e.g. "product.html?id=alienware-m16"
+ */
+function productUrl(productId) {
+  return `product.html?id=${encodeURIComponent(productId)}`;
+}
+
+/**
+ * Describes a product's availability (Inventory.status) with its display style
+ * Products without a `stock` count are listed as in stock
+ * 
+ * @param {Object} product - Catalog product
+ * @returns {{code: string, label: string, canBuy: boolean, available: number, className: string, icon: string}}
+ *   Inventory.status() plus a Bootstrap text colour class and icon
+ */
+function getStockStatus(product) {
+  const styles = {
+    'in-stock': { className: 'text-success', icon: 'bi-check-circle' },
+    'low-stock': { className: 'text-warning', icon: 'bi-exclamation-circle' },
+    'out-of-stock': { className: 'text-danger', icon: 'bi-x-circle' },
+    backorder: { className: 'text-info', icon: 'bi-clock-history' }
+  };
+  const status = Inventory.status(product);
+  return { ...status, ...styles[status.code] };
+}
+
+/**
+ * Generates the availability badge shown on product cards
+ * 
+ * @param {Object} product - Catalog product
+ * @returns {string} Badge HTML
+ */
+function renderStockBadge(product) {
+  const stock = getStockStatus(product);
+  return `<span class="stock-badge stock-${stock.code} small ${stock.className}"><i class="bi ${stock.icon}"></i> ${stock.label}</span>`;
+}
+
+/**
+ * Generates an Add to Cart button; out-of-stock products get a disabled "Out of stock" button
+ * 
+ * @param {Object} product - Catalog product
+ * @param {string} [className='btn btn-neon btn-sm'] - Button classes
+ * @returns {string} Button HTML
+ */
+function renderAddToCartButton(product, className = 'btn btn-neon btn-sm') {
+  return Inventory.status(product).canBuy
+    ? `<button class="${className} add-to-cart-btn" data-id="${product.id}">Add to Cart</button>`
+    : `<button class="${className} add-to-cart-btn" data-id="${product.id}" disabled>Out of stock</button>`;
+}
+
+/**
+ * Picks products to show alongside a product: same category first, then the closest in price
+ * 
+ * @param {Object} product - Product being viewed
+ * @param {Array} products - Catalog products
+ * @param {number} [limit=4] - Maximum number of products to return
+ * @returns {Array} Related products (never includes the product itself)
+ */
+function getRelatedProducts(product, products, limit = 4) {
+  const priceGap = other => Math.abs(other.price - product.price);
+  return products
+    .filter(other => other.id !== product.id)
+    .sort((a, b) => {
+      const sameCategory = (b.category === product.category) - (a.category === product.category);
+      return sameCategory || priceGap(a) - priceGap(b);
+    })
+    .slice(0, limit);
+}
+
+/**
+ * Generates the image gallery: main image plus thumbnails when the product has more than one image
+ * 
+ * @param {Object} product - Catalog product (`image` and optional `images`)
+ * @returns {string} Gallery HTML
+ */
+function renderProductGallery(product) {
+  const images = [product.image || 'images/default.svg', ...(product.images || [])]
+    .filter((image, index, all) => all.indexOf(image) === index);
+
+  const thumbnailsHTML = images.length > 1 ? `
+    <div class="product-thumbnails d-flex flex-wrap gap-2 mt-3">
+      ${images.map((image, index) => `
+        <button type="button" class="product-thumbnail ${index === 0 ? 'active' : ''}" data-image="${image}" aria-label="Show image ${index + 1} of ${images.length}">
+          <img src="${image}" alt="" onerror="this.src='images/default.svg'">
+        </button>`).join('')}
+    </div>` : '';
+
+  return `
+    <div class="product-gallery">
+      <div class="product-main-image">
+        <img id="product-main-image" src="${images[0]}" class="img-fluid rounded" alt="${product.name}" onerror="this.src='images/default.svg'">
+      </div>
+      ${thumbnailsHTML}
+    </div>`;
+}
+
+/**
+ * Generates the price breakdown: list price, promotion, final price, savings and multi-buy offers
+ * 
+ * @param {Object} product - Catalog product
+ * @returns {string} Price breakdown HTML
+ */
+function renderProductPriceBreakdown(product) {
+  const pricing = Promotions.priceProduct(product);
+
+  if (!pricing.isDiscounted && pricing.offers.length === 0) {
+    return `<div class="product-price mb-3"><span class="price-new">$${pricing.price.toFixed(2)}</span></div>`;
+  }
+
+  const promotion = pricing.promotion;
+  // Date-only end dates cover the whole day, so show them as a local date
+  const endsAt = promotion && promotion.endsAt
+    ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(promotion.endsAt) ? `${promotion.endsAt}T00:00:00` : promotion.endsAt)
+    : null;
+  const endsHTML = endsAt ? `<div class="small text-muted">Offer ends ${endsAt.toLocaleDateString()}</div>` : '';
+  const offersHTML = pricing.offers.map(offer => `
+    <div class="small text-success"><i class="bi bi-tag"></i> ${offer.label} — applied in your cart</div>`).join('');
+
+  return `
+    <table class="table table-sm product-price-breakdown mb-3">
+      <tbody>
+        ${pricing.isDiscounted ? `
+        <tr><th scope="row">List price</th><td class="text-end price-original">$${pricing.originalPrice.toFixed(2)}</td></tr>
+        <tr>
+          <th scope="row">${promotion ? promotion.label : 'Discount'} (-${pricing.discountPercent}%)${endsHTML}</th>
+          <td class="text-end text-success">-$${pricing.savings.toFixed(2)}</td>
+        </tr>` : ''}
+        <tr class="product-price-final"><th scope="row">Your price</th><td class="text-end price-new">$${pricing.price.toFixed(2)}</td></tr>
+      </tbody>
+    </table>
+    ${offersHTML}`;
+}
+
+/**
+ * Generates the specification table from the product's `specs`, in its category template's order
+ * 
+ * @param {Object} product - Catalog product
+ * @returns {string} Specification table HTML
+ */
+function renderSpecTable(product) {
+  const rows = [
+    { label: 'SKU', display: product.id },
+    { label: 'Category', display: product.category },
+    ...ProductSpecs.rows(product)
+  ];
+  return `
+    <table class="table table-striped spec-table">
+      <tbody>
+        ${rows.map(row => `<tr><th scope="row">${row.label}</th><td>${row.display}</td></tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Renders a product's detail view and its related products
+ * 
+ * @param {Object} product - Product to show
+ * @param {Array} products - Catalog products (for related products)
+ */
+function renderProductDetail(product, products) {
+  const container = document.getElementById('product-detail');
+  if (!container) return;
+
+  const stock = getStockStatus(product);
+
+  container.innerHTML = `
+    <nav aria-label="breadcrumb">
+      <ol class="breadcrumb">
+        <li class="breadcrumb-item"><a href="index.html">Home</a></li>
+        <li class="breadcrumb-item"><a href="products.html">Products</a></li>
+        <li class="breadcrumb-item"><a href="products.html?category=${encodeURIComponent(product.category)}">${product.category}</a></li>
+        <li class="breadcrumb-item active" aria-current="page">${product.name}</li>
+      </ol>
+    </nav>
+    <div class="row g-5">
+      <div class="col-lg-6">
+        ${renderProductGallery(product)}
+      </div>
+      <div class="col-lg-6">
+        <span class="badge bg-darktech mb-2">${product.category}</span>
+        <h1 class="h2 mb-3">${product.name}</h1>
+        <p class="text-muted">${product.description || ''}</p>
+        ${renderProductPriceBreakdown(product)}
+        <div class="mb-3 ${stock.className}">
+          <i class="bi ${stock.icon}"></i> ${stock.label}
+          ${stock.code === 'backorder' ? '<div class="small text-muted">Order now - ships when back in stock</div>' : ''}
+        </div>
+        <div class="d-flex align-items-center gap-2 mb-4">
+          <label for="product-quantity" class="visually-hidden">Quantity</label>
+          <input id="product-quantity" type="number" class="form-control product-quantity" value="1" min="1" ${Number.isFinite(stock.available) ? `max="${Math.max(stock.available, 1)}"` : ''} ${stock.canBuy ? '' : 'disabled'}>
+          <button class="btn btn-neon add-to-cart-btn" data-id="${product.id}" data-quantity-input="product-quantity" ${stock.canBuy ? '' : 'disabled'}>${stock.canBuy ? 'Add to Cart' : 'Out of stock'}</button>
+        </div>
+        <div class="mb-4">${renderCompareToggle(product.id, 'detail')}</div>
+        <h2 class="h5">Specifications</h2>
+        ${renderSpecTable(product)}
+      </div>
+    </div>
+  `;
+
+  // Thumbnails swap the main image
+  container.querySelectorAll('.product-thumbnail').forEach(thumbnail => {
+    thumbnail.addEventListener('click', () => {
+      document.getElementById('product-main-image').src = thumbnail.dataset.image;
+      container.querySelectorAll('.product-thumbnail').forEach(other => other.classList.toggle('active', other === thumbnail));
+    });
+  });
+
+  const related = getRelatedProducts(product, products);
+  const relatedContainer = document.getElementById('related-products');
+  const relatedSection = document.getElementById('related-section');
+  if (relatedContainer) relatedContainer.innerHTML = related.map(p => renderProductCard(p)).join('');
+  if (relatedSection) relatedSection.hidden = related.length === 0;
+}
+
+/**
+ * Sets up the product detail page (product.html?id=<product ID>)
+ * Unknown or missing IDs show a "not found" message with a link back to the products page
+ */
+function setupProductPage() {
+  const container = document.getElementById('product-detail');
+  if (!container) return;
+
+  const productId = new URLSearchParams(window.location.search).get('id');
+  const showNotFound = () => {
+    document.title = 'Product not found — TechOps';
+    container.innerHTML = `
+      <div class="text-center py-5">
+        <i class="bi bi-exclamation-circle display-4 text-muted"></i>
+        <p class="mt-3">We couldn't find that product. It may have been removed from the catalog.</p>
+        <a href="products.html" class="btn btn-outline-neon">Browse Products</a>
+      </div>`;
+  };
+
+  if (!productId) {
+    showNotFound();
+    return;
+  }
+
+  loadCatalogWithPromotions()
+    .then(products => {
+      const product = products.find(p => p.id === productId);
+      if (!product) {
+        showNotFound();
+        return;
+      }
+      document.title = `${product.name} — TechOps`;
+      renderProductDetail(product, products);
+    })
+    .catch(err => {
+      console.error('Error loading product:', err);
+      container.innerHTML = '<div class="alert alert-danger">We could not load this product. Please try again.</div>';
+    });
+}
+
+// ======================
+// PRODUCT COMPARISON
+// ======================
+
+/**
+ * Loads the comparison list from localStorage
+ * Gracefully handles missing or corrupted data
+ */
+function loadCompareList() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('compareList') || '[]');
+    compareList = Array.isArray(stored) ? stored.filter(id => typeof id === 'string').slice(0, COMPARE_LIMIT) : [];
+  } catch (error) {
+    console.warn('Failed to load comparison list from storage:', error);
+    compareList = [];
+  }
+}
+
+/**
+ * Saves the comparison list to localStorage
+ */
+function saveCompareList() {
+  try {
+    localStorage.setItem('compareList', JSON.stringify(compareList));
+  } catch (error) {
+    console.error('Failed to save comparison list to storage:', error);
+  }
+}
+
+/**
+ * Builds the link to the comparison page
+ * 
+ * @param {Array<string>} productIds - Products to compare, in column order
+ * @returns {string} Relative URL, e.g. "compare.html?ids=alienware-m16,macbook-pro-16-m2-max"
+ */
+function compareUrl(productIds) {
+  return `compare.html?ids=${productIds.map(encodeURIComponent).join(',')}`;
+}
+
+/**
+ * Generates the "Compare" checkbox for a product
+ * 
+ * @param {string} productId - Product ID
+ * @param {string} [context='card'] - Keeps checkbox IDs unique when a product appears twice on a page
+ * @returns {string} Checkbox HTML
+ */
+function renderCompareToggle(productId, context = 'card') {
+  const inputId = `compare-${context}-${productId}`;
+  return `
+    <div class="form-check compare-toggle mt-2">
+      <input class="form-check-input compare-checkbox" type="checkbox" id="${inputId}" data-id="${productId}" ${compareList.includes(productId) ? 'checked' : ''}>
+      <label class="form-check-label small" for="${inputId}">Compare</label>
+    </div>`;
+}
+
+/**
+ * Adds a product to the comparison or removes it
+ * 
+ * @param {string} productId - Product ID
+ * @param {boolean} selected - Whether the product should be compared
+ * @returns {boolean} False when the product could not be added because the list is full
+ */
+function setCompared(productId, selected) {
+  loadCompareList();
+  const index = compareList.indexOf(productId);
+  if (selected && index === -1) {
+    if (compareList.length >= COMPARE_LIMIT) return false;
+    compareList.push(productId);
+  } else if (!selected && index !== -1) {
+    compareList.splice(index, 1);
+  }
+  saveCompareList();
+  return true;
+}
+
+/**
+ * Renders the comparison tray pinned to the bottom of the page
+ * Hidden while nothing is ticked
+ * 
+ * @param {string} [message] - Notice shown in the tray (e.g. when the list is full)
+ */
+function renderCompareTray(message = '') {
+  const tray = document.getElementById('compare-tray');
+  if (!tray) return;
+
+  // Keep every checkbox on the page in step with the list
+  document.querySelectorAll('.compare-checkbox').forEach(checkbox => {
+    checkbox.checked = compareList.includes(checkbox.dataset.id);
+  });
+
+  if (compareList.length === 0) {
+    tray.hidden = true;
+    tray.innerHTML = '';
+    document.body.classList.remove('has-compare-tray');
+    return;
+  }
+
+  loadCatalogWithPromotions()
+    .then(products => {
+      const selected = compareList.map(id => products.find(p => p.id === id)).filter(Boolean);
+      tray.hidden = selected.length === 0;
+      document.body.classList.toggle('has-compare-tray', !tray.hidden);
+      tray.innerHTML = `
+        <div class="container d-flex flex-wrap align-items-center gap-3">
+          <strong>Compare (${selected.length}/${COMPARE_LIMIT})</strong>
+          ${selected.map(product => `
+            <div class="compare-tray-item d-flex align-items-center gap-2">
+              <img src="${product.image || 'images/default.svg'}" alt="" onerror="this.src='images/default.svg'">
+              <span class="small">${product.name}</span>
+              <button type="button" class="btn-close btn-sm compare-remove" data-id="${product.id}" aria-label="Remove ${product.name} from comparison"></button>
+            </div>`).join('')}
+          <div class="ms-auto d-flex align-items-center gap-2">
+            ${message ? `<span class="small text-danger" role="alert">${message}</span>` : ''}
+            <button type="button" class="btn btn-outline-secondary btn-sm compare-clear">Clear</button>
+            <a href="${compareUrl(selected.map(product => product.id))}" class="btn btn-neon btn-sm ${selected.length < 2 ? 'disabled' : ''}" ${selected.length < 2 ? 'aria-disabled="true" tabindex="-1"' : ''}>Compare</a>
+          </div>
+        </div>`;
+    })
+    .catch(err => console.error('Error loading comparison tray:', err));
+}
+
+/**
+ * Sets up the "Compare" checkboxes and the comparison tray
+ * Not used on the Vue pages (checkout, contact, orders) or on the compare page itself
+ */
+function setupCompare() {
+  if (document.getElementById('app') || document.getElementById('compare-page')) return;
+
+  const tray = document.createElement('div');
+  tray.id = 'compare-tray';
+  tray.className = 'compare-tray';
+  tray.setAttribute('aria-live', 'polite');
+  tray.hidden = true;
+  document.body.appendChild(tray);
+
+  document.addEventListener('change', function(e) {
+    if (!e.target.classList.contains('compare-checkbox')) return;
+    const added = setCompared(e.target.dataset.id, e.target.checked);
+    renderCompareTray(added ? '' : `You can compare up to ${COMPARE_LIMIT} products. Remove one first.`);
+  });
+
+  tray.addEventListener('click', function(e) {
+    if (e.target.classList.contains('compare-remove')) {
+      setCompared(e.target.dataset.id, false);
+      renderCompareTray();
+    } else if (e.target.classList.contains('compare-clear')) {
+      compareList = [];
+      saveCompareList();
+      renderCompareTray();
+    }
+  });
+
+  renderCompareTray();
+}
+
+/**
+ * Renders the side-by-side comparison table
+ * Rows whose values differ between products are highlighted; they can also be shown on their own
+ * 
+ * @param {Array<Object>} products - Products to compare, in column order
+ * @param {boolean} differencesOnly - Whether to hide rows where every product has the same value
+ */
+function renderCompareTable(products, differencesOnly) {
+  const container = document.getElementById('compare-table');
+  if (!container) return;
+
+  const prices = products.map(product => `$${Promotions.priceProduct(product).price.toFixed(2)}`);
+  const categories = products.map(product => product.category);
+  const rows = [
+    { label: 'Price', values: prices, differs: new Set(prices).size > 1 },
+    { label: 'Category', values: categories, differs: new Set(categories).size > 1 },
+    ...ProductSpecs.compare(products).rows
+  ].filter(row => !differencesOnly || row.differs);
+
+  container.innerHTML = `
+    <div class="table-responsive">
+      <table class="table align-middle compare-table">
+        <thead>
+          <tr>
+            <th scope="col"><span class="visually-hidden">Specification</span></th>
+            ${products.map(product => `
+              <th scope="col" class="text-center">
+                <a href="${productUrl(product.id)}" class="product-link">
+                  <img src="${product.image || 'images/default.svg'}" alt="" class="compare-image mb-2" onerror="this.src='images/default.svg'">
+                  <div>${product.name}</div>
+                </a>
+                <div class="d-flex justify-content-center gap-2 mt-2">
+                  ${renderAddToCartButton(product)}
+                  <button type="button" class="btn btn-outline-secondary btn-sm compare-remove" data-id="${product.id}" aria-label="Remove ${product.name} from comparison">
+                    <i class="bi bi-x-lg"></i>
+                  </button>
+                </div>
+              </th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr class="${row.differs ? 'spec-diff' : ''}">
+              <th scope="row">${row.label}</th>
+              ${row.values.map(value => `<td class="text-center">${value}</td>`).join('')}
+            </tr>`).join('')}
+          ${rows.length === 0 ? `<tr><td colspan="${products.length + 1}" class="text-center text-muted">These products have the same specifications.</td></tr>` : ''}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * Sets up the comparison page (compare.html?ids=<id>,<id>,...)
+ * Without `ids` the page compares the products ticked in the tray
+ * The URL is kept in step with the compared products so the view can be shared
+ */
+function setupComparePage() {
+  const page = document.getElementById('compare-page');
+  if (!page) return;
+
+  loadCompareList();
+  const idsParam = new URLSearchParams(window.location.search).get('ids');
+  let productIds = (idsParam ? idsParam.split(',') : compareList)
+    .map(id => id.trim())
+    .filter((id, index, all) => id && all.indexOf(id) === index)
+    .slice(0, COMPARE_LIMIT);
+
+  const differencesToggle = document.getElementById('compare-differences-only');
+  const emptyMessage = document.getElementById('compare-empty');
+
+  const render = () => loadCatalogWithPromotions()
+    .then(products => {
+      const selected = productIds.map(id => products.find(p => p.id === id)).filter(Boolean);
+      const enough = selected.length >= 2;
+      if (emptyMessage) emptyMessage.hidden = enough;
+      if (differencesToggle) differencesToggle.closest('.form-check').hidden = !enough;
+      if (enough) {
+        renderCompareTable(selected, differencesToggle ? differencesToggle.checked : false);
+      } else {
+        document.getElementById('compare-table').innerHTML = '';
+      }
+    })
+    .catch(err => {
+      console.error('Error loading comparison:', err);
+      document.getElementById('compare-table').innerHTML = '<div class="alert alert-danger">We could not load these products. Please try again.</div>';
+    });
+
+  if (differencesToggle) differencesToggle.addEventListener('change', render);
+
+  page.addEventListener('click', function(e) {
+    const removeButton = e.target.closest('.compare-remove');
+    if (!removeButton) return;
+    const productId = removeButton.dataset.id;
+    productIds = productIds.filter(id => id !== productId);
+    setCompared(productId, false);
+    history.replaceState(null, '', compareUrl(productIds));
+    render();
+  });
+
+  render();
+}
+
+// ======================
+// WISHLIST
+// ======================
+
+/**
+ * Generates the heart button that saves a product to the wishlist (Wishlist, localStorage `wishlist`)
+ * 
+ * @param {Object} product - Catalog product
+ * @returns {string} Button HTML
+ */
+function renderWishlistToggle(product) {
+  const saved = Wishlist.has(product.id);
+  return `<button type="button" class="wishlist-toggle position-absolute top-0 start-0 m-2 ${saved ? 'saved' : ''}" data-id="${product.id}" aria-pressed="${saved}" aria-label="Save ${escapeHtml(product.name)} to wishlist" title="Save to wishlist"><i class="bi ${saved ? 'bi-heart-fill' : 'bi-heart'}"></i></button>`;
+}
+
+/**
+ * Keeps every heart on the page in step with the wishlist
+ */
+function syncWishlistToggles() {
+  const savedIds = Wishlist.load().map(entry => entry.id);
+  document.querySelectorAll('.wishlist-toggle').forEach(button => {
+    const saved = savedIds.includes(button.dataset.id);
+    button.classList.toggle('saved', saved);
+    button.setAttribute('aria-pressed', String(saved));
+    button.querySelector('i').className = `bi ${saved ? 'bi-heart-fill' : 'bi-heart'}`;
+  });
+}
+
+/**
+ * Builds the "price dropped since you saved it" indicator for a saved product
+ * 
+ * @param {Object} entry - Wishlist entry
+ * @param {Object} product - Catalog product
+ * @returns {string} HTML indicator, or an empty string if the price is unchanged
+ */
+function renderWishlistPriceChange(entry, product) {
+  const change = Wishlist.priceChange(entry, product);
+  if (change.direction === 'same') return '';
+  const dropped = change.direction === 'down';
+  return `
+    <div class="small ${dropped ? 'text-success price-drop' : 'text-muted'} wishlist-price-change">
+      <i class="bi ${dropped ? 'bi-arrow-down-circle' : 'bi-arrow-up-circle'}"></i>
+      ${Wishlist.describeChange(change)} (was $${change.savedPrice.toFixed(2)})
+    </div>
+  `;
+}
+
+/**
+ * Generates the "Saved for later" list shown below the cart in the cart modal
+ * 
+ * @param {Array<Object>} products - Catalog
+ * @returns {string} HTML, or an empty string when nothing is saved
+ */
+function renderSavedForLater(products) {
+  const entries = Wishlist.load();
+  if (entries.length === 0) return '';
+
+  const itemsHTML = entries.map(entry => {
+    const product = products.find(p => p.id === entry.id);
+    const id = entry.id.replace(/'/g, "\\'");
+    const removeButton = `
+      <button class="btn btn-outline-danger btn-sm" onclick="removeFromWishlist('${id}')" style="padding: 0.2rem 0.5rem;" aria-label="Remove ${escapeHtml(entry.name)} from saved items">
+        <i class="bi bi-trash"></i>
+      </button>`;
+    if (!product) {
+      return `
+        <div class="d-flex justify-content-between align-items-center mb-3 pb-3 border-bottom">
+          <div>
+            <strong>${escapeHtml(entry.name)}</strong>
+            <div class="small text-muted">No longer available</div>
+          </div>
+          ${removeButton}
+        </div>
+      `;
+    }
+    return `
+      <div class="d-flex justify-content-between align-items-start mb-3 pb-3 border-bottom">
+        <div class="flex-grow-1">
+          <strong>${escapeHtml(product.name)}</strong>
+          ${renderWishlistPriceChange(entry, product)}
+          <div>${renderStockBadge(product)}</div>
+          <div class="d-flex align-items-center gap-2 mt-2">
+            <button class="btn btn-outline-neon btn-sm" onclick="moveToCart('${id}')" ${Inventory.status(product).canBuy ? '' : 'disabled'}>Move to cart</button>
+            ${removeButton}
+          </div>
+        </div>
+        <div class="text-end fw-bold">$${Promotions.priceProduct(product).price.toFixed(2)}</div>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="saved-for-later mt-4">
+      <div class="d-flex justify-content-between align-items-center mb-3">
+        <h6 class="mb-0"><i class="bi bi-heart"></i> Saved for later (${entries.length})</h6>
+        <a href="wishlist.html" class="small">View wishlist</a>
+      </div>
+      ${itemsHTML}
+    </div>
+  `;
+}
+
+/**
+ * Re-renders everything on the page that shows the wishlist:
+ * the hearts, the cart modal (when open) and the wishlist page
+ */
+function refreshWishlistViews() {
+  syncWishlistToggles();
+  const cartModal = document.getElementById('cartModal');
+  if (cartModal && cartModal.classList.contains('show')) showCart();
+  renderWishlistPage();
+}
+
+/**
+ * Saves a product to the wishlist at its current price, or removes it when it is already saved
+ * 
+ * @param {string} productId - Product ID
+ * @returns {Promise<boolean>} True when the product is now saved
+ */
+function toggleWishlist(productId) {
+  return Promise.all([Catalog.getById(productId), Promotions.load()])
+    .then(([product]) => {
+      if (!product) return false;
+      const saved = Wishlist.toggle(product);
+      refreshWishlistViews();
+      return saved;
+    });
+}
+
+/**
+ * Moves a cart line to the wishlist ("Save for later")
+ * The product is saved at its current price, so later price drops can be shown
+ * 
+ * @param {string} productId - ID of the cart line's product
+ * @returns {Promise<void>}
+ */
+function saveForLater(productId) {
+  return Promise.all([Catalog.getById(productId), Promotions.load()])
+    .then(([product]) => {
+      if (product) Wishlist.add(product);
+      cart = cart.filter(item => item.id !== productId);
+      saveCartToStorage();
+      refreshWishlistViews();
+    })
+    .catch(err => console.error('Error saving for later:', err));
+}
+
+/**
+ * Moves a saved product to the cart (one unit) and off the wishlist
+ * The product stays saved when it cannot be added (e.g. out of stock)
+ * 
+ * @param {string} productId - Product ID
+ * @returns {Promise<number>} Units added to the cart
+ */
+function moveToCart(productId) {
+  return addToCart(productId, null)
+    .then(added => {
+      if (added > 0) Wishlist.remove(productId);
+      refreshWishlistViews();
+      return added;
+    });
+}
+
+/**
+ * Removes a product from the wishlist
+ * 
+ * @param {string} productId - Product ID
+ */
+function removeFromWishlist(productId) {
+  Wishlist.remove(productId);
+  refreshWishlistViews();
+}
+
+/**
+ * Renders the saved products on the wishlist page with their current price,
+ * availability and how the price moved since they were saved
+ */
+function renderWishlistPage() {
+  const container = document.getElementById('wishlist-items');
+  if (!container) return;
+
+  const entries = Wishlist.load();
+  document.getElementById('wishlist-empty').hidden = entries.length > 0;
+  if (entries.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  loadCatalogWithPromotions()
+    .then(products => {
+      container.innerHTML = entries.map(entry => {
+        const product = products.find(p => p.id === entry.id);
+        const savedDate = `Saved ${new Date(entry.savedAt).toLocaleDateString()}`;
+        const removeButton = `
+          <button type="button" class="btn btn-outline-secondary btn-sm wishlist-remove" data-id="${entry.id}" aria-label="Remove ${escapeHtml(entry.name)} from wishlist">
+            <i class="bi bi-trash"></i>
+          </button>`;
+        if (!product) {
+          return `
+            <div class="col-sm-6 col-lg-4 col-xl-3">
+              <div class="card card-tech h-100">
+                <div class="card-body d-flex flex-column">
+                  <h5 class="card-title">${escapeHtml(entry.name)}</h5>
+                  <div class="small text-muted mb-2">${savedDate}</div>
+                  <p class="text-muted flex-grow-1">No longer available</p>
+                  <div>${removeButton}</div>
+                </div>
+              </div>
+            </div>`;
+        }
+        const canBuy = Inventory.status(product).canBuy;
+        return `
+          <div class="col-sm-6 col-lg-4 col-xl-3">
+            <div class="card card-tech h-100">
+              <a href="${productUrl(product.id)}" class="product-link">
+                <img src="${product.image || 'images/default.svg'}" class="card-img-top" alt="${escapeHtml(product.name)}" onerror="this.src='images/default.svg'">
+              </a>
+              <div class="card-body d-flex flex-column">
+                <h5 class="card-title"><a href="${productUrl(product.id)}" class="product-link">${escapeHtml(product.name)}</a></h5>
+                <div class="small text-muted mb-2">${savedDate}</div>
+                <div class="price mb-1">$${Promotions.priceProduct(product).price.toFixed(2)}</div>
+                ${renderWishlistPriceChange(entry, product)}
+                <div class="mb-3">${renderStockBadge(product)}</div>
+                <div class="d-flex gap-2 mt-auto">
+                  <button type="button" class="btn btn-neon btn-sm wishlist-move" data-id="${product.id}" ${canBuy ? '' : 'disabled'}>${canBuy ? 'Move to cart' : 'Out of stock'}</button>
+                  ${removeButton}
+                </div>
+              </div>
+            </div>
+          </div>`;
+      }).join('');
     })
     .catch(err => {
-      console.error('Error loading carousel products:', err);
-      document.getElementById('featuredProductsCarousel').style.display = 'none';
-      document.getElementById('featured-products').style.display = 'block';
-      renderProducts('featured-products', 4);
+      console.error('Error loading wishlist:', err);
+      container.innerHTML = '<div class="alert alert-danger">We could not load your wishlist. Please try again.</div>';
     });
 }
 
+/**
+ * Sets up the wishlist hearts on product cards and carousel items
+ */
+function setupWishlist() {
+  document.addEventListener('click', function(e) {
+    const button = e.target.closest('.wishlist-toggle');
+    if (!button) return;
+    e.preventDefault();
+    toggleWishlist(button.dataset.id).catch(err => console.error('Error updating wishlist:', err));
+  });
+}
+
+/**
+ * Sets up the wishlist page (wishlist.html): "Move to cart" and remove buttons
+ */
+function setupWishlistPage() {
+  const page = document.getElementById('wishlist-page');
+  if (!page) return;
+
+  const status = document.getElementById('wishlist-status');
+
+  page.addEventListener('click', function(e) {
+    const moveButton = e.target.closest('.wishlist-move');
+    const removeButton = e.target.closest('.wishlist-remove');
+    if (moveButton) {
+      const entry = Wishlist.get(moveButton.dataset.id);
+      moveButton.disabled = true;
+      moveToCart(moveButton.dataset.id).then(added => {
+        status.hidden = added === 0;
+        status.textContent = added && entry ? `${entry.name} was moved to your cart.` : '';
+      });
+    } else if (removeButton) {
+      status.hidden = true;
+      removeFromWishlist(removeButton.dataset.id);
+    }
+  });
+
+  renderWishlistPage();
+}
+
 // ======================
 // SEARCH FUNCTIONALITY
 // ======================
 
 /**
- * Enhanced search function that searches across multiple product fields
- * Performs case-insensitive partial matching on name, description, and category
+ * Searches products by name, brand, category and description, best match first
+ * Tolerates typos and knows common synonyms (SearchIndex, search-index.js)
  * Returns all products if search term is empty
  * 
  * @param {Array} products - Array of product objects to search through
  * @param {string} searchTerm - Search query string (case-insensitive)
- * @returns {Array} Filtered array of products matching the search term
+ * @returns {Array} Products matching the search term, most relevant first
  */
 function searchProducts(products, searchTerm) {
-  const term = searchTerm.toLowerCase().trim();
-  if (!term) return products;
-  
-  return products.filter(product => {
-    // Search in product name
-    const nameMatch = product.name && product.name.toLowerCase().includes(term);
-    
-    // Search in product description
-    const descriptionMatch = product.description && product.description.toLowerCase().includes(term);
-    
-    // Search in product category
-    const categoryMatch = product.category && product.category.toLowerCase().includes(term);
-    
-    // Return true if any field matches
-    return nameMatch || descriptionMatch || categoryMatch;
-  });
+  if (!searchTerm.trim()) return products;
+  return SearchIndex.search(products, searchTerm).map(result => result.product);
 }
 
 /**
- * Sets up search form event handlers for all pages
- * Handles form submission and redirects to products page with search parameters
- * Supports search forms on homepage, products page, and contact page
+ * Builds the products page URL for a search
+ * 
+ * @param {string} term - Search text ('' for all products)
+ * @param {string} [category] - Category to filter by
+ * @returns {string} Relative URL, e.g. products.html?q=rtx&category=Components
  */
-function setupSearch() {
-  const searchForm = document.getElementById('searchForm');
-  const searchFormProducts = document.getElementById('searchFormProducts');
-  const searchFormContact = document.getElementById('searchFormContact');
-  
-  if (searchForm) {
-    searchForm.addEventListener('submit', function(e) {
-      e.preventDefault();
-      const term = document.getElementById('searchInput').value.trim();
-      const url = new URL(window.location.origin + '/products.html');
-      if (term) url.searchParams.set('q', term);
-      window.location.href = url.pathname + url.search;
-    });
+function searchUrl(term, category = '') {
+  const params = new URLSearchParams();
+  if (term) params.set('q', term);
+  if (category) params.set('category', category);
+  const query = params.toString();
+  return `products.html${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Restores recent searches from localStorage
+ */
+function loadRecentSearches() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('recentSearches') || '[]');
+    recentSearches = Array.isArray(stored) ? stored.filter(term => typeof term === 'string' && term.trim()).slice(0, RECENT_SEARCHES_LIMIT) : [];
+  } catch (error) {
+    console.warn('Failed to load recent searches from storage:', error);
+    recentSearches = [];
   }
+}
 
-  if (searchFormProducts) {
-    searchFormProducts.addEventListener('submit', function(e) {
-      e.preventDefault();
-      const term = document.getElementById('searchInputProducts').value.trim();
-      fetch('products-data.json')
-        .then(res => res.json())
-        .then(products => {
-          const filtered = searchProducts(products, term);
-          const container = document.getElementById('products');
-          if (container) {
-            container.innerHTML = filtered.length
-              ? filtered.map((p,i)=>renderProductCard(p,i)).join('')
-              : '<div class="col-12"><div class="alert alert-warning">No products found matching your search.</div></div>';
-          }
-        });
-    });
+/**
+ * Persists recent searches to localStorage
+ */
+function saveRecentSearches() {
+  try {
+    localStorage.setItem('recentSearches', JSON.stringify(recentSearches));
+  } catch (error) {
+    console.error('Failed to save recent searches to storage:', error);
+  }
+}
+
+/**
+ * Puts a search term at the top of the recent searches (case-insensitive duplicates are dropped)
+ * 
+ * @param {string} term - Search text
+ */
+function addRecentSearch(term) {
+  const value = (term || '').trim();
+  if (!value) return;
+  recentSearches = [value]
+    .concat(recentSearches.filter(recent => recent.toLowerCase() !== value.toLowerCase()))
+    .slice(0, RECENT_SEARCHES_LIMIT);
+  saveRecentSearches();
+}
+
+/**
+ * Lists the suggestions for a search box
+ * An empty query lists recent searches; otherwise the best matching products,
+ * the categories they belong to and a "Search for ..." entry
+ * 
+ * @param {string} query - Text typed so far
+ * @param {Array<Object>} products - Catalog products
+ * @returns {Array<Object>} Entries: { type: 'heading', label } or an option
+ *   ({ type: 'product', product }, { type: 'category', category, count }, { type: 'search', term },
+ *   { type: 'recent', term }, { type: 'clear-recent' })
+ */
+function buildSearchSuggestions(query, products) {
+  const term = query.trim();
+  if (!term) {
+    if (!recentSearches.length) return [];
+    return [{ type: 'heading', label: 'Recent searches' }]
+      .concat(recentSearches.map(recent => ({ type: 'recent', term: recent })))
+      .concat({ type: 'clear-recent' });
+  }
+
+  const results = SearchIndex.search(products, term);
+  const entries = [];
+  if (results.length) {
+    entries.push({ type: 'heading', label: 'Products' });
+    results.slice(0, SUGGESTION_LIMIT).forEach(result => entries.push({ type: 'product', product: result.product }));
+
+    const categories = new Map();
+    results.forEach(result => categories.set(result.product.category, (categories.get(result.product.category) || 0) + 1));
+    entries.push({ type: 'heading', label: 'Categories' });
+    Array.from(categories)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([category, count]) => entries.push({ type: 'category', category, count }));
+  } else {
+    entries.push({ type: 'heading', label: 'No matching products' });
   }
+  entries.push({ type: 'search', term });
+  return entries;
+}
+
+/**
+ * Generates the suggestion list items
+ * Options get ids `${listId}-${index}`, where index counts options only (not headings)
+ * 
+ * @param {Array<Object>} entries - Result of buildSearchSuggestions()
+ * @param {string} query - Text typed so far (highlighted in product names)
+ * @param {string} listId - ID of the listbox
+ * @returns {string} List items HTML
+ */
+function renderSearchSuggestions(entries, query, listId) {
+  let index = -1;
+  return entries.map(entry => {
+    if (entry.type === 'heading') {
+      return `<li role="presentation" class="search-suggestions-heading">${escapeHtml(entry.label)}</li>`;
+    }
+
+    index += 1;
+    const attributes = `id="${listId}-${index}" role="option" aria-selected="false" class="search-suggestion" data-index="${index}"`;
+    if (entry.type === 'product') {
+      const product = entry.product;
+      return `
+        <li ${attributes}>
+          <img src="${product.image || 'images/default.svg'}" alt="" class="search-suggestion-thumb" onerror="this.src='images/default.svg'">
+          <span class="search-suggestion-label">${SearchIndex.highlight(product.name, query)}</span>
+          <span class="search-suggestion-price">$${Promotions.priceProduct(product).price.toFixed(2)}</span>
+        </li>`;
+    }
+    if (entry.type === 'category') {
+      return `
+        <li ${attributes}>
+          <i class="bi bi-grid search-suggestion-icon" aria-hidden="true"></i>
+          <span class="search-suggestion-label">"${escapeHtml(query.trim())}" in <strong>${escapeHtml(entry.category)}</strong></span>
+          <span class="search-suggestion-count">${entry.count}</span>
+        </li>`;
+    }
+    if (entry.type === 'recent') {
+      return `
+        <li ${attributes}>
+          <i class="bi bi-clock-history search-suggestion-icon" aria-hidden="true"></i>
+          <span class="search-suggestion-label">${escapeHtml(entry.term)}</span>
+        </li>`;
+    }
+    if (entry.type === 'clear-recent') {
+      return `<li ${attributes}><span class="search-suggestion-label text-muted small">Clear recent searches</span></li>`;
+    }
+    return `
+      <li ${attributes}>
+        <i class="bi bi-search search-suggestion-icon" aria-hidden="true"></i>
+        <span class="search-suggestion-label">Search for "<strong>${escapeHtml(entry.term)}</strong>"</span>
+      </li>`;
+  }).join('');
+}
+
+/**
+ * Turns a navbar search input into an autocomplete combobox (WAI-ARIA combobox with a listbox popup)
+ * Arrow keys move through the suggestions, Enter picks one, Escape closes the list.
+ * Products open their page, categories open the filtered products page, and
+ * recent searches and "Search for ..." submit the form (the full search).
+ * The catalog is loaded the first time the input is used.
+ * 
+ * @param {HTMLFormElement} form - Search form
+ * @param {HTMLInputElement} input - Its search input
+ */
+function setupSearchSuggestions(form, input) {
+  const listId = `${input.id}-suggestions`;
+  const list = document.createElement('ul');
+  list.id = listId;
+  list.className = 'search-suggestions list-unstyled';
+  list.setAttribute('role', 'listbox');
+  list.setAttribute('aria-label', 'Search suggestions');
+  list.hidden = true;
+
+  const status = document.createElement('span');
+  status.className = 'visually-hidden';
+  status.setAttribute('role', 'status');
+
+  form.classList.add('search-combobox');
+  form.append(list, status);
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', listId);
+  input.setAttribute('autocomplete', 'off');
+
+  let catalog = null;
+  let catalogRequest = null;
+  let options = [];
+  let active = -1;
+
+  const close = () => {
+    list.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    active = -1;
+  };
+
+  const setActive = (index) => {
+    active = index;
+    list.querySelectorAll('[role="option"]').forEach(option => {
+      const selected = Number(option.dataset.index) === index;
+      option.classList.toggle('active', selected);
+      option.setAttribute('aria-selected', selected ? 'true' : 'false');
+      if (selected) option.scrollIntoView({ block: 'nearest' });
+    });
+    if (index >= 0) input.setAttribute('aria-activedescendant', `${listId}-${index}`);
+    else input.removeAttribute('aria-activedescendant');
+  };
+
+  const open = () => {
+    const query = input.value;
+    const entries = buildSearchSuggestions(query, catalog || []);
+    options = entries.filter(entry => entry.type !== 'heading');
+    if (!entries.length || (!catalog && query.trim())) {
+      close();
+      return;
+    }
+    list.innerHTML = renderSearchSuggestions(entries, query, listId);
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    setActive(-1);
+    const productCount = options.filter(option => option.type === 'product').length;
+    status.textContent = query.trim()
+      ? `${productCount} product suggestion${productCount === 1 ? '' : 's'}`
+      : `${recentSearches.length} recent search${recentSearches.length === 1 ? '' : 'es'}`;
+  };
+
+  const loadCatalog = () => {
+    if (!catalogRequest) {
+      catalogRequest = loadCatalogWithPromotions()
+        .then(products => {
+          catalog = products;
+          if (document.activeElement === input) open();
+        })
+        .catch(err => console.error('Error loading search suggestions:', err));
+    }
+  };
+
+  const choose = (option) => {
+    const query = input.value.trim();
+    if (option.type === 'product') {
+      addRecentSearch(query);
+      window.location.href = productUrl(option.product.id);
+    } else if (option.type === 'category') {
+      addRecentSearch(query);
+      window.location.href = searchUrl(query, option.category);
+    } else if (option.type === 'clear-recent') {
+      recentSearches = [];
+      saveRecentSearches();
+      close();
+    } else {
+      input.value = option.term;
+      close();
+      form.requestSubmit();
+    }
+  };
+
+  input.addEventListener('focus', () => {
+    loadCatalog();
+    open();
+  });
+
+  input.addEventListener('input', () => {
+    loadCatalog();
+    open();
+  });
+
+  input.addEventListener('blur', close);
+
+  input.addEventListener('keydown', function(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (list.hidden) {
+        open();
+        return;
+      }
+      if (!options.length) return;
+      // Cycles through the options and back to the input itself (-1)
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((active + 1 + step + options.length + 1) % (options.length + 1) - 1);
+    } else if (e.key === 'Enter' && !list.hidden && active >= 0) {
+      e.preventDefault();
+      choose(options[active]);
+    } else if (e.key === 'Escape' && !list.hidden) {
+      e.preventDefault();
+      close();
+    }
+  });
+
+  // Keep focus in the input while clicking a suggestion
+  list.addEventListener('mousedown', e => e.preventDefault());
+
+  list.addEventListener('click', function(e) {
+    const option = e.target.closest('[role="option"]');
+    if (option) choose(options[Number(option.dataset.index)]);
+  });
+
+  form.addEventListener('submit', close);
+}
 
-  if (searchFormContact) {
-    searchFormContact.addEventListener('submit', function(e) {
+/**
+ * Sets up the navbar search forms on every page
+ * Each search box gets an autocomplete suggestions list (setupSearchSuggestions) and
+ * remembers submitted searches. Submitting goes to the products page with the query;
+ * the products page search is handled by setupProductFilters() so it combines with the active filters
+ */
+function setupSearch() {
+  loadRecentSearches();
+
+  const searchForms = [
+    { formId: 'searchForm', inputId: 'searchInput' },
+    { formId: 'searchFormProducts', inputId: 'searchInputProducts' },
+    { formId: 'searchFormProduct', inputId: 'searchInputProduct' },
+    { formId: 'searchFormCompare', inputId: 'searchInputCompare' },
+    { formId: 'searchFormWishlist', inputId: 'searchInputWishlist' },
+    { formId: 'searchFormContact', inputId: 'searchInputContact' },
+    { formId: 'searchFormCheckout', inputId: 'searchInputCheckout' },
+    { formId: 'searchFormConfirmation', inputId: 'searchInputConfirmation' },
+    { formId: 'searchFormOrders', inputId: 'searchInputOrders' }
+  ];
+
+  searchForms.forEach(({ formId, inputId }) => {
+    const form = document.getElementById(formId);
+    const input = document.getElementById(inputId);
+    if (!form || !input) return;
+
+    form.addEventListener('submit', function(e) {
+      const term = input.value.trim();
+      addRecentSearch(term);
+      if (formId === 'searchFormProducts') return;
       e.preventDefault();
-      const term = document.getElementById('searchInputContact').value.trim();
-      const url = new URL(window.location.origin + '/products.html');
-      if (term) url.searchParams.set('q', term);
-      window.location.href = url.pathname + url.search;
+      window.location.href = searchUrl(term);
     });
-  }
+
+    setupSearchSuggestions(form, input);
+  });
 }
 
 // ======================
@@ -897,26 +2583,31 @@ function setupCheckout() {
   renderCheckoutCart();
   updateCheckoutTotal();
 
+  // Shipping options are priced for the cart by the shared checkout core (see renderShippingSelect)
   const shippingSelect = document.getElementById('shipping-method');
   if (shippingSelect) {
     shippingSelect.addEventListener('change', updateCheckoutTotal);
   }
 
+  setupCheckoutPromoCode();
+
   const form = document.getElementById('checkout-form');
   if (!form) return;
 
-  const validators = {
-    name: (s) => !s.trim() ? 'Please enter your full name' : (s.trim().length < 2 ? 'Name must be at least 2 characters' : (!/^[a-zA-Z\s'-]+$/.test(s) ? 'Only letters, spaces, apostrophes, hyphens allowed' : null)),
-    email: (s) => !s.trim() ? 'Please enter your email' : (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s) ? 'Enter a valid email' : null),
-    mobile: (s) => !s.trim() ? 'Please enter your mobile number' : ((d => d.length < 8 || d.length > 15 ? 'Mobile must be 8–15 digits' : (!/^[\d\s+\-()]+$/.test(s) ? 'Contains invalid characters' : null))(s.replace(/\D/g, ''))),
-    address: (s) => !s.trim() ? 'Please enter your full address' : (s.trim().length < 5 ? 'Address looks too short' : null),
-    card: (s) => (d => d.length !== 16 ? 'Card number must be 16 digits' : null)(s.replace(/\D/g,'')),
-    expiry: (s) => !/^\d{2}\/\d{2}$/.test(s) ? 'Expiry must be MM/YY' : ((([mm, yy]) => mm < 1 || mm > 12 ? 'Invalid month' : (new Date(2000 + yy, mm) < new Date(new Date().getFullYear(), new Date().getMonth() + 1) ? 'Card is expired' : null))(s.split('/').map(x => parseInt(x,10)))),
-    cvv: (s) => !/^\d{3}$/.test(s) ? 'CVV must be 3 digits' : null,
-    cardname: (s) => !s.trim() ? 'Please enter the name on your card' : (s.trim().length < 2 ? 'Name on card looks too short' : (!/^[a-zA-Z\s'-]+$/.test(s) ? 'Only letters, spaces, apostrophes, hyphens allowed' : null))
+  // Input names in this form mapped to CheckoutCore's canonical field names
+  // Validation rules live in checkout-core.js so both checkouts agree
+  const fieldMap = {
+    name: 'name',
+    email: 'email',
+    mobile: 'mobile',
+    address: 'address',
+    card: 'cardNumber',
+    expiry: 'expiryDate',
+    cvv: 'cvv',
+    cardname: 'cardName'
   };
 
-  const fields = Object.keys(validators);
+  const fields = Object.keys(fieldMap);
   
   // Create error elements
   fields.forEach(fieldName => {
@@ -948,18 +2639,37 @@ function setupCheckout() {
     input.classList.add('is-valid');
   }
   
+  // Current values keyed by canonical field name, for cross-field rules (CVV length depends on the card brand)
+  function formValues() {
+    const values = {};
+    fields.forEach(field => {
+      if (form[field]) values[fieldMap[field]] = form[field].value;
+    });
+    return values;
+  }
+
   function validateField(name) {
     const value = form[name].value;
-    const err = validators[name](value);
+    const err = CheckoutCore.validateField(fieldMap[name], value, { data: formValues() });
     if (err) showError(name, err); else hideError(name);
     return !err;
   }
 
+  // Detected card brand shown under the card number
+  const brandLabel = document.createElement('div');
+  brandLabel.className = 'card-brand-label small text-muted mt-1';
+  form.card.insertAdjacentElement('afterend', brandLabel);
+
   // Live formatting and validation
   form.card.addEventListener('input', () => {
-    const digits = form.card.value.replace(/\D/g,'').slice(0,16);
-    form.card.value = digits.replace(/(\d{4})(?=\d)/g, '$1 ').trim();
+    const brand = CardUtils.detectBrand(form.card.value);
+    form.card.value = CardUtils.format(form.card.value);
+    form.card.maxLength = CardUtils.maxFormattedLength(form.card.value);
+    form.cvv.maxLength = CardUtils.cvvLength(form.card.value);
+    brandLabel.textContent = brand ? brand.name : '';
     validateField('card');
+    // A brand change can make an entered CVV valid or invalid
+    if (form.cvv.value) validateField('cvv');
   });
   
   form.expiry.addEventListener('input', () => {
@@ -970,7 +2680,7 @@ function setupCheckout() {
   });
   
   form.cvv.addEventListener('input', () => {
-    form.cvv.value = form.cvv.value.replace(/\D/g,'').slice(0,3);
+    form.cvv.value = form.cvv.value.replace(/\D/g,'').slice(0, CardUtils.cvvLength(form.card.value));
     validateField('cvv');
   });
 
@@ -999,9 +2709,79 @@ function setupCheckout() {
       return;
     }
 
-    successBox.innerHTML = `<div class="alert alert-success"><i class="bi bi-check-circle"></i> <strong>Payment Successful!</strong> Thank you, ${form.name.value.split(' ')[0]}.</div>`;
-    localStorage.removeItem('cart');
+    // Recheck prices against the catalog before charging; stop if anything changed
+    repriceCart().then(({ products, changes }) => {
+      if (changes.length > 0) {
+        successBox.innerHTML = '<div class="alert alert-warning"><i class="bi bi-exclamation-circle"></i> Some prices changed since you added them. Please review your order and submit again.</div>';
+        renderCheckoutCart();
+        updateCheckoutTotal();
+        return;
+      }
+      
+      // Recheck stock: lines that can't be fulfilled are reduced or removed, and the user reviews the order again
+      const stockCheck = Inventory.reconcileLines(cart, { products });
+      if (stockCheck.issues.length > 0) {
+        cart = stockCheck.lines;
+        saveCartToStorage();
+        successBox.innerHTML = `
+          <div class="alert alert-warning">
+            <i class="bi bi-exclamation-circle"></i> Some items can't be fulfilled, so your cart has been updated. Please review your order and submit again.
+            <ul class="mb-0 mt-2">${stockCheck.issues.map(issue => `<li>${escapeHtml(Inventory.describeIssue(issue))}</li>`).join('')}</ul>
+          </div>`;
+        renderCheckoutCart();
+        updateCheckoutTotal();
+        return;
+      }
+      
+      // Submit the same order record as the Vue checkout; only the card's last 4 digits are sent
+      const customer = {};
+      fields.forEach(field => {
+        customer[fieldMap[field]] = form[field].value;
+      });
+      const totals = CheckoutCore.calculateTotals(cart, { products, shippingMethod: shippingSelect?.value, couponCode: checkoutCouponCode });
+      
+      // Never place an order without the discount the shopper expects
+      if (totals.couponError) {
+        successBox.innerHTML = `<div class="alert alert-warning"><i class="bi bi-exclamation-circle"></i> Your promo code can't be used: ${escapeHtml(totals.couponError)}. Remove it or update your cart to continue.</div>`;
+        return;
+      }
+      
+      const submitBtn = form.querySelector('[type="submit"]');
+      if (submitBtn) submitBtn.disabled = true;
+      successBox.innerHTML = '<div class="alert alert-info"><i class="bi bi-arrow-repeat"></i> Placing your order...</div>';
+      
+      return OrderApi.createOrder(CheckoutCore.createOrder(customer, totals), { last4: form.card.value.replace(/\D/g, '').slice(-4) })
+        .then(order => {
+          // Single-use promo codes can't be used again in this browser
+          if (totals.coupon) Coupons.redeem(totals.coupon.code);
+          successBox.innerHTML = `<div class="alert alert-success"><i class="bi bi-check-circle"></i> <strong>Payment Successful!</strong> Thank you, ${escapeHtml(form.name.value.split(' ')[0])}. Your order number is <strong>${escapeHtml(order.orderNumber)}</strong>.</div>`;
+          clearCheckoutForm();
+          window.location.href = orderConfirmationUrl(order.orderNumber);
+        })
+        .catch(error => {
+          const message = error.code === 'card_declined' ? error.message : `We could not place your order: ${error.message}. Please try again.`;
+          successBox.innerHTML = `<div class="alert alert-danger"><i class="bi bi-x-circle"></i> ${escapeHtml(message)}</div>`;
+        })
+        .finally(() => {
+          if (submitBtn) submitBtn.disabled = false;
+        });
+    }).catch(error => {
+      // Totals, stock or order record failed before the order was sent
+      console.error('Failed to place order:', error);
+      const submitBtn = form.querySelector('[type="submit"]');
+      if (submitBtn) submitBtn.disabled = false;
+      successBox.innerHTML = `<div class="alert alert-danger"><i class="bi bi-x-circle"></i> We could not place your order: ${escapeHtml(error.message)}. Please try again.</div>`;
+    });
+  });
+  
+  /**
+   * Empties the cart and resets the form after a successful order
+   */
+  function clearCheckoutForm() {
+    CartSync.clear();
     cart = [];
+    updateCartCount();
+    checkoutCouponCode = '';
     renderCheckoutCart();
     updateCheckoutTotal();
     form.reset();
@@ -1011,9 +2791,82 @@ function setupCheckout() {
       const el = form[field]?.parentNode.querySelector('.checkout-error');
       if (el) el.style.display = 'none';
     });
+  }
+}
+
+/**
+ * Adds the promo code field above the checkout totals (vanilla checkout)
+ * A code is only applied when Coupons.evaluate() accepts it for the current cart
+ */
+function setupCheckoutPromoCode() {
+  const totalEl = document.getElementById('checkout-total');
+  if (!totalEl || document.getElementById('promo-code')) return;
+
+  // A div rather than a form: the totals may sit inside the checkout form
+  const promo = document.createElement('div');
+  promo.className = 'promo-code mb-3';
+  promo.innerHTML = `
+    <label for="promo-code" class="form-label small">Promo code</label>
+    <div class="input-group input-group-sm">
+      <input type="text" id="promo-code" class="form-control text-uppercase" autocomplete="off">
+      <button type="button" class="btn btn-outline-neon" id="promo-apply">Apply</button>
+    </div>
+    <div class="small mt-1" id="promo-message" role="alert"></div>
+  `;
+  totalEl.insertAdjacentElement('beforebegin', promo);
+
+  const input = promo.querySelector('#promo-code');
+  const applyButton = promo.querySelector('#promo-apply');
+  const message = promo.querySelector('#promo-message');
+
+  const showMessage = (text, className) => {
+    message.className = `small mt-1 ${className}`;
+    message.textContent = text;
+  };
+
+  const apply = () => {
+    if (checkoutCouponCode) {
+      // The button reads "Remove" while a code is applied
+      checkoutCouponCode = '';
+      input.disabled = false;
+      applyButton.textContent = 'Apply';
+      showMessage('', '');
+      updateCheckoutTotal();
+      return;
+    }
+    Promise.all([repriceCart(), Coupons.load()])
+      .then(([{ products }]) => {
+        const { lines } = Promotions.priceCart(cart, { products });
+        const { coupon, error } = Coupons.evaluate(input.value, { lines, products });
+        if (!coupon) {
+          showMessage(error, 'text-danger');
+          return;
+        }
+        checkoutCouponCode = coupon.code;
+        input.value = coupon.code;
+        input.disabled = true;
+        applyButton.textContent = 'Remove';
+        showMessage(coupon.label, 'text-success');
+        updateCheckoutTotal();
+      });
+  };
+
+  applyButton.addEventListener('click', apply);
+  input.addEventListener('keydown', e => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault(); // Don't submit the checkout form
+    apply();
   });
 }
 
+/**
+ * @param {string} orderNumber - Order number assigned by the order service
+ * @returns {string} Relative URL of the order's confirmation page
+ */
+function orderConfirmationUrl(orderNumber) {
+  return `order-confirmation.html?order=${encodeURIComponent(orderNumber)}`;
+}
+
 /**
  * Renders the shopping cart table on checkout page
  * Displays cart items with quantity controls, pricing details, and removal buttons
@@ -1032,33 +2885,50 @@ function renderCheckoutCart() {
     return;
   }
   
+  // Reprice from the catalog, then price lines with the checkout core before rendering the table
+  repriceCart()
+    .then(({ products }) => renderCheckoutCartTable(container, CheckoutCore.calculateTotals(cart, { products }), products));
+}
+
+/**
+ * Renders the checkout cart table rows for already-priced cart lines
+ * Quantities can't be raised above the available stock (Inventory.maxQuantity)
+ * 
+ * @param {HTMLElement} container - Element that receives the table
+ * @param {Object} totals - Result of CheckoutCore.calculateTotals(cart)
+ * @param {Array<Object>} products - Catalog, for stock limits
+ */
+function renderCheckoutCartTable(container, totals, products = []) {
+  // Most units each line may hold, by line index
+  const limits = totals.lines.map(item => {
+    const product = products.find(p => p.id === item.id);
+    return product ? Inventory.maxQuantity(product) : Infinity;
+  });
   let html = '<table class="table table-dark table-striped align-middle"><thead><tr><th>Product</th><th>Price Details</th><th>Qty</th><th>Total</th><th></th></tr></thead><tbody>';
   
-  cart.forEach((item, idx) => {
-    const itemTotal = item.price * item.quantity;
-    
-    let priceDetails = `$${item.price.toFixed(2)} each`;
-    if (item.isDiscounted && item.originalPrice) {
-      const savings = (item.originalPrice - item.price) * item.quantity;
+  totals.lines.forEach((item, idx) => {
+    let priceDetails = `$${item.unitPrice.toFixed(2)} each`;
+    if (item.savings > 0) {
       priceDetails = `
         <div class="small">
-          <span class="text-decoration-line-through text-muted">Was: $${item.originalPrice.toFixed(2)}</span><br>
-          <span class="text-success fw-bold">Now: $${item.price.toFixed(2)}</span><br>
-          <span class="text-primary small">Save: $${savings.toFixed(2)} total</span>
+          <span class="text-decoration-line-through text-muted">Was: $${item.originalUnitPrice.toFixed(2)}</span><br>
+          <span class="text-success fw-bold">Now: $${item.unitPrice.toFixed(2)}</span>${item.freeUnits > 0 ? ` (${item.freeUnits} free)` : ''}<br>
+          <span class="text-primary small">Save: $${item.savings.toFixed(2)} total</span>
         </div>
       `;
     }
     
     html += `<tr>
       <td>
-        <strong>${item.name}</strong>
-        ${item.isDiscounted ? '<span class="badge bg-success ms-2">SALE</span>' : ''}
+        <strong>${escapeHtml(item.name)}</strong>
+        ${item.promotions.map(label => `<span class="badge bg-success ms-2">${label}</span>`).join('')}
+        ${renderPriceChangeNotice(item)}
       </td>
       <td>${priceDetails}</td>
       <td>
-        <input type="number" min="1" value="${item.quantity}" class="form-control form-control-sm qty-input" data-idx="${idx}" style="width:70px;">
+        <input type="number" min="1" ${Number.isFinite(limits[idx]) ? `max="${Math.max(limits[idx], item.quantity)}"` : ''} value="${item.quantity}" class="form-control form-control-sm qty-input" data-idx="${idx}" style="width:70px;">
       </td>
-      <td><strong>$${itemTotal.toFixed(2)}</strong></td>
+      <td><strong>$${item.lineTotal.toFixed(2)}</strong></td>
       <td>
         <button type="button" class="btn btn-outline-danger btn-sm remove-item" data-idx="${idx}">&times;</button>
       </td>
@@ -1073,7 +2943,8 @@ function renderCheckoutCart() {
     input.addEventListener('change', function() {
       const idx = this.getAttribute('data-idx');
       const val = Math.max(1, parseInt(this.value) || 1);
-      cart[idx].quantity = val;
+      // Same rule as updateCartQuantity(): never raise a line above the stock
+      cart[idx].quantity = val <= cart[idx].quantity ? val : Math.min(val, Math.max(limits[idx], cart[idx].quantity));
       saveCartToStorage();
       renderCheckoutCart();
       updateCheckoutTotal();
@@ -1092,39 +2963,55 @@ function renderCheckoutCart() {
 }
 
 /**
- * Calculates and displays checkout totals including shipping and savings
+ * Calculates and displays checkout totals including shipping, savings, the promo code and tax
  * Updates in real-time when cart contents or shipping method changes
- * Shows breakdown of original prices, discounts, subtotal, shipping, and final total
+ * Shows breakdown of original prices, discounts, subtotal, promo code, shipping, tax, and final total
+ * This form has no destination fields: shipping is quoted for Australia without a postcode, and tax uses Tax.settings.defaultCountry
  */
 function updateCheckoutTotal() {
   loadCartFromStorage();
   
-  let subtotal = 0;
-  let totalSavings = 0;
-  
-  cart.forEach(item => {
-    subtotal += item.price * item.quantity;
-    if (item.isDiscounted && item.originalPrice) {
-      totalSavings += (item.originalPrice - item.price) * item.quantity;
-    }
-  });
-  
   const shipping = document.getElementById('shipping-method');
-  const shippingCost = (shipping && shipping.value === 'express') ? 15 : 0;
-  const total = subtotal + shippingCost;
-  
+  Promise.all([repriceCart(), Coupons.load()])
+    .then(([{ products }]) => {
+      const totals = CheckoutCore.calculateTotals(cart, { products, shippingMethod: shipping?.value, couponCode: checkoutCouponCode });
+      if (shipping) renderShippingSelect(shipping, totals);
+      renderCheckoutTotal(totals);
+    });
+}
+
+/**
+ * Fills the shipping method select with the methods available for the cart
+ * Prices and delivery estimates change with the cart's weight and value, so this runs with every total update
+ * 
+ * @param {HTMLSelectElement} select - Shipping method select
+ * @param {Object} totals - Result of CheckoutCore.calculateTotals(cart)
+ */
+function renderShippingSelect(select, totals) {
+  select.innerHTML = totals.shippingOptions
+    .map(option => `<option value="${option.value}"${option.value === totals.shippingMethod.value ? ' selected' : ''}>${option.label} - ${option.cost > 0 ? `$${option.cost.toFixed(2)}` : 'FREE'}, ${option.description}</option>`)
+    .join('');
+}
+
+/**
+ * Renders the checkout totals block
+ * Added taxes get their own lines; included taxes are noted under the total, or listed
+ * after "Total before tax" when Tax.settings.displayMode is 'exclusive'
+ * 
+ * @param {Object} totals - Result of CheckoutCore.calculateTotals(cart)
+ */
+function renderCheckoutTotal(totals) {
   let totalHTML = '';
   
-  if (totalSavings > 0) {
-    const originalTotal = subtotal + totalSavings + shippingCost;
+  if (totals.savings > 0) {
     totalHTML += `
       <div class="d-flex justify-content-between text-muted small">
-        <span>Original Total:</span>
-        <span class="text-decoration-line-through">$${originalTotal.toFixed(2)}</span>
+        <span>Original Subtotal:</span>
+        <span class="text-decoration-line-through">$${totals.originalSubtotal.toFixed(2)}</span>
       </div>
       <div class="d-flex justify-content-between text-success">
         <span>You Save:</span>
-        <span class="fw-bold">-$${totalSavings.toFixed(2)}</span>
+        <span class="fw-bold">-$${totals.savings.toFixed(2)}</span>
       </div>
     `;
   }
@@ -1132,30 +3019,68 @@ function updateCheckoutTotal() {
   totalHTML += `
     <div class="d-flex justify-content-between">
       <span>Subtotal:</span>
-      <span>$${subtotal.toFixed(2)}</span>
+      <span>$${totals.subtotal.toFixed(2)}</span>
     </div>
   `;
   
-  totalHTML += shippingCost > 0 ? `
+  if (totals.coupon) {
+    totalHTML += `
+      <div class="d-flex justify-content-between text-success">
+        <span>Promo code ${totals.coupon.code}:</span>
+        <span>${totals.coupon.freeShipping ? 'Free shipping' : `-$${totals.discount.toFixed(2)}`}</span>
+      </div>
+    `;
+  } else if (totals.couponError) {
+    totalHTML += `
+      <div class="small text-warning">
+        <i class="bi bi-exclamation-circle"></i> ${escapeHtml(totals.couponError)}
+      </div>
+    `;
+  }
+  
+  totalHTML += totals.shippingCost > 0 ? `
     <div class="d-flex justify-content-between">
-      <span>Express Shipping:</span>
-      <span>$${shippingCost.toFixed(2)}</span>
+      <span>${totals.shippingMethod.label}:</span>
+      <span>$${totals.shippingCost.toFixed(2)}</span>
     </div>
   ` : `
     <div class="d-flex justify-content-between text-success">
-      <span>Standard Shipping:</span>
+      <span>${totals.shippingMethod.label}:</span>
       <span>FREE</span>
     </div>
   `;
   
+  const tax = totals.tax;
+  const showTaxLines = tax.amount > 0 && (!tax.inclusive || Tax.settings.displayMode === 'exclusive');
+  if (showTaxLines) {
+    if (tax.inclusive) {
+      totalHTML += `
+        <div class="d-flex justify-content-between">
+          <span>Total before tax:</span>
+          <span>$${Promotions.roundMoney(totals.total - tax.amount).toFixed(2)}</span>
+        </div>
+      `;
+    }
+    totalHTML += tax.components.map(component => `
+      <div class="d-flex justify-content-between">
+        <span>${Tax.describe(component)}:</span>
+        <span>$${component.amount.toFixed(2)}</span>
+      </div>
+    `).join('');
+  }
+  
   totalHTML += `
     <hr>
     <div class="d-flex justify-content-between h5">
       <span>Total:</span>
-      <span class="fw-bold">$${total.toFixed(2)}</span>
+      <span class="fw-bold">$${totals.total.toFixed(2)}</span>
     </div>
   `;
   
+  if (tax.inclusive && tax.amount > 0 && !showTaxLines) {
+    totalHTML += `<div class="small text-muted text-end">Includes ${Tax.labelFor(tax)} of $${tax.amount.toFixed(2)}</div>`;
+  }
+  
   const totalEl = document.getElementById('checkout-total');
   if (totalEl) totalEl.innerHTML = totalHTML;
 }
@@ -1195,6 +3120,14 @@ function setupCartModalEvents() {
  */
 function initializePage() {
   loadCartFromStorage();
+  updateCartCount();
+  loadCompareList();
+  
+  // Keep the cart in step with other tabs
+  setupCartSync();
+  
+  // Rewrite legacy name-keyed cart data to product IDs, then recompute stored prices from the catalog
+  migrateLegacyStorage().then(repriceCart);
   
   // Set up search functionality
   setupSearch();
@@ -1211,29 +3144,19 @@ function initializePage() {
   // Set up cart modal focus management
   setupCartModalEvents();
   
-  // Handle products page search parameters
-  if (window.location.pathname.endsWith('products.html')) {
-    renderProducts('products');
-    
-    const params = new URLSearchParams(window.location.search);
-    const searchQuery = params.get('q');
-    if (searchQuery) {
-      const input = document.getElementById('searchInputProducts');
-      if (input) input.value = searchQuery;
-      
-      fetch('products-data.json')
-        .then(res => res.json())
-        .then(products => {
-          const filtered = searchProducts(products, searchQuery);
-          const container = document.getElementById('products');
-          if (container) {
-            container.innerHTML = filtered.length
-              ? filtered.map((p,i)=>renderProductCard(p,i)).join('')
-              : '<div class="col-12"><div class="alert alert-warning">No products found matching your search.</div></div>';
-          }
-        });
-    }
-  }
+  // Set up product detail page
+  setupProductPage();
+  
+  // Set up the comparison tray and the compare page
+  setupCompare();
+  setupComparePage();
+  
+  // Set up the wishlist hearts and the wishlist page
+  setupWishlist();
+  setupWishlistPage();
+  
+  // Set up the products page: faceted filters and search, restored from the URL
+  setupProductFilters();
   
   // Initialize featured products carousel or regular grid
   if (document.getElementById('featured-products-carousel')) {
@@ -1242,32 +3165,13 @@ function initializePage() {
     renderProducts('featured-products', 4);
   }
   
-  // Load featured deal
-  fetch('products-data.json')
-    .then(res => res.json())
+  // Load featured deal (chosen by the promotion rules)
+  loadCatalogWithPromotions()
     .then(products => {
-      if (products.length > 0) renderFeaturedDeal(products[0]);
+      const featured = Promotions.getFeatured(products);
+      if (featured) renderFeaturedDeal(featured);
     })
     .catch(err => console.error('Error loading featured deal:', err));
-  
-  // Set up filter buttons
-  document.addEventListener('click', function(e) {
-    if (e.target.classList.contains('filter-btn')) {
-      e.preventDefault();
-      e.stopPropagation();
-      
-      // Get category from data attribute
-      const category = e.target.getAttribute('data-category');
-      if (category) {
-        // Update active state
-        document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-        e.target.classList.add('active');
-        
-        // Filter products
-        filterProducts(category);
-      }
-    }
-  });
 }
 
 // ======================
@@ -1283,9 +3187,12 @@ document.addEventListener('click', function(e) {
   if (e.target.classList.contains('add-to-cart-btn')) {
     e.preventDefault();
     e.stopPropagation();
-    const productName = e.target.getAttribute('data-name');
-    if (productName) {
-      addToCart(productName);
+    const productId = e.target.getAttribute('data-id');
+    // Buttons may name a quantity input (product page); others add one unit
+    const quantityInput = e.target.dataset.quantityInput ? document.getElementById(e.target.dataset.quantityInput) : null;
+    const quantity = quantityInput ? Math.max(1, parseInt(quantityInput.value, 10) || 1) : 1;
+    if (productId) {
+      addToCart(productId, e.target, quantity);
     }
   }
 });
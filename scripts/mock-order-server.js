@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/*
+ * Mock Order Server
+ * =====================================================
+ *
+ * Local stand-in for the order backend, so the checkout's full
+ * request/response flow, error states and retries can be tested offline.
+ * Uses the same mock backend as the browser's local adapter (order-api.js)
+ * and needs nothing beyond Node itself.
+ *
+ *   node scripts/mock-order-server.js [--port 4000] [--latency 300]
+ *                                     [--failure-rate 0.2] [--hang 15000]
+ *                                     [--data orders.json]
+ *
+ * Options:
+ *   --port          Port to listen on (default 4000)
+ *   --latency       Milliseconds added to every response (default 300)
+ *   --failure-rate  Share of requests (0-1) answered with 503 (default 0)
+ *   --hang          How long "timeout" test-card responses are held (default 15000)
+ *   --data          JSON file to keep orders in between runs (default: memory only)
+ *
+ * Point the site at it from the browser console:
+ *   localStorage.setItem('orderApiUrl', 'http://localhost:4000')
+ * and remove the key to go back to the local adapter.
+ *
+ * Test cards (last 4 digits): 0002 is declined, 0069 times out.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const OrderApi = require('../order-api.js');
+
+/**
+ * Reads `--name value` pairs from the command line
+ * @returns {Object} Options keyed by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      console.error(`Unexpected argument: ${argv[i]}`);
+      process.exit(1);
+    }
+    options[argv[i].slice(2)] = argv[i + 1];
+  }
+  return options;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const port = Number(args.port || 4000);
+const latency = Number(args.latency || 300);
+const hang = Number(args.hang || 15000);
+const dataFile = args.data ? path.resolve(args.data) : null;
+
+// Orders live in memory, mirrored to --data when given
+let orders = [];
+if (dataFile && fs.existsSync(dataFile)) {
+  orders = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+}
+
+const handle = OrderApi.createMockBackend({
+  read: () => orders,
+  write: next => {
+    orders = next;
+    if (dataFile) fs.writeFileSync(dataFile, JSON.stringify(orders, null, 2));
+  }
+}, { failureRate: Number(args['failure-rate'] || 0) });
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Sends a JSON response with CORS headers
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body = null;
+    if (raw) {
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        sendJson(res, 400, { error: { code: 'invalid_json', message: 'Request body must be JSON' } });
+        return;
+      }
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const response = handle(req.method, pathname.replace(/\/+$/, '') || '/', body);
+    const delay = response.hang ? hang : latency;
+
+    console.log(`${req.method} ${pathname} -> ${response.status}${response.hang ? ` (held ${hang}ms)` : ''}`);
+    setTimeout(() => sendJson(res, response.status, response.body), delay);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock order server listening on http://localhost:${port}`);
+  console.log(`Latency ${latency}ms, failure rate ${args['failure-rate'] || 0}${dataFile ? `, data in ${dataFile}` : ''}`);
+});
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/*
+ * Catalog Validation Script
+ * =====================================================
+ *
+ * Checks products-data.json with the same rules the website applies at load
+ * time (catalog-schema.js), and additionally verifies that every referenced
+ * image file exists. Run it before committing catalog changes:
+ *
+ *   node scripts/validate-catalog.js [path/to/products-data.json]
+ *
+ * Exit code 0 when the catalog is valid (warnings allowed), 1 otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CatalogSchema = require('../catalog-schema.js');
+
+const catalogPath = path.resolve(process.argv[2] || path.join(__dirname, '..', 'products-data.json'));
+
+// Image paths are relative to the website root, i.e. the folder holding the catalog
+const siteRoot = path.dirname(catalogPath);
+
+let data;
+try {
+  data = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+} catch (error) {
+  console.error(`Could not read ${catalogPath}: ${error.message}`);
+  process.exit(1);
+}
+
+const result = CatalogSchema.validateCatalog(data, {
+  imageExists: image => /^https?:\/\//i.test(image) || fs.existsSync(path.join(siteRoot, image))
+});
+
+const report = CatalogSchema.formatReport(result);
+if (result.errors.length) {
+  console.error(report);
+  process.exit(1);
+}
+
+console.log(report);
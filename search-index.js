@@ -0,0 +1,321 @@
+/*
+ * TechOps Search Index
+ * =====================================================
+ *
+ * Relevance-ranked product search used by the products page (and by
+ * searchProducts() in script.js):
+ *
+ * - Tokenization: case- and accent-insensitive words; adjacent words are also
+ *   indexed joined, so "rtx4090" finds "RTX 4090"
+ * - Field weights: name > brand > category > description
+ * - Matching per query word: exact, prefix ("13900" finds "13900K") or fuzzy
+ *   (one typo from 4 letters, two from 8; words with digits must match
+ *   exactly or by prefix, so "4080" never finds "4090")
+ * - Synonyms: "gpu" also searches "graphics card", "video card" and "graphics"
+ * - Every query word (or synonym phrase) must match somewhere; common words
+ *   such as "for" and "with" are ignored
+ * - highlight(): marks the matched words in a piece of text
+ *
+ * Usage:
+ *   SearchIndex.search(products, 'macbok')           // -> [{ product, score }], best first
+ *   SearchIndex.highlight(product.name, 'rtx 4090')  // -> 'ASUS ... <mark class="search-highlight">RTX</mark> ...'
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const SearchIndex = (() => {
+  /** Searched product fields and their weights */
+  const FIELDS = [
+    { key: 'name', weight: 4 },
+    { key: 'brand', weight: 3 },
+    { key: 'category', weight: 2 },
+    { key: 'description', weight: 1 }
+  ];
+
+  /**
+   * Synonym groups: a query containing any phrase of a group also matches the others
+   * Phrases are written in lowercase, words separated by single spaces
+   */
+  const SYNONYMS = [
+    ['gpu', 'graphics card', 'video card', 'graphics'],
+    ['cpu', 'processor'],
+    ['laptop', 'notebook'],
+    ['ram', 'memory'],
+    ['headset', 'headphones'],
+    ['mouse', 'mice'],
+    ['wireless', 'cordless']
+  ];
+
+  /** Query words ignored unless the query has nothing else */
+  const STOP_WORDS = ['a', 'an', 'and', 'for', 'in', 'of', 'on', 'the', 'to', 'with'];
+
+  /** Score of each kind of word match (multiplied by the field weight) */
+  const MATCH_SCORES = { exact: 1, prefix: 0.75, fuzzy: 0.5 };
+
+  /** Matches through a synonym count for less than the words actually typed */
+  const SYNONYM_FACTOR = 0.8;
+
+  /** Added when the whole query appears as typed in the product name */
+  const PHRASE_BONUS = 2;
+
+  /**
+   * Lowercases and strips accents
+   * @param {*} text - Any value
+   * @returns {string} Normalized text
+   */
+  function normalize(text) {
+    return String(text == null ? '' : text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Splits text into normalized words
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Words (letters and digits only)
+   */
+  function tokenize(text) {
+    return normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  /**
+   * Words indexed for a field: every word, plus each pair of adjacent words joined
+   * @param {string} text - Field text
+   * @returns {Array<string>}
+   */
+  function indexTokens(text) {
+    const words = tokenize(text);
+    return words.concat(words.slice(1).map((word, i) => words[i] + word));
+  }
+
+  /**
+   * Edit distance with adjacent transpositions (optimal string alignment)
+   * Stops early and returns max + 1 once the distance must exceed `max`
+   *
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} max - Largest distance of interest
+   * @returns {number}
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous2 = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previous2[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      previous2 = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * @param {string} term - Query word
+   * @returns {number} Typos tolerated for the word (0 for short words and words with digits)
+   */
+  function allowedTypos(term) {
+    if (/\d/.test(term) || term.length < 4) return 0;
+    return term.length < 8 ? 1 : 2;
+  }
+
+  /**
+   * Scores one query word against one indexed word
+   * @param {string} term - Normalized query word
+   * @param {string} token - Indexed word
+   * @returns {number} MATCH_SCORES value, or 0 when they do not match
+   */
+  function matchWord(term, token) {
+    if (term === token) return MATCH_SCORES.exact;
+    if (term.length >= 2 && token.startsWith(term)) return MATCH_SCORES.prefix;
+    const typos = allowedTypos(term);
+    if (!typos) return 0;
+    if (editDistance(term, token, typos) <= typos) return MATCH_SCORES.fuzzy;
+    // A misspelt beginning of a longer word, e.g. "macbo" for "macbook"
+    if (term.length >= 5 && token.length > term.length &&
+      editDistance(term, token.slice(0, term.length), typos) <= typos) {
+      return MATCH_SCORES.fuzzy;
+    }
+    return 0;
+  }
+
+  /**
+   * Best score of a phrase (all of its words) in a list of indexed words
+   * @param {Array<string>} phrase - Query words
+   * @param {Array<string>} tokens - Indexed words of one field
+   * @returns {number} Weakest word's best score, or 0 when a word has no match
+   */
+  function matchPhrase(phrase, tokens) {
+    let score = MATCH_SCORES.exact;
+    for (const term of phrase) {
+      const best = tokens.reduce((max, token) => Math.max(max, matchWord(term, token)), 0);
+      if (!best) return 0;
+      score = Math.min(score, best);
+    }
+    return score;
+  }
+
+  /**
+   * Splits a query into units that must each match
+   * A unit is a list of alternative phrases: the words typed, plus their synonyms
+   *
+   * @param {string} query - Raw query
+   * @returns {Array<Array<{words: Array<string>, factor: number}>>}
+   */
+  function parseQuery(query) {
+    const all = tokenize(query);
+    const words = all.filter(word => !STOP_WORDS.includes(word));
+    const terms = words.length ? words : all;
+    const units = [];
+
+    for (let i = 0; i < terms.length;) {
+      // Longest synonym phrase starting at this word
+      let match = null;
+      SYNONYMS.forEach(group => group.forEach(phrase => {
+        const phraseWords = phrase.split(' ');
+        const fits = phraseWords.every((word, offset) => terms[i + offset] === word);
+        if (fits && (!match || phraseWords.length > match.words.length)) match = { group, words: phraseWords };
+      }));
+
+      if (match) {
+        units.push(match.group.map(phrase => {
+          const phraseWords = phrase.split(' ');
+          const typed = phraseWords.join(' ') === match.words.join(' ');
+          return { words: phraseWords, factor: typed ? 1 : SYNONYM_FACTOR };
+        }));
+        i += match.words.length;
+      } else {
+        units.push([{ words: [terms[i]], factor: 1 }]);
+        i += 1;
+      }
+    }
+    return units;
+  }
+
+  /**
+   * Builds the search index for a product list
+   * @param {Array<Object>} products - Catalog products
+   * @returns {Array<{product: Object, fields: Array<{weight: number, tokens: Array<string>}>, name: string}>}
+   */
+  function buildIndex(products) {
+    return products.map(product => ({
+      product,
+      name: normalize(product.name),
+      fields: FIELDS.map(field => ({ weight: field.weight, tokens: indexTokens(product[field.key]) }))
+    }));
+  }
+
+  // Index per product list, so repeated searches over the same catalog reuse it
+  const cache = new WeakMap();
+
+  function indexFor(products) {
+    if (!cache.has(products)) cache.set(products, buildIndex(products));
+    return cache.get(products);
+  }
+
+  /**
+   * Searches products, best match first
+   * Products that match equally keep their catalog order
+   *
+   * @param {Array<Object>} products - Catalog products
+   * @param {string} query - Search text
+   * @returns {Array<{product: Object, score: number}>} Matching products (every product, score 0, for an empty query)
+   */
+  function search(products, query) {
+    const units = parseQuery(query);
+    if (!units.length) return products.map(product => ({ product, score: 0 }));
+    const phrase = normalize(query).trim();
+
+    return indexFor(products)
+      .map(entry => {
+        let score = 0;
+        for (const unit of units) {
+          let best = 0;
+          unit.forEach(alternative => entry.fields.forEach(field => {
+            best = Math.max(best, field.weight * alternative.factor * matchPhrase(alternative.words, field.tokens));
+          }));
+          if (!best) return null;
+          score += best;
+        }
+        if (entry.name.includes(phrase)) score += PHRASE_BONUS;
+        return { product: entry.product, score };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /** Escapes text for HTML */
+  function escapeHtml(text) {
+    return String(text == null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Marks the words of a text that match a query (including synonyms)
+   * Adjacent words that together match one query word ("RTX 4090" for "rtx4090") are both marked
+   *
+   * @param {string} text - Text to display
+   * @param {string} query - Search text
+   * @returns {string} HTML-escaped text with matches wrapped in <mark class="search-highlight">
+   */
+  function highlight(text, query) {
+    const source = String(text == null ? '' : text);
+    const terms = [];
+    parseQuery(query).forEach(unit => unit.forEach(alternative => terms.push(...alternative.words)));
+    if (!terms.length) return escapeHtml(source);
+
+    const words = [];
+    source.replace(/[\p{L}\p{N}]+/gu, (word, offset) => {
+      words.push({ start: offset, end: offset + word.length, token: tokenize(word).join('') });
+      return word;
+    });
+
+    const marked = words.map(word => terms.some(term => matchWord(term, word.token) > 0));
+    words.forEach((word, i) => {
+      const next = words[i + 1];
+      if (next && terms.some(term => matchWord(term, word.token + next.token) > 0 && term.length > word.token.length)) {
+        marked[i] = true;
+        marked[i + 1] = true;
+      }
+    });
+
+    let html = '';
+    let position = 0;
+    words.forEach((word, i) => {
+      if (!marked[i]) return;
+      // Consecutive marked words share one <mark>
+      const start = i > 0 && marked[i - 1] ? null : word.start;
+      const end = words[i + 1] && marked[i + 1] ? null : word.end;
+      if (start !== null) {
+        html += `${escapeHtml(source.slice(position, start))}<mark class="search-highlight">`;
+        position = start;
+      }
+      if (end !== null) {
+        html += `${escapeHtml(source.slice(position, end))}</mark>`;
+        position = end;
+      }
+    });
+    return html + escapeHtml(source.slice(position));
+  }
+
+  return {
+    FIELDS,
+    SYNONYMS,
+    tokenize,
+    search,
+    highlight
+  };
+})();
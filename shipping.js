@@ -0,0 +1,240 @@
+/*
+ * TechOps Shipping
+ * =====================================================
+ *
+ * Shipping rate engine used by CheckoutCore.calculateTotals(): works out which
+ * shipping methods can deliver a cart, what each costs and when it should
+ * arrive, from:
+ *
+ * - the destination zone (ZONES: country, and postcode ranges within Australia)
+ * - the cart's chargeable weight: per unit, the packed `weight` (kg) or the
+ *   volumetric weight of its `dimensions` (cm), whichever is greater
+ * - free-shipping thresholds on the order value
+ *
+ * Each method in METHODS has a rate per zone it delivers to:
+ *   { base, perKg, days: [min, max], freeOver }
+ * `base` covers the first kilogram and `perKg` each started kilogram after
+ * it; `days` are business days after dispatch; `freeOver` (optional) makes
+ * the method free when the order value reaches it. A method without a rate
+ * for the zone, or over its `maxWeight`, is not offered.
+ *
+ * Orders placed before the dispatch cutoff (2pm) leave the same business day;
+ * weekends are skipped.
+ *
+ * Usage:
+ *   Shipping.quote(pricedLines, { products, destination: { country: 'AU', postcode: '3000' }, orderValue: 59.99 })
+ *   // -> [{ value: 'standard', label: 'Standard Shipping', cost: 7.95, free: false, freeOver: 99, days: [2, 4], delivery, description: 'Arrives Wed 21 Oct - Fri 23 Oct' }, ...]
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const Shipping = (() => {
+  const settings = {
+    defaultWeight: 1,         // kg per unit for products without a `weight`
+    volumetricDivisor: 5000,  // cm³ per kg of volumetric weight
+    dispatchCutoffHour: 14,   // Orders after this hour leave the next business day
+    locale: 'en-AU'           // Delivery date format
+  };
+
+  /**
+   * Destination zones, checked in order; the first match wins
+   * `postcodes` are inclusive ranges; a zone without them covers the whole country ('*' is any country)
+   */
+  const ZONES = [
+    { id: 'local', label: 'Victoria', country: 'AU', postcodes: [[3000, 3999], [8000, 8999]] },
+    { id: 'eastern', label: 'NSW, ACT, QLD and SA', country: 'AU', postcodes: [[1000, 2999], [4000, 5999], [9000, 9999]] },
+    { id: 'remote', label: 'WA, TAS and NT', country: 'AU', postcodes: [[800, 999], [6000, 7999]] },
+    { id: 'australia', label: 'Australia', country: 'AU' },
+    { id: 'nz', label: 'New Zealand', country: 'NZ' },
+    { id: 'international', label: 'International', country: '*' }
+  ];
+
+  /** Shipping methods in display order; the first available one is the default */
+  const METHODS = [
+    {
+      value: 'standard',
+      label: 'Standard Shipping',
+      rates: {
+        local: { base: 7.95, perKg: 1, days: [2, 4], freeOver: 99 },
+        eastern: { base: 9.95, perKg: 1.5, days: [3, 6], freeOver: 99 },
+        remote: { base: 12.95, perKg: 2.5, days: [5, 9], freeOver: 99 },
+        australia: { base: 9.95, perKg: 1.5, days: [3, 6], freeOver: 99 },
+        nz: { base: 24.95, perKg: 6, days: [6, 10], freeOver: 500 },
+        international: { base: 39.95, perKg: 12, days: [10, 20] }
+      }
+    },
+    {
+      value: 'express',
+      label: 'Express Shipping',
+      rates: {
+        local: { base: 14.95, perKg: 2, days: [1, 2] },
+        eastern: { base: 17.95, perKg: 3, days: [1, 3] },
+        remote: { base: 24.95, perKg: 4, days: [2, 4] },
+        australia: { base: 17.95, perKg: 3, days: [1, 3] },
+        nz: { base: 49.95, perKg: 10, days: [3, 5] },
+        international: { base: 79.95, perKg: 18, days: [4, 8] }
+      }
+    },
+    {
+      value: 'overnight',
+      label: 'Overnight Shipping',
+      maxWeight: 20,
+      rates: {
+        local: { base: 29.95, perKg: 3, days: [1, 1] },
+        eastern: { base: 39.95, perKg: 4, days: [1, 1] }
+      }
+    }
+  ];
+
+  /** Rounds a dollar amount to whole cents */
+  const roundMoney = amount => Math.round(amount * 100) / 100;
+
+  /**
+   * Finds the zone a destination falls in
+   *
+   * @param {Object} [destination]
+   * @param {string} [destination.country] - ISO country code (defaults to 'AU')
+   * @param {string} [destination.postcode] - Postcode; Australian zones need it to be more specific than 'australia'
+   * @returns {Object} Zone from ZONES
+   */
+  function resolveZone({ country, postcode } = {}) {
+    const code = String(country || 'AU').toUpperCase();
+    const number = /^\d{3,4}$/.test(String(postcode || '').trim()) ? parseInt(postcode, 10) : null;
+    return ZONES.find(zone => {
+      if (zone.country !== '*' && zone.country !== code) return false;
+      if (!zone.postcodes) return true;
+      return number !== null && zone.postcodes.some(([from, to]) => number >= from && number <= to);
+    });
+  }
+
+  /**
+   * Chargeable weight of one unit: packed weight or volumetric weight, whichever is greater
+   *
+   * @param {Object} [product] - Catalog product (missing products use the default weight)
+   * @returns {number} kg
+   */
+  function unitWeight(product) {
+    const weight = product && typeof product.weight === 'number' ? product.weight : settings.defaultWeight;
+    const size = product && product.dimensions;
+    const volumetric = size ? (size.length * size.width * size.height) / settings.volumetricDivisor : 0;
+    return Math.max(weight, volumetric);
+  }
+
+  /**
+   * @param {Array<Object>} lines - Cart lines ({ id, quantity })
+   * @param {Array<Object>} [products] - Catalog
+   * @returns {number} Chargeable weight of the cart in kg, to the nearest gram
+   */
+  function cartWeight(lines, products = []) {
+    const total = lines.reduce((sum, line) => sum + unitWeight(products.find(p => p.id === line.id)) * line.quantity, 0);
+    return Math.round(total * 1000) / 1000;
+  }
+
+  /**
+   * Adds business days to a date, skipping Saturdays and Sundays
+   * @param {Date} date - Start date
+   * @param {number} days - Business days to add
+   * @returns {Date}
+   */
+  function addBusinessDays(date, days) {
+    const result = new Date(date.getTime());
+    let remaining = days;
+    while (remaining > 0) {
+      result.setDate(result.getDate() + 1);
+      const day = result.getDay();
+      if (day !== 0 && day !== 6) remaining -= 1;
+    }
+    return result;
+  }
+
+  /**
+   * Estimated delivery window for a transit time
+   *
+   * @param {Array<number>} days - [min, max] business days after dispatch
+   * @param {Date} [now] - Order date (defaults to now)
+   * @returns {{earliest: Date, latest: Date}}
+   */
+  function estimateDelivery(days, now = new Date()) {
+    const weekend = now.getDay() === 0 || now.getDay() === 6;
+    const dispatch = weekend || now.getHours() >= settings.dispatchCutoffHour ? addBusinessDays(now, 1) : new Date(now.getTime());
+    return { earliest: addBusinessDays(dispatch, days[0]), latest: addBusinessDays(dispatch, days[1]) };
+  }
+
+  /**
+   * @param {{earliest: Date, latest: Date}} delivery - Result of estimateDelivery()
+   * @returns {string} e.g. "Arrives Wed 21 Oct - Fri 23 Oct", or "Arrives Tue 20 Oct" for a single day
+   */
+  function describeDelivery(delivery) {
+    const format = date => date.toLocaleDateString(settings.locale, { weekday: 'short', day: 'numeric', month: 'short' }).replace(/,/g, '');
+    const earliest = format(delivery.earliest);
+    const latest = format(delivery.latest);
+    return earliest === latest ? `Arrives ${earliest}` : `Arrives ${earliest} - ${latest}`;
+  }
+
+  /**
+   * Shipping methods available for a cart, with prices and delivery estimates
+   *
+   * @param {Array<Object>} lines - Cart lines ({ id, quantity })
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.products] - Catalog, for weights and dimensions
+   * @param {Object} [options.destination] - { country, postcode }, as for resolveZone()
+   * @param {number} [options.orderValue] - Order value checked against free-shipping thresholds
+   * @param {Date} [options.now] - Order date for delivery estimates (defaults to now)
+   * @returns {Array<{value: string, label: string, cost: number, free: boolean, freeOver: (number|null),
+   *   days: Array<number>, delivery: {earliest: Date, latest: Date}, description: string}>}
+   *   Available methods in METHODS order; `free` is true when a threshold waived the cost.
+   *   Standard shipping has a rate for every zone, so at least one method is always offered.
+   *   An empty cart has nothing to ship, so every method costs 0
+   */
+  function quote(lines, { products = [], destination = {}, orderValue = 0, now = new Date() } = {}) {
+    const zone = resolveZone(destination);
+    const weight = cartWeight(lines, products);
+    const empty = lines.length === 0;
+
+    return METHODS
+      .filter(method => method.rates[zone.id] && !(method.maxWeight && weight > method.maxWeight))
+      .map(method => {
+        const rate = method.rates[zone.id];
+        const free = rate.freeOver !== undefined && orderValue >= rate.freeOver;
+        const delivery = estimateDelivery(rate.days, now);
+        return {
+          value: method.value,
+          label: method.label,
+          cost: empty || free ? 0 : roundMoney(rate.base + rate.perKg * Math.max(0, Math.ceil(weight - 1))),
+          free,
+          freeOver: rate.freeOver !== undefined ? rate.freeOver : null,
+          days: rate.days,
+          delivery,
+          description: describeDelivery(delivery)
+        };
+      });
+  }
+
+  /**
+   * @param {string} value - Shipping method value
+   * @returns {Object|null} Method from METHODS, or null for unknown values
+   */
+  function getMethod(value) {
+    return METHODS.find(method => method.value === value) || null;
+  }
+
+  return {
+    settings,
+    ZONES,
+    METHODS,
+    /**
+     * Overrides default settings (defaultWeight, volumetricDivisor, dispatchCutoffHour, locale)
+     * @param {Object} options - Settings to override
+     */
+    configure(options = {}) {
+      Object.assign(settings, options);
+    },
+    resolveZone,
+    unitWeight,
+    cartWeight,
+    estimateDelivery,
+    describeDelivery,
+    quote,
+    getMethod
+  };
+})();
@@ -0,0 +1,169 @@
+/*
+ * TechOps Tax
+ * =====================================================
+ *
+ * Sales tax by destination, used by CheckoutCore.calculateTotals() so both
+ * checkouts, the order record and the receipts show the same tax.
+ *
+ * Each country in RATES has:
+ * - inclusive: true when shop prices already include the tax (Australian GST,
+ *   VAT); the tax is worked out of the total. false when the tax is added on
+ *   top at checkout (US sales tax, Canadian GST/HST/PST).
+ * - components: the taxes charged, as { label, rate } with `rate` in percent
+ * - regions (optional): components by state/province code, replacing the
+ *   country's own; states missing from the list pay the country components
+ *
+ * The taxable amount is what the shopper pays before tax: the subtotal less
+ * any promo code discount, plus shipping. Countries missing from RATES are
+ * not taxed.
+ *
+ * Display modes (settings.displayMode):
+ * - 'inclusive': totals are shown as charged; included taxes appear as an
+ *   "Includes GST" note under the total
+ * - 'exclusive': every tax is shown as its own line after a "Total before tax"
+ *
+ * Usage:
+ *   Tax.calculate(109.99, { country: 'AU', state: 'VIC' })
+ *   // -> { country: 'AU', region: '', inclusive: true, taxable: 109.99, amount: 10, components: [{ label: 'GST', rate: 10, amount: 10 }] }
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const Tax = (() => {
+  const settings = {
+    defaultCountry: 'AU',     // Destination when the checkout has no country
+    displayMode: 'inclusive'  // 'inclusive' | 'exclusive' (see above)
+  };
+
+  const DISPLAY_MODES = ['inclusive', 'exclusive'];
+
+  /** Tax rates by ISO country code */
+  const RATES = {
+    AU: { name: 'Australia', inclusive: true, components: [{ label: 'GST', rate: 10 }] },
+    NZ: { name: 'New Zealand', inclusive: true, components: [{ label: 'GST', rate: 15 }] },
+    GB: { name: 'United Kingdom', inclusive: true, components: [{ label: 'VAT', rate: 20 }] },
+    DE: { name: 'Germany', inclusive: true, components: [{ label: 'VAT', rate: 19 }] },
+    FR: { name: 'France', inclusive: true, components: [{ label: 'VAT', rate: 20 }] },
+    JP: { name: 'Japan', inclusive: true, components: [{ label: 'Consumption tax', rate: 10 }] },
+    SG: { name: 'Singapore', inclusive: true, components: [{ label: 'GST', rate: 9 }] },
+    CA: {
+      name: 'Canada',
+      inclusive: false,
+      components: [{ label: 'GST', rate: 5 }],
+      regions: {
+        ON: [{ label: 'HST', rate: 13 }],
+        NS: [{ label: 'HST', rate: 15 }],
+        NB: [{ label: 'HST', rate: 15 }],
+        BC: [{ label: 'GST', rate: 5 }, { label: 'PST', rate: 7 }],
+        QC: [{ label: 'GST', rate: 5 }, { label: 'QST', rate: 9.975 }]
+      }
+    },
+    US: {
+      name: 'United States',
+      inclusive: false,
+      components: [],
+      regions: {
+        CA: [{ label: 'Sales tax', rate: 7.25 }],
+        NY: [{ label: 'Sales tax', rate: 4 }],
+        TX: [{ label: 'Sales tax', rate: 6.25 }],
+        WA: [{ label: 'Sales tax', rate: 6.5 }],
+        FL: [{ label: 'Sales tax', rate: 6 }]
+      }
+    }
+  };
+
+  /** Rounds a dollar amount to whole cents */
+  const roundMoney = amount => Math.round(amount * 100) / 100;
+
+  /**
+   * Taxes that apply at a destination
+   *
+   * @param {Object} [destination]
+   * @param {string} [destination.country] - ISO country code (defaults to settings.defaultCountry)
+   * @param {string} [destination.state] - State or province code
+   * @returns {{country: string, region: string, inclusive: boolean, components: Array<{label: string, rate: number}>}}
+   *   `region` is the state whose own rates were used ('' when the country rates apply)
+   */
+  function ratesFor({ country, state } = {}) {
+    const code = String(country || settings.defaultCountry).toUpperCase();
+    const entry = RATES[code];
+    if (!entry) return { country: code, region: '', inclusive: false, components: [] };
+
+    const region = String(state || '').toUpperCase();
+    const regional = entry.regions && entry.regions[region];
+    return {
+      country: code,
+      region: regional ? region : '',
+      inclusive: entry.inclusive,
+      components: regional || entry.components
+    };
+  }
+
+  /**
+   * Works out the tax on an amount
+   * Included taxes are taken out of the amount; added taxes are charged on top of it
+   *
+   * @param {number} taxable - Amount before tax (for inclusive countries, the tax-inclusive amount)
+   * @param {Object} [destination] - { country, state }, as for ratesFor()
+   * @returns {{country: string, region: string, inclusive: boolean, taxable: number, amount: number,
+   *   components: Array<{label: string, rate: number, amount: number}>}}
+   *   `amount` is the total tax; added to the order total only when `inclusive` is false
+   */
+  function calculate(taxable, destination = {}) {
+    const rates = ratesFor(destination);
+    const base = Math.max(0, taxable);
+    const totalRate = rates.components.reduce((sum, component) => sum + component.rate, 0);
+
+    const components = rates.components.map(component => ({
+      label: component.label,
+      rate: component.rate,
+      amount: roundMoney(rates.inclusive
+        ? base * component.rate / (100 + totalRate)
+        : base * component.rate / 100)
+    }));
+
+    return {
+      country: rates.country,
+      region: rates.region,
+      inclusive: rates.inclusive,
+      taxable: roundMoney(base),
+      amount: roundMoney(components.reduce((sum, component) => sum + component.amount, 0)),
+      components
+    };
+  }
+
+  /**
+   * @param {Object} component - Tax component ({ label, rate })
+   * @returns {string} Label with its rate, e.g. "GST (10%)"
+   */
+  function describe(component) {
+    return `${component.label} (${component.rate}%)`;
+  }
+
+  /**
+   * @param {Object} tax - Result of calculate()
+   * @returns {string} Names of the taxes charged, e.g. "GST" or "GST + PST" ("Tax" when none apply)
+   */
+  function labelFor(tax) {
+    const labels = tax && tax.components ? tax.components.map(component => component.label) : [];
+    return labels.length ? labels.join(' + ') : 'Tax';
+  }
+
+  return {
+    settings,
+    DISPLAY_MODES,
+    RATES,
+    /**
+     * Overrides default settings (defaultCountry, displayMode)
+     * @param {Object} options - Settings to override
+     */
+    configure(options = {}) {
+      Object.assign(settings, options);
+      if (!DISPLAY_MODES.includes(settings.displayMode)) settings.displayMode = 'inclusive';
+    },
+    ratesFor,
+    calculate,
+    describe,
+    labelFor
+  };
+})();
@@ -0,0 +1,168 @@
+/*
+ * TechOps Wishlist
+ * =====================================================
+ *
+ * Products saved for later, kept in localStorage (`wishlist`) alongside the
+ * cart and shared by the product cards, the wishlist page, the cart modal and
+ * the Vue checkout:
+ *
+ * - add() / remove() / toggle(): save or unsave a product
+ * - priceChange(): how the price moved since the product was saved, for the
+ *   "price dropped" indicators
+ *
+ * Each entry records the promotional price when the product was saved
+ * (Promotions.priceProduct), newest first:
+ *   { id: 'razer-blackshark-v2-pro', name: 'Razer BlackShark V2 Pro Headset', savedPrice: 179.99, savedAt: '2026-10-18T09:30:00.000Z' }
+ *
+ * Depends on promotions.js for pricing; promotion rules must be loaded
+ * (Promotions.load()) before saving or comparing prices.
+ *
+ * Usage:
+ *   Wishlist.toggle(product)                                 // -> true when the product is now saved
+ *   Wishlist.priceChange(Wishlist.get(product.id), product)  // -> { direction: 'down', difference: 50, percent: 5, ... }
+ *
+ * Browser Support: Modern browsers (ES6+)
+ */
+
+const Wishlist = (() => {
+  const settings = {
+    storageKey: 'wishlist'
+  };
+
+  /**
+   * Reads the saved entries
+   * Missing, corrupted or malformed data reads as an empty wishlist
+   *
+   * @returns {Array<{id: string, name: string, savedPrice: number, savedAt: string}>} Entries, newest first
+   */
+  function load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(settings.storageKey) || '[]');
+      return Array.isArray(stored)
+        ? stored.filter(entry => entry && typeof entry.id === 'string' && typeof entry.savedPrice === 'number')
+        : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {Array<Object>} entries - Entries to store
+   */
+  function save(entries) {
+    try {
+      localStorage.setItem(settings.storageKey, JSON.stringify(entries));
+    } catch (error) {
+      console.error('Failed to save wishlist to storage:', error);
+    }
+  }
+
+  /**
+   * @param {string} productId - Product ID
+   * @returns {Object|null} The product's entry, or null when it is not saved
+   */
+  function get(productId) {
+    return load().find(entry => entry.id === productId) || null;
+  }
+
+  /**
+   * @param {string} productId - Product ID
+   * @returns {boolean} Whether the product is saved
+   */
+  function has(productId) {
+    return get(productId) !== null;
+  }
+
+  /**
+   * Saves a product at its current price
+   * A product that is already saved keeps its original price and date
+   *
+   * @param {Object} product - Catalog product
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Save date and pricing date (defaults to now)
+   * @returns {Array<Object>} Updated entries
+   */
+  function add(product, { now = new Date() } = {}) {
+    const entries = load();
+    if (entries.some(entry => entry.id === product.id)) return entries;
+    entries.unshift({
+      id: product.id,
+      name: product.name,
+      savedPrice: Promotions.priceProduct(product, { now }).price,
+      savedAt: now.toISOString()
+    });
+    save(entries);
+    return entries;
+  }
+
+  /**
+   * @param {string} productId - Product ID
+   * @returns {Array<Object>} Updated entries
+   */
+  function remove(productId) {
+    const entries = load().filter(entry => entry.id !== productId);
+    save(entries);
+    return entries;
+  }
+
+  /**
+   * Saves a product, or removes it when it is already saved
+   *
+   * @param {Object} product - Catalog product
+   * @returns {boolean} True when the product is now saved
+   */
+  function toggle(product) {
+    if (has(product.id)) {
+      remove(product.id);
+      return false;
+    }
+    add(product);
+    return true;
+  }
+
+  /**
+   * Compares a product's current price with its price when saved
+   *
+   * @param {Object} entry - Wishlist entry
+   * @param {Object} product - Catalog product
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Pricing date (defaults to now)
+   * @returns {{savedPrice: number, price: number, difference: number, percent: number, direction: string}}
+   *   `direction` is 'down', 'up' or 'same'; `difference` and `percent` are always positive
+   */
+  function priceChange(entry, product, { now = new Date() } = {}) {
+    const price = Promotions.priceProduct(product, { now }).price;
+    const difference = Promotions.roundMoney(Math.abs(price - entry.savedPrice));
+    return {
+      savedPrice: entry.savedPrice,
+      price,
+      difference,
+      percent: entry.savedPrice > 0 ? Math.round((difference / entry.savedPrice) * 100) : 0,
+      direction: price < entry.savedPrice ? 'down' : (price > entry.savedPrice ? 'up' : 'same')
+    };
+  }
+
+  /**
+   * @param {Object} change - Result of priceChange()
+   * @returns {string} Message for the user, e.g. "Price dropped $50.00 (5%) since you saved it", or '' when unchanged
+   */
+  function describeChange(change) {
+    if (change.direction === 'same') return '';
+    const amount = `$${change.difference.toFixed(2)}${change.percent ? ` (${change.percent}%)` : ''}`;
+    return change.direction === 'down'
+      ? `Price dropped ${amount} since you saved it`
+      : `Price up ${amount} since you saved it`;
+  }
+
+  return {
+    settings,
+    load,
+    get,
+    has,
+    add,
+    remove,
+    toggle,
+    priceChange,
+    describeChange
+  };
+})();